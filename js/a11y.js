@@ -0,0 +1,55 @@
+// Accessibility helpers: screen reader announcements and keyboard access to the station list.
+
+import { dateContent, stations } from './data.js';
+import { selectStation } from './player.js';
+import { appStore } from './store.js';
+
+/**
+ * Reads a short message to screen reader users through the player's live region
+ * @param {string} message - Text to announce
+ */
+export function announce(message) {
+  const announcer = document.getElementById('player-announcer');
+  if (!announcer) return;
+
+  // Clearing first makes repeated identical messages get announced again
+  announcer.textContent = '';
+  setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+/**
+ * Selects the next or previous station that has a recording on the selected date
+ * @param {number} offset - 1 for next, -1 for previous
+ */
+export function stepStation(offset) {
+  const { dateId, recording } = appStore.getState();
+  const available = stations.filter(station => dateContent[dateId]?.stations[station.id]);
+  if (available.length === 0) return;
+
+  const currentIndex = available.findIndex(station => station.id === recording?.stationId);
+  const nextIndex = (currentIndex + offset + available.length) % available.length;
+  selectStation(available[nextIndex].id);
+}
+
+/**
+ * Makes a station list item operable from the keyboard: Enter/Space selects it,
+ * Up/Down arrows move between items
+ * @param {HTMLElement} stationItem - The .station-item element
+ * @param {string} stationId - ID of the station it represents
+ */
+export function makeStationItemAccessible(stationItem, stationId) {
+  stationItem.tabIndex = 0;
+  stationItem.setAttribute('role', 'button');
+
+  stationItem.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      selectStation(stationId);
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      e.stopPropagation(); // Don't also change the volume
+      const sibling = e.key === 'ArrowDown' ? stationItem.nextElementSibling : stationItem.previousElementSibling;
+      if (sibling && sibling.classList.contains('station-item')) sibling.focus();
+    }
+  });
+}
@@ -0,0 +1,25 @@
+// Entry point for about.html: the language switcher, theme toggles and the contributor selector.
+
+import { setupAppearance } from './appearance.js';
+import { setupI18n } from './i18n.js';
+import { setupThemeBuilder } from './theme-builder.js';
+
+/**
+ * Switches between the HUM and IT contributor blocks
+ */
+function setupAboutSelector() {
+  const sel = document.getElementById('aboutSelect');
+  if (!sel) return;
+  const blocks = Array.from(document.querySelectorAll('.option-content'));
+  function show(val) {
+    blocks.forEach(b => b.classList.toggle('active', b.dataset.value === val));
+  }
+  sel.addEventListener('change', e => show(e.target.value));
+  // initialize
+  show(sel.value || (sel.options[0] && sel.options[0].value));
+}
+
+setupI18n();
+setupAppearance();
+setupThemeBuilder();
+setupAboutSelector();
@@ -0,0 +1,81 @@
+// Application start-up once the content warning has been accepted.
+
+import { setupClips } from './clips.js';
+import { setupCompare } from './compare.js';
+import { loadAllTabs } from './data.js';
+import { setupDeepLinks } from './deep-links.js';
+import { t } from './i18n.js';
+import { renderDiagnostics, setupDiagnosticsView } from './diagnostics.js';
+import { setupLandmarkLayer } from './landmarks.js';
+import { addStationMarkers } from './map.js';
+import { setupMediaSession } from './media-session.js';
+import { setupOffline } from './offline.js';
+import { setupPlaybackControls } from './playback-controls.js';
+import { setupDateSelector, setupViewSelector } from './panels.js';
+import { initializeAudioPlayer } from './player.js';
+import { setupPlaybackQueue } from './queue.js';
+import { setupRestoration } from './restoration.js';
+import { setupSearch } from './search.js';
+import { setupStory } from './story.js';
+import { setupTimeline } from './timeline.js';
+import { setupTranscriptControls } from './transcripts.js';
+import { setupTuner } from './tuner.js';
+import { setupVisualizer } from './visualizer.js';
+
+/**
+ * Loads the data and starts the application, or explains why it couldn't
+ * @returns {Promise<boolean>} True once the application is running
+ */
+export async function startApplication() {
+  const allSheets = await loadAllTabs();
+  if (!allSheets) {
+    showDataLoadError();
+    return false;
+  }
+
+  renderDiagnostics();
+
+  // Initialize the application with the transformed data
+  initializeApplication();
+  return true;
+}
+
+/**
+ * Replaces the loading placeholders when no data source could be loaded
+ */
+function showDataLoadError() {
+  const contextTitle = document.querySelector('.historical-context h3');
+  const contextText = document.querySelector('.historical-context p');
+
+  if (contextTitle) contextTitle.textContent = t('app.loadErrorTitle');
+  if (contextText) contextText.textContent = t('app.loadErrorText');
+}
+
+/**
+ * Initializes the main application components after data is loaded
+ */
+function initializeApplication() {
+  // Map markers, legend and landmarks are skipped when there is no map
+  addStationMarkers();
+  setupLandmarkLayer();
+
+  // Initialize remaining application components (audio and UI)
+  setupDiagnosticsView();
+  initializeAudioPlayer();
+  setupPlaybackControls();
+  setupMediaSession();
+  setupTuner();
+  setupVisualizer();
+  setupRestoration();
+  setupCompare();
+  setupTimeline();
+  setupPlaybackQueue();
+  setupSearch();
+  setupTranscriptControls();
+  setupClips();
+  setupOffline();
+  setupDateSelector();
+  setupViewSelector();
+  setupStory();
+  setupDeepLinks(); // Load initial content for the linked (or default) date and station
+}
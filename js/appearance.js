@@ -0,0 +1,243 @@
+// Color themes, custom themes and light/dark mode, kept in appStore as `theme`.
+
+import { appStore } from './store.js';
+
+// Built-in color themes, as body classes ('' is the default blue); dark is a mode, not a theme
+export const colorThemes = ['', 'theme-yellow', 'theme-red', 'theme-retro-pink'];
+export const colorThemeNames = ['theme.blue', 'theme.yellow', 'theme.red', 'theme.retroPink']; // Messages naming them, same order
+
+// The color tokens from style.css a custom theme can set (with the message naming
+// each), one value for light and one for dark mode. Tokens it leaves out keep the
+// base theme's color.
+export const themeTokens = {
+  '--color-bg': 'theme.token.background',
+  '--color-text': 'theme.token.text',
+  '--color-white': 'theme.token.panels',
+  '--soft-bg': 'theme.token.fields',
+  '--muted-grey': 'theme.token.dividers',
+  '--alt-grey': 'theme.token.hover',
+  '--border-muted': 'theme.token.borders',
+  '--muted-text': 'theme.token.secondaryText',
+  '--color-primary': 'theme.token.primary',
+  '--accent-secondary': 'theme.token.accent',
+  '--accent-secondary-2': 'theme.token.accentBright',
+  '--accent-secondary-hover': 'theme.token.accentHover',
+  '--muted-primary-1': 'theme.token.mutedPrimary',
+  '--muted-primary-2': 'theme.token.mutedPrimaryAlt',
+  '--light-primary': 'theme.token.selectedStation',
+  '--signal-color': 'theme.token.signal',
+  '--danger': 'theme.token.danger'
+};
+
+// The current theme lives in appStore as `theme`:
+// { index, custom, mode, dark } - built-in theme, custom theme on top of it (or
+// null), the chosen mode ('system', 'light' or 'dark') and whether dark applies
+
+// System color scheme; missing in old browsers (and jsdom), where 'system' means light
+const systemDarkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+/**
+ * Works out whether dark mode applies
+ * @param {string} mode - 'system', 'light' or 'dark'
+ * @returns {boolean} True for dark
+ */
+function resolveDark(mode) {
+  return mode === 'system' ? Boolean(systemDarkQuery && systemDarkQuery.matches) : mode === 'dark';
+}
+
+export const customThemeNameLength = 40; // Longest name a custom theme keeps
+
+/**
+ * Checks a custom theme from storage, a file or a link, keeping only known tokens
+ * with #rrggbb colors
+ * @param {*} raw - Parsed JSON
+ * @returns {{name: string, base: number, light: Object, dark: Object}|null} Theme, or null if unusable
+ */
+export function normalizeCustomTheme(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = String(raw.name || '').trim().slice(0, customThemeNameLength);
+  if (!name) return null;
+
+  const base = Number.isInteger(raw.base) && raw.base >= 0 && raw.base < colorThemes.length ? raw.base : 0;
+  const colors = (set) => {
+    const clean = {};
+    Object.keys(themeTokens).forEach(token => {
+      const value = set && typeof set[token] === 'string' ? set[token].trim() : '';
+      if (/^#[0-9a-f]{6}$/i.test(value)) clean[token] = value.toLowerCase();
+    });
+    return clean;
+  };
+  return { name, base, light: colors(raw.light), dark: colors(raw.dark) };
+}
+
+/**
+ * Returns the custom themes saved in this browser
+ * @returns {Array<Object>} Themes, see normalizeCustomTheme()
+ */
+export function getCustomThemes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('customThemes') || '[]');
+    return Array.isArray(saved) ? saved.map(normalizeCustomTheme).filter(Boolean) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Saves a custom theme, replacing one with the same name. It is stored the way
+ * getCustomThemes() reads it back, so the name stays the same.
+ * @param {Object} theme - Theme, see normalizeCustomTheme()
+ * @returns {Object|null} The saved theme, or null if it is unusable
+ */
+export function saveCustomTheme(theme) {
+  const clean = normalizeCustomTheme(theme);
+  if (!clean) return null;
+
+  const themes = getCustomThemes().filter(saved => saved.name !== clean.name);
+  themes.push(clean);
+  localStorage.setItem('customThemes', JSON.stringify(themes));
+  return clean;
+}
+
+/**
+ * Deletes a saved custom theme; if it is in use the page falls back to its base theme
+ * @param {string} name - Theme name
+ */
+export function deleteCustomTheme(name) {
+  localStorage.setItem('customThemes', JSON.stringify(getCustomThemes().filter(saved => saved.name !== name)));
+  const { theme } = appStore.getState();
+  if (theme.custom && theme.custom.name === name) {
+    selectTheme(theme.index, null);
+  }
+}
+
+/**
+ * Switches to a built-in theme, optionally with a custom theme on top, and remembers it
+ * @param {number} index - Built-in theme index
+ * @param {Object|null} custom - Custom theme, or null
+ */
+export function selectTheme(index, custom) {
+  const { theme } = appStore.getState();
+  appStore.setState({ theme: { ...theme, index: custom ? custom.base : index, custom } });
+
+  // Save preference
+  localStorage.setItem('userThemeIndex', custom ? custom.base : index);
+  if (custom) {
+    localStorage.setItem('userCustomTheme', custom.name);
+  } else {
+    localStorage.removeItem('userCustomTheme');
+  }
+}
+
+/**
+ * Chooses light, dark, or following the system setting
+ * @param {string} mode - 'system', 'light' or 'dark'
+ */
+export function setThemeMode(mode) {
+  const { theme } = appStore.getState();
+  appStore.setState({ theme: { ...theme, mode, dark: resolveDark(mode) } });
+
+  // Save preference; no saved mode means following the system
+  if (mode === 'system') {
+    localStorage.removeItem('userMode');
+  } else {
+    localStorage.setItem('userMode', mode);
+  }
+}
+
+/**
+ * Toggles light/dark mode; overrides the system setting from then on
+ */
+function toggleMode() {
+  setThemeMode(appStore.getState().theme.dark ? 'light' : 'dark');
+}
+
+/**
+ * Cycles through the color themes: the built-in ones, then the saved custom ones
+ */
+function cycleTheme() {
+  const { theme } = appStore.getState();
+  const customThemes = getCustomThemes();
+  const customIndex = theme.custom ? customThemes.findIndex(saved => saved.name === theme.custom.name) : -1;
+  const position = customIndex >= 0 ? colorThemes.length + customIndex : theme.index;
+  const next = (position + 1) % (colorThemes.length + customThemes.length);
+
+  if (next < colorThemes.length) {
+    selectTheme(next, null);
+  } else {
+    selectTheme(0, customThemes[next - colorThemes.length]);
+  }
+}
+
+let appliedTokens = []; // Custom properties set inline by the current custom theme
+
+/**
+ * Applies the theme classes, dark mode and custom colors from the app state
+ * @param {Object} state - App state
+ */
+export function applyAppearance(state) {
+  const body = document.body;
+  const modeBtn = document.getElementById('mode-toggle');
+  const { index, dark, custom } = state.theme;
+
+  // Start from no theme class and no mode class
+  colorThemes.forEach(name => { if (name) body.classList.remove(name); });
+  body.classList.remove('mode-dark');
+
+  // Built-in color theme
+  const themeClass = colorThemes[index];
+  if (themeClass) {
+    body.classList.add(themeClass);
+  }
+
+  // Dark mode, with the matching icon on the toggle
+  if (dark) {
+    body.classList.add('mode-dark');
+    if (modeBtn) modeBtn.innerHTML = '🌙';
+  } else {
+    if (modeBtn) modeBtn.innerHTML = '☀️';
+  }
+  // Native controls and scrollbars follow the mode too
+  document.documentElement.style.colorScheme = dark ? 'dark' : 'light';
+
+  // Custom colors go inline on top of the theme classes
+  appliedTokens.forEach(token => body.style.removeProperty(token));
+  const colors = custom ? custom[dark ? 'dark' : 'light'] : {};
+  appliedTokens = Object.keys(colors);
+  appliedTokens.forEach(token => body.style.setProperty(token, colors[token]));
+}
+
+/**
+ * Restores the saved theme and mode and wires up the toggles
+ */
+export function setupAppearance() {
+  // Saved color theme, or a saved custom theme on top of its base
+  const savedThemeIndex = parseInt(localStorage.getItem('userThemeIndex'), 10);
+  const customName = localStorage.getItem('userCustomTheme');
+  const custom = getCustomThemes().find(saved => saved.name === customName) || null;
+  const index = custom ? custom.base
+    : savedThemeIndex >= 0 && savedThemeIndex < colorThemes.length ? savedThemeIndex : 0;
+
+  // Saved mode: an explicit choice wins, otherwise follow the system
+  const savedMode = localStorage.getItem('userMode');
+  const mode = savedMode === 'dark' || savedMode === 'light' ? savedMode : 'system';
+
+  appStore.watch(state => state.theme, applyAppearance);
+  appStore.setState({ theme: { index, custom, mode, dark: resolveDark(mode) } });
+  applyAppearance(appStore.getState());
+
+  // Keep following the system while no mode was chosen
+  if (systemDarkQuery) {
+    systemDarkQuery.addEventListener('change', () => {
+      const { theme } = appStore.getState();
+      if (theme.mode === 'system') {
+        appStore.setState({ theme: { ...theme, dark: resolveDark('system') } });
+      }
+    });
+  }
+
+  const modeBtn = document.getElementById('mode-toggle');
+  const themeBtn = document.getElementById('theme-toggle');
+  if (modeBtn) modeBtn.addEventListener('click', toggleMode);
+  if (themeBtn) themeBtn.addEventListener('click', cycleTheme);
+}
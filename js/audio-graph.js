@@ -0,0 +1,72 @@
+// Shared Web Audio graph for the player, and when a recording can be routed through it.
+
+import { audioPlayer } from './player.js';
+import { buildRestorationChain } from './restoration.js';
+
+// A media element can only be routed into Web Audio once, so the tuner, the
+// visualizer and the restoration chain share one graph:
+//   player -> restoration chain -> playerGain -> playerPan -> master -> destination
+//                                                                  \-> analyser
+export let audioGraph = null; // { context, source, playerGain, playerPan, master, analyser } once built
+
+/**
+ * Whether audio can be routed through Web Audio. Cross-origin files without CORS
+ * headers would come out silent, so only same-origin audio qualifies.
+ * @param {string} url - Audio URL
+ * @returns {boolean} True if the signal can be analysed
+ */
+export function canAnalyseAudio(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Sets how a media element fetches its next source. An element routed through
+ * Web Audio stays routed, and a cross-origin file would then play silent, so it
+ * is fetched with CORS instead: hosts that allow it keep playing through the
+ * graph, and the others fail with a load error the player can show.
+ * @param {HTMLMediaElement} element - Element about to load a source
+ * @param {string} url - The new source
+ * @param {boolean} routed - Whether the element already feeds a Web Audio graph
+ */
+export function prepareAudioSource(element, url, routed) {
+  if (routed && !canAnalyseAudio(url)) {
+    element.crossOrigin = 'anonymous';
+  } else {
+    element.removeAttribute('crossorigin');
+  }
+}
+
+/**
+ * Returns the shared Web Audio graph for the player, building it on first use.
+ * It is only built while the player's source can be analysed; later sources go
+ * through prepareAudioSource().
+ * @returns {Object|null} The graph, or null if the Web Audio API is unavailable
+ *   or the recording in the player can't be routed through it
+ */
+export function getAudioGraph() {
+  if (audioGraph) return audioGraph;
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !canAnalyseAudio(audioPlayer.currentSrc || audioPlayer.src)) return null;
+
+  const context = new AudioContextClass();
+  const source = context.createMediaElementSource(audioPlayer);
+  const playerGain = context.createGain();
+  const playerPan = context.createStereoPanner(); // Centered unless two stations are compared
+  const master = context.createGain();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.8;
+
+  const restoration = buildRestorationChain(context);
+  source.connect(restoration.input);
+  restoration.output.connect(playerGain).connect(playerPan).connect(master).connect(context.destination);
+  master.connect(analyser);
+
+  audioGraph = { context, source, playerGain, playerPan, master, analyser };
+  return audioGraph;
+}
@@ -0,0 +1,638 @@
+// Entry point for author.html: form-based editing of the stations, date descriptions
+// and per-date station entries, with a live preview and CSV/manifest export.
+
+import { setupAppearance } from './appearance.js';
+import {
+  createDraft, discardSavedDraft, draftTabToCsv, draftToManifest, getTabColumns, getTabSchema,
+  loadSavedDraft, removeStation, renameStation, saveDraft
+} from './authoring.js';
+import { getDateTabs, sheetTabs, stationStatusValues } from './config.js';
+import { activeDataSource, dataSources, loadAllTabs, validateSheetData } from './data.js';
+import { t } from './i18n.js';
+import { setupThemeBuilder } from './theme-builder.js';
+
+let draft = null;             // Content being edited, see createDraft()
+let selectedStationId = null; // Station shown in the Stations form
+let selectedDateId = getDateTabs()[0];
+let selectedEntryId = null;   // Station whose entry for selectedDateId is in the entry form
+let authorMap = null;         // Leaflet map with one draggable marker per station
+let stationMarkers = {};      // Leaflet marker per station id
+let saveTimeout = null;       // Pending draft save
+let previewTimeout = null;    // Pending preview reload
+
+// Columns edited in a multi-line box rather than a single-line field
+const longTextColumns = ['description', 'transcript', 'event', 'statusNote'];
+
+// Help shown under each field; columns without an entry get none
+const fieldHelp = {
+  id: 'Short unique id used in links and in the date tabs, e.g. rv',
+  lat: 'Latitude; drag the marker on the map to set it',
+  lng: 'Longitude; drag the marker on the map to set it',
+  icon: 'Path or URL of the marker and player icon, e.g. icons/rv.png',
+  frequency: 'Label on the radio dial, e.g. 846 kHz',
+  audioUrl: 'Path or URL of the recording, e.g. audio/rv_22.mp3',
+  transcript: 'Plain text, or timestamped lines such as [01:23] ...',
+  transcriptUrl: 'Optional WebVTT or SRT file with timestamps',
+  startTime: 'Original broadcast start, e.g. 21:30 or 1986-02-23 01:15',
+  duration: 'Length of the recording in seconds',
+  gain: 'Loudness correction in dB',
+  status: 'Leave blank for on air',
+  statusNote: 'Shown in the map popup, e.g. Transmitter knocked out before dawn'
+};
+
+// --- Draft ---
+
+/**
+ * Loads the draft saved in this browser, or starts one from the published content
+ * @returns {Promise<boolean>} True once there is a draft to edit
+ */
+async function loadDraft() {
+  draft = loadSavedDraft();
+  if (draft) {
+    setStatus(`Editing the draft saved ${new Date(draft.savedAt).toLocaleString()}, started from ${sourceLabel(draft.source)}. Changes are saved in this browser as you type.`);
+    return true;
+  }
+
+  const sheets = await loadAllTabs();
+  if (!sheets) {
+    setStatus('Could not load the content from any data source. Check your connection and reload the page.');
+    return false;
+  }
+
+  // Saved right away so the preview, which reads the draft, has something to show
+  draft = createDraft(sheets, activeDataSource);
+  saveDraft(draft);
+  setStatus(`Loaded from ${sourceLabel(draft.source)}. Changes are saved in this browser as you type.`);
+  return true;
+}
+
+/**
+ * Returns the display name of a data source
+ * @param {string} sourceName - Key of dataSources
+ * @returns {string} Label
+ */
+function sourceLabel(sourceName) {
+  return dataSources[sourceName] ? t(dataSources[sourceName].label) : 'an unknown source';
+}
+
+/**
+ * Shows a message in the status line
+ * @param {string} message - Message to show
+ */
+function setStatus(message) {
+  document.getElementById('author-status').textContent = message;
+}
+
+/**
+ * Records an edit: rechecks the content right away, then saves the draft and
+ * reloads the preview once typing pauses
+ */
+function draftChanged() {
+  renderProblems();
+
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => saveDraft(draft), 300);
+
+  clearTimeout(previewTimeout);
+  previewTimeout = setTimeout(reloadPreview, 1000);
+}
+
+/**
+ * Finds a station's row in Master
+ * @param {string} stationId - Station id
+ * @returns {Object|undefined} Row
+ */
+function getStationRow(stationId) {
+  return draft.sheets.Master.find(row => row.id === stationId);
+}
+
+/**
+ * Returns a station's name for lists, falling back to its id
+ * @param {string} stationId - Station id
+ * @returns {string} Name
+ */
+function stationName(stationId) {
+  const row = getStationRow(stationId);
+  return row && row.name ? `${row.name} (${stationId})` : stationId;
+}
+
+// --- Forms ---
+
+/**
+ * Builds a labelled field for each column of a tab, editing `row` in place
+ * @param {HTMLFormElement} form - Form to fill
+ * @param {string} tabName - Tab the row belongs to
+ * @param {Object} row - Row being edited
+ * @param {Object} [handlers] - Extra work per column: { column: { input, change } }
+ */
+function renderFields(form, tabName, row, handlers = {}) {
+  const schema = getTabSchema(tabName);
+  const columns = [...new Set([...Object.keys(schema), ...getTabColumns(draft, tabName)])];
+  form.innerHTML = '';
+
+  columns.forEach(column => {
+    const rules = schema[column] || {};
+    const value = row[column] == null ? '' : String(row[column]);
+    let control;
+
+    if (column === 'status') {
+      control = document.createElement('select');
+      ['', ...stationStatusValues].forEach(status => {
+        const option = document.createElement('option');
+        option.value = status;
+        option.textContent = status || 'on air (blank)';
+        control.appendChild(option);
+      });
+    } else if (longTextColumns.includes(column) || column.startsWith('transcript_')) {
+      control = document.createElement('textarea');
+      control.rows = column.startsWith('transcript') ? 6 : 3;
+    } else {
+      control = document.createElement('input');
+      control.type = rules.type === 'number' ? 'number' : 'text';
+      if (rules.type === 'number') {
+        control.step = 'any';
+        if (Number.isFinite(rules.min)) control.min = rules.min;
+        if (Number.isFinite(rules.max)) control.max = rules.max;
+      }
+    }
+    control.name = column;
+    control.value = value;
+    control.required = Boolean(rules.required);
+
+    const label = document.createElement('label');
+    label.className = 'author-field';
+    const name = document.createElement('span');
+    name.textContent = rules.required ? `${column} *` : column;
+    label.append(name, control);
+    if (fieldHelp[column]) {
+      const help = document.createElement('small');
+      help.textContent = fieldHelp[column];
+      label.appendChild(help);
+    }
+
+    const handler = handlers[column] || {};
+    if (handler.change) {
+      // Columns other rows refer to are only applied once the edit is finished
+      control.addEventListener('change', () => handler.change(control));
+    } else {
+      control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'input', () => {
+        row[column] = control.value;
+        if (handler.input) handler.input(control);
+        draftChanged();
+      });
+    }
+
+    form.appendChild(label);
+  });
+}
+
+/**
+ * Fills the station picker and the form for the selected station
+ */
+function renderStations() {
+  const select = document.getElementById('author-station-select');
+  const ids = draft.sheets.Master.map(row => row.id);
+  if (!ids.includes(selectedStationId)) selectedStationId = ids[0] || null;
+
+  select.innerHTML = '';
+  ids.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = stationName(id);
+    select.appendChild(option);
+  });
+  select.value = selectedStationId || '';
+  document.getElementById('author-remove-station').disabled = !selectedStationId;
+
+  const form = document.getElementById('author-station-form');
+  const row = getStationRow(selectedStationId);
+  if (!row) {
+    form.innerHTML = '<p>No stations yet.</p>';
+    return;
+  }
+
+  renderFields(form, 'Master', row, {
+    id: { change: control => changeStationId(row, control) },
+    name: { input: () => { select.selectedOptions[0].textContent = stationName(row.id); } },
+    lat: { input: () => placeStationMarker(row) },
+    lng: { input: () => placeStationMarker(row) }
+  });
+  highlightStationMarker();
+}
+
+/**
+ * Applies a new station id everywhere it is used, refusing blanks and duplicates
+ * @param {Object} row - Master row of the station
+ * @param {HTMLInputElement} control - The id field
+ */
+function changeStationId(row, control) {
+  const newId = control.value.trim();
+  if (newId === row.id) return;
+
+  if (!newId || getStationRow(newId)) {
+    setStatus(newId ? `Station id "${newId}" is already used.` : 'A station needs an id.');
+    control.value = row.id;
+    return;
+  }
+
+  const oldId = row.id;
+  renameStation(draft, oldId, newId);
+  if (selectedEntryId === oldId) selectedEntryId = newId;
+  selectedStationId = newId;
+  setStatus(`Renamed station "${oldId}" to "${newId}" in every tab.`);
+
+  renderStationMarkers();
+  renderStations();
+  renderDates();
+  draftChanged();
+}
+
+/**
+ * Adds a station at the middle of the map and selects it
+ */
+function addStation() {
+  let id = 'new-station';
+  for (let n = 2; getStationRow(id); n++) id = `new-station-${n}`;
+
+  const center = authorMap ? authorMap.getCenter() : { lat: 14.5995, lng: 120.9842 };
+  const row = Object.fromEntries(getTabColumns(draft, 'Master').map(column => [column, '']));
+  Object.assign(row, { id, name: 'New station', lat: center.lat.toFixed(4), lng: center.lng.toFixed(4) });
+  draft.sheets.Master.push(row);
+
+  selectedStationId = id;
+  renderStationMarkers();
+  renderStations();
+  renderDates();
+  draftChanged();
+  document.querySelector('#author-station-form [name="id"]').focus();
+}
+
+/**
+ * Removes the selected station and its date entries, after asking
+ */
+function removeSelectedStation() {
+  const stationId = selectedStationId;
+  const entries = getDateTabs().filter(tabName => draft.sheets[tabName].some(row => row.id === stationId)).length;
+  const question = `Remove ${stationName(stationId)}${entries ? ` and its entries on ${entries} date(s)` : ''}?`;
+  if (!stationId || !window.confirm(question)) return;
+
+  removeStation(draft, stationId);
+  selectedStationId = null;
+  renderStationMarkers();
+  renderStations();
+  renderDates();
+  draftChanged();
+}
+
+/**
+ * Fills the Dates section: the date's description and its station entries
+ */
+function renderDates() {
+  const dateTab = draft.sheets[selectedDateId];
+  document.getElementById('author-date-select').value = selectedDateId;
+
+  const descriptionRow = draft.sheets.Date_Descriptions.find(row => row.date === selectedDateId);
+  document.getElementById('author-date-event').value = descriptionRow ? descriptionRow.event : '';
+
+  // Entries of this date
+  const ids = dateTab.map(row => row.id);
+  if (!ids.includes(selectedEntryId)) selectedEntryId = ids[0] || null;
+  const entrySelect = document.getElementById('author-entry-select');
+  entrySelect.innerHTML = '';
+  ids.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = stationName(id);
+    entrySelect.appendChild(option);
+  });
+  entrySelect.value = selectedEntryId || '';
+  document.getElementById('author-remove-entry').disabled = !selectedEntryId;
+
+  // Stations that don't have an entry yet
+  const addSelect = document.getElementById('author-entry-add');
+  const missing = draft.sheets.Master.map(row => row.id).filter(id => id && !ids.includes(id));
+  addSelect.innerHTML = '';
+  missing.forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = stationName(id);
+    addSelect.appendChild(option);
+  });
+  addSelect.disabled = missing.length === 0;
+  document.getElementById('author-add-entry').disabled = missing.length === 0;
+
+  const form = document.getElementById('author-entry-form');
+  const row = dateTab.find(entry => entry.id === selectedEntryId);
+  if (!row) {
+    form.innerHTML = '<p>No station entries for this date yet.</p>';
+    return;
+  }
+
+  // The entry's station is picked above; changing it here would orphan the row
+  renderFields(form, selectedDateId, row, { id: { change: control => { control.value = row.id; } } });
+  form.querySelector('[name="id"]').readOnly = true;
+}
+
+/**
+ * Stores the description of the selected date, adding its Date_Descriptions row if needed
+ * @param {string} event - What happened that day
+ */
+function setDateEvent(event) {
+  let row = draft.sheets.Date_Descriptions.find(entry => entry.date === selectedDateId);
+  if (!row) {
+    row = { date: selectedDateId, event: '' };
+    draft.sheets.Date_Descriptions.push(row);
+  }
+  row.event = event;
+  draftChanged();
+}
+
+/**
+ * Adds an entry for the station picked in the "add" list to the selected date
+ */
+function addEntry() {
+  const stationId = document.getElementById('author-entry-add').value;
+  if (!stationId) return;
+
+  const row = Object.fromEntries(getTabColumns(draft, selectedDateId).map(column => [column, '']));
+  row.id = stationId;
+  draft.sheets[selectedDateId].push(row);
+
+  selectedEntryId = stationId;
+  renderDates();
+  draftChanged();
+  showInPreview();
+}
+
+/**
+ * Removes the selected station entry from the selected date, after asking
+ */
+function removeEntry() {
+  if (!selectedEntryId || !window.confirm(`Remove the entry for ${stationName(selectedEntryId)} on ${selectedDateId}?`)) return;
+
+  draft.sheets[selectedDateId] = draft.sheets[selectedDateId].filter(row => row.id !== selectedEntryId);
+  selectedEntryId = null;
+  renderDates();
+  draftChanged();
+}
+
+// --- Map ---
+
+/**
+ * Creates the map the station markers are dragged on
+ */
+function initializeAuthorMap() {
+  if (typeof L === 'undefined' || !document.getElementById('author-map')) return;
+
+  authorMap = L.map('author-map').setView([14.5995, 120.9842], 11);
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+  }).addTo(authorMap);
+}
+
+/**
+ * Rebuilds the station markers from Master
+ */
+function renderStationMarkers() {
+  if (!authorMap) return;
+
+  Object.values(stationMarkers).forEach(marker => marker.remove());
+  stationMarkers = {};
+  draft.sheets.Master.forEach(placeStationMarker);
+  highlightStationMarker();
+}
+
+/**
+ * Moves a station's marker to the coordinates in its row, adding the marker
+ * if it doesn't exist yet; rows without valid coordinates get none
+ * @param {Object} row - Master row
+ */
+function placeStationMarker(row) {
+  if (!authorMap) return;
+
+  const lat = parseFloat(row.lat);
+  const lng = parseFloat(row.lng);
+  let marker = stationMarkers[row.id];
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    if (marker) marker.remove();
+    delete stationMarkers[row.id];
+    return;
+  }
+
+  if (marker) {
+    marker.setLatLng([lat, lng]);
+    return;
+  }
+
+  marker = L.marker([lat, lng], { draggable: true, title: row.name || row.id, autoPan: true }).addTo(authorMap);
+  marker.on('click', () => editStation(row.id));
+  marker.on('dragend', () => {
+    const position = marker.getLatLng();
+    row.lat = position.lat.toFixed(4);
+    row.lng = position.lng.toFixed(4);
+    editStation(row.id);
+    draftChanged();
+  });
+  stationMarkers[row.id] = marker;
+}
+
+/**
+ * Dims every marker except the selected station's
+ */
+function highlightStationMarker() {
+  Object.keys(stationMarkers).forEach(id => {
+    stationMarkers[id].setOpacity(id === selectedStationId ? 1 : 0.5);
+    stationMarkers[id].setZIndexOffset(id === selectedStationId ? 1000 : 0);
+  });
+}
+
+/**
+ * Shows a station in the Stations form
+ * @param {string} stationId - Station id
+ */
+function editStation(stationId) {
+  selectedStationId = stationId;
+  document.getElementById('authorSection').value = 'stations';
+  showSection('stations');
+  renderStations();
+}
+
+// --- Problems, export and preview ---
+
+/**
+ * Runs the content checks on the draft and lists what they found
+ */
+function renderProblems() {
+  // Parse errors belong to the loaded files, not to the draft
+  const report = validateSheetData(draft.sheets, {});
+  const container = document.getElementById('author-problems');
+  const option = document.querySelector('#authorSection option[value="problems"]');
+  option.textContent = report.issues.length ? `Problems (${report.errors} error(s), ${report.warnings} warning(s))` : 'Problems';
+
+  if (report.issues.length === 0) {
+    container.innerHTML = '<p>No problems found.</p>';
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'diagnostics-table';
+  table.innerHTML = '<thead><tr><th>Severity</th><th>Tab</th><th>Row</th><th>Column</th><th>Problem</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  report.issues.forEach(issue => {
+    const tr = document.createElement('tr');
+    tr.className = `diagnostics-${issue.severity}`;
+    [issue.severity, issue.tab, issue.row || '', issue.column || '', t(issue.message, issue.params)].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+/**
+ * Downloads a file built in the page
+ * @param {string} fileName - Name to save it under
+ * @param {string} body - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(fileName, body, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([body], { type }));
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Adds a download button per tab to the Export section
+ */
+function setupExport() {
+  const csvButtons = document.getElementById('author-export-csv');
+  sheetTabs.forEach(tabName => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = `${tabName}.csv`;
+    button.addEventListener('click', () => downloadFile(`${tabName}.csv`, draftTabToCsv(draft, tabName), 'text/csv'));
+    csvButtons.appendChild(button);
+  });
+
+  document.getElementById('author-export-json').addEventListener('click', () => {
+    downloadFile('manifest.json', JSON.stringify(draftToManifest(draft), null, 2) + '\n', 'application/json');
+  });
+}
+
+/**
+ * Reloads the preview, keeping the date, station and view it is showing
+ */
+function reloadPreview() {
+  clearTimeout(previewTimeout);
+  saveDraft(draft);
+  const preview = document.getElementById('author-preview');
+  if (preview.contentWindow && preview.getAttribute('src')) {
+    preview.contentWindow.location.reload();
+  }
+}
+
+/**
+ * Points the preview at the date and station entry being edited
+ */
+function showInPreview() {
+  clearTimeout(previewTimeout);
+  saveDraft(draft);
+  const params = new URLSearchParams({ source: 'draft', date: selectedDateId });
+  if (selectedEntryId) params.set('station', selectedEntryId);
+  document.getElementById('author-preview').src = `index.html?${params}`;
+}
+
+// --- Setup ---
+
+/**
+ * Shows one section of the panel
+ * @param {string} value - Section name, a value of #authorSection
+ */
+function showSection(value) {
+  document.querySelectorAll('.option-content').forEach(block => {
+    block.classList.toggle('active', block.dataset.value === value);
+  });
+}
+
+/**
+ * Wires up the section selector, pickers and buttons
+ */
+function setupAuthoringControls() {
+  const sectionSelect = document.getElementById('authorSection');
+  sectionSelect.addEventListener('change', () => showSection(sectionSelect.value));
+  showSection(sectionSelect.value);
+
+  document.getElementById('author-station-select').addEventListener('change', (e) => {
+    selectedStationId = e.target.value;
+    renderStations();
+    const marker = stationMarkers[selectedStationId];
+    if (marker) authorMap.panTo(marker.getLatLng());
+  });
+  document.getElementById('author-add-station').addEventListener('click', addStation);
+  document.getElementById('author-remove-station').addEventListener('click', removeSelectedStation);
+
+  const dateSelect = document.getElementById('author-date-select');
+  getDateTabs().forEach(tabName => {
+    const option = document.createElement('option');
+    option.value = tabName;
+    option.textContent = `February ${tabName.replace('Feb', '')}`;
+    dateSelect.appendChild(option);
+  });
+  dateSelect.addEventListener('change', () => {
+    selectedDateId = dateSelect.value;
+    renderDates();
+    showInPreview();
+  });
+  document.getElementById('author-date-event').addEventListener('input', (e) => setDateEvent(e.target.value));
+  document.getElementById('author-entry-select').addEventListener('change', (e) => {
+    selectedEntryId = e.target.value;
+    renderDates();
+    showInPreview();
+  });
+  document.getElementById('author-add-entry').addEventListener('click', addEntry);
+  document.getElementById('author-remove-entry').addEventListener('click', removeEntry);
+
+  document.getElementById('author-discard').addEventListener('click', () => {
+    if (!window.confirm('Discard every change in this draft and start again from the published content?')) return;
+    clearTimeout(saveTimeout);
+    clearTimeout(previewTimeout);
+    discardSavedDraft();
+    window.location.reload();
+  });
+  document.getElementById('author-preview-refresh').addEventListener('click', reloadPreview);
+
+  // Forms never submit; Enter in a field shouldn't reload the page
+  document.querySelectorAll('.author-form').forEach(form => {
+    form.addEventListener('submit', e => e.preventDefault());
+  });
+
+  setupExport();
+}
+
+/**
+ * Loads the content and builds the page
+ */
+async function initializeAuthoring() {
+  initializeAuthorMap();
+  if (!await loadDraft()) return;
+
+  setupAuthoringControls();
+  renderStationMarkers();
+  renderStations();
+  renderDates();
+  renderProblems();
+  showInPreview();
+}
+
+setupAppearance();
+setupThemeBuilder();
+initializeAuthoring();
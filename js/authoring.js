@@ -0,0 +1,156 @@
+// Authoring drafts: an editable copy of the content tabs, kept in localStorage,
+// and its export as CSV tabs or a JSON manifest.
+
+import { authoringDraftKey, getDateTabs, sheetTabs } from './config.js';
+import { toCsvField } from './csv.js';
+import { sheetSchemas } from './data.js';
+
+/**
+ * Returns the declared schema of a tab
+ * @param {string} tabName - Tab name, e.g. 'Master' or 'Feb23'
+ * @returns {Object} Column rules from sheetSchemas
+ */
+export function getTabSchema(tabName) {
+  return sheetSchemas[tabName] || sheetSchemas.dateTab;
+}
+
+/**
+ * Creates a draft from raw tab data, as returned by loadAllTabs()
+ * @param {Object} sheets - Rows per tab, every value a string
+ * @param {string} source - Name of the data source the rows came from
+ * @returns {{source: string, savedAt: string|null, sheets: Object, columns: Object}} Draft;
+ *   `columns` keeps each tab's original column order for the exports
+ */
+export function createDraft(sheets, source) {
+  const draft = { source, savedAt: null, sheets: {}, columns: {} };
+
+  sheetTabs.forEach(tabName => {
+    const rows = (sheets[tabName] || []).map(row => ({ ...row }));
+    draft.sheets[tabName] = rows;
+    draft.columns[tabName] = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  });
+  return draft;
+}
+
+/**
+ * Returns the draft saved in this browser, if any
+ * @returns {Object|null} Draft from createDraft(), or null if none is saved or
+ *   what is saved doesn't look like one
+ */
+export function loadSavedDraft() {
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  try {
+    const saved = JSON.parse(localStorage.getItem(authoringDraftKey) || 'null');
+    if (saved === null) return null;
+    if (!isObject(saved) || !isObject(saved.sheets)) {
+      console.warn('Ignoring authoring draft without sheets:', saved);
+      return null;
+    }
+    return { ...saved, columns: isObject(saved.columns) ? saved.columns : {} };
+  } catch (error) {
+    console.warn('Ignoring unreadable authoring draft:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the draft in this browser, where the `draft` data source can read it
+ * @param {Object} draft - Draft to save
+ */
+export function saveDraft(draft) {
+  draft.savedAt = new Date().toISOString();
+  localStorage.setItem(authoringDraftKey, JSON.stringify(draft));
+}
+
+/**
+ * Deletes the draft saved in this browser
+ */
+export function discardSavedDraft() {
+  localStorage.removeItem(authoringDraftKey);
+}
+
+/**
+ * Lists a tab's columns in export order: the columns it was loaded with, then
+ * schema columns that are always expected, then any other column that has a value
+ * @param {Object} draft - Draft
+ * @param {string} tabName - Tab name
+ * @returns {Array<string>} Column names
+ */
+export function getTabColumns(draft, tabName) {
+  const rows = draft.sheets[tabName] || [];
+  const schema = getTabSchema(tabName);
+  const columns = [...(draft.columns[tabName] || [])];
+
+  Object.keys(schema).forEach(column => {
+    if (!schema[column].optional && !columns.includes(column)) columns.push(column);
+  });
+  rows.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if ((row[column] || '') !== '' && !columns.includes(column)) columns.push(column);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Changes a station's id in Master and in every date tab, so its entries stay linked
+ * @param {Object} draft - Draft
+ * @param {string} oldId - Current id
+ * @param {string} newId - New id
+ */
+export function renameStation(draft, oldId, newId) {
+  sheetTabs.forEach(tabName => {
+    draft.sheets[tabName].forEach(row => {
+      if (tabName !== 'Date_Descriptions' && row.id === oldId) row.id = newId;
+    });
+  });
+}
+
+/**
+ * Removes a station from Master together with its entries in the date tabs
+ * @param {Object} draft - Draft
+ * @param {string} stationId - Station to remove
+ */
+export function removeStation(draft, stationId) {
+  ['Master', ...getDateTabs()].forEach(tabName => {
+    draft.sheets[tabName] = draft.sheets[tabName].filter(row => row.id !== stationId);
+  });
+}
+
+/**
+ * Builds the CSV file for one tab, in the layout the `csv` data source reads
+ * @param {Object} draft - Draft
+ * @param {string} tabName - Tab name
+ * @returns {string} CSV text with a header row
+ */
+export function draftTabToCsv(draft, tabName) {
+  const columns = getTabColumns(draft, tabName);
+  const lines = draft.sheets[tabName].map(row => columns.map(column => toCsvField(row[column])).join(','));
+  return [columns.map(toCsvField).join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Builds a manifest in the layout of data/manifest.json. Number columns are
+ * written as numbers; everything else stays text.
+ * @param {Object} draft - Draft
+ * @returns {Object} Manifest keyed by tab name
+ */
+export function draftToManifest(draft) {
+  const manifest = {};
+
+  sheetTabs.forEach(tabName => {
+    const schema = getTabSchema(tabName);
+    const columns = getTabColumns(draft, tabName);
+
+    manifest[tabName] = draft.sheets[tabName].map(row => {
+      const entry = {};
+      columns.forEach(column => {
+        const value = row[column] == null ? '' : String(row[column]);
+        const number = Number(value);
+        entry[column] = schema[column]?.type === 'number' && value.trim() !== '' && Number.isFinite(number) ? number : value;
+      });
+      return entry;
+    });
+  });
+  return manifest;
+}
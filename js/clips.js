@@ -0,0 +1,352 @@
+// My Clips: bookmarked moments with notes, kept in IndexedDB and shared as JSON or CSV.
+
+import { announce } from './a11y.js';
+import { getDateTabs } from './config.js';
+import { csvToObjects, toCsvField } from './csv.js';
+import { stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { audioPlayer, playAudio } from './player.js';
+import { appStore } from './store.js';
+import { openTimelineEntry } from './timeline.js';
+import { formatClock } from './transcripts.js';
+
+const clipsDbName = 'people-power-radio';
+const clipsStoreName = 'clips';
+const clipColumns = ['dateId', 'stationId', 'start', 'end', 'note', 'createdAt']; // Export/import columns
+
+let clipsDb = null;       // Promise of the open IndexedDB database
+let clipDraft = { start: null, end: null }; // In/out points being marked on the current recording
+let playingClip = null;   // Clip whose range is being replayed; playback stops at its end
+
+/**
+ * Opens the clips database, creating its store on first use. Clips are keyed by
+ * date, station id and start time.
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openClipsDb() {
+  if (clipsDb) return clipsDb;
+
+  clipsDb = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(clipsDbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(clipsStoreName, { keyPath: ['dateId', 'stationId', 'start'] });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return clipsDb;
+}
+
+/**
+ * Runs one request against the clips store and resolves with its result
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+async function withClipsStore(mode, makeRequest) {
+  const db = await openClipsDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(clipsStoreName, mode).objectStore(clipsStoreName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Returns every saved clip, in date, station and time order
+ * @returns {Promise<Array<Object>>} Clips
+ */
+function getAllClips() {
+  return withClipsStore('readonly', store => store.getAll());
+}
+
+/**
+ * Saves a clip, replacing any clip that starts at the same moment
+ * @param {Object} clip - Clip with dateId, stationId, start, end and note
+ * @returns {Promise} Settles when stored
+ */
+function saveClip(clip) {
+  return withClipsStore('readwrite', store => store.put(clip));
+}
+
+/**
+ * Deletes a clip
+ * @param {Object} clip - Clip to delete
+ * @returns {Promise} Settles when deleted
+ */
+function deleteClip(clip) {
+  return withClipsStore('readwrite', store => store.delete([clip.dateId, clip.stationId, clip.start]));
+}
+
+/**
+ * Checks an imported clip and normalizes its fields. Clips must point at a date
+ * tab and a station from the Master tab.
+ * @param {*} raw - Clip from a JSON or CSV file
+ * @returns {Object|null} Clean clip, or null if it is unusable
+ */
+function normalizeClip(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const dateId = String(raw.dateId ?? '').trim();
+  const stationId = String(raw.stationId ?? '').trim();
+  const start = parseFloat(raw.start);
+  const end = parseFloat(raw.end);
+  if (!getDateTabs().includes(dateId) || !stations.some(s => s.id === stationId) ||
+    !Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return null;
+  }
+  return {
+    dateId,
+    stationId,
+    start,
+    end,
+    note: raw.note ? String(raw.note) : '',
+    createdAt: raw.createdAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Marks the in or out point of the draft clip at the current playback position
+ * @param {string} point - 'start' or 'end'
+ */
+function markClipPoint(point) {
+  const audio = audioPlayer;
+  clipDraft[point] = Math.round(audio.currentTime * 10) / 10;
+
+  // Marking an out point before the in point swaps them
+  if (clipDraft.start !== null && clipDraft.end !== null && clipDraft.end < clipDraft.start) {
+    clipDraft = { start: clipDraft.end, end: clipDraft.start };
+  }
+  renderClipDraft();
+}
+
+/**
+ * Shows the draft clip's range and enables saving once it has both points
+ */
+function renderClipDraft() {
+  const range = document.getElementById('clip-range');
+  const saveBtn = document.getElementById('clip-save-btn');
+  const format = value => value === null ? '–' : formatClock(value);
+
+  range.textContent = t('clips.range', { start: format(clipDraft.start), end: format(clipDraft.end) });
+  saveBtn.disabled = clipDraft.start === null || clipDraft.end === null || clipDraft.end <= clipDraft.start;
+}
+
+/**
+ * Saves the draft clip for the recording in the player
+ * @param {Event} e - Form submit event
+ */
+async function saveClipDraft(e) {
+  e.preventDefault();
+  const noteInput = document.getElementById('clip-note');
+  const clip = normalizeClip({
+    dateId: appStore.getState().recording?.dateId,
+    stationId: appStore.getState().recording?.stationId,
+    start: clipDraft.start,
+    end: clipDraft.end,
+    note: noteInput.value.trim()
+  });
+  if (!clip) return;
+
+  try {
+    await saveClip(clip);
+    clipDraft = { start: null, end: null };
+    noteInput.value = '';
+    renderClipDraft();
+    announce(t('clips.saved'));
+    renderClips();
+  } catch (error) {
+    console.error('Could not save clip:', error);
+    setClipsStatus(t('clips.saveError', { error: error.message }));
+  }
+}
+
+/**
+ * Replays a clip's range on its recording
+ * @param {Object} clip - Clip to play
+ */
+function playClip(clip) {
+  playingClip = clip;
+  openTimelineEntry({ dateId: clip.dateId, stationId: clip.stationId }, clip.start);
+
+  if (audioPlayer.paused) playAudio();
+}
+
+/**
+ * Stops playback at the end of the clip being replayed
+ */
+function checkClipEnd() {
+  if (!playingClip) return;
+
+  const { recording } = appStore.getState();
+  const sameRecording = recording?.dateId === playingClip.dateId && recording?.stationId === playingClip.stationId;
+
+  if (!sameRecording) {
+    playingClip = null;
+  } else if (audioPlayer.currentTime >= playingClip.end) {
+    playingClip = null;
+    audioPlayer.pause();
+  }
+}
+
+/**
+ * Shows a message under the clips list
+ * @param {string} message - Text to show
+ */
+function setClipsStatus(message) {
+  const status = document.getElementById('clips-status');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Lists the saved clips with buttons to replay or delete each one
+ */
+export async function renderClips() {
+  const list = document.getElementById('clips-list');
+  if (!list) return;
+
+  let clips;
+  try {
+    clips = await getAllClips();
+  } catch (error) {
+    setClipsStatus(t('clips.unavailable', { error: error.message }));
+    return;
+  }
+
+  list.innerHTML = '';
+  setClipsStatus(clips.length === 0 ? t('clips.empty') : t('clips.count', { count: clips.length }));
+
+  clips.forEach(clip => {
+    const station = stations.find(s => s.id === clip.stationId);
+    const title = formatDateTab(clip.dateId);
+
+    const item = document.createElement('li');
+    item.className = 'clip-item';
+
+    // Clips can come from someone else's export, so nothing in them is treated as markup
+    const heading = document.createElement('span');
+    heading.className = 'clip-heading';
+    heading.textContent = `${title} · ${station ? station.name : clip.stationId} · ${formatClock(clip.start)}–${formatClock(clip.end)}`;
+    const note = document.createElement('p');
+    note.className = 'clip-note';
+    note.textContent = clip.note;
+    item.append(heading, note);
+
+    const playBtn = document.createElement('button');
+    playBtn.textContent = t('clips.play');
+    playBtn.addEventListener('click', () => playClip(clip));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = t('clips.delete');
+    deleteBtn.addEventListener('click', () => {
+      deleteClip(clip).then(renderClips, error => setClipsStatus(t('clips.saveError', { error: error.message })));
+    });
+
+    item.append(playBtn, deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Downloads every clip as a JSON or CSV file
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportClips(format) {
+  let clips;
+  try {
+    clips = await getAllClips();
+  } catch (error) {
+    console.error('Could not read clips:', error);
+    setClipsStatus(t('clips.unavailable', { error: error.message }));
+    return;
+  }
+
+  const body = format === 'csv'
+    ? [clipColumns.join(','), ...clips.map(clip => clipColumns.map(column => toCsvField(clip[column])).join(','))].join('\n')
+    : JSON.stringify({ exportedAt: new Date().toISOString(), clips }, null, 2);
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+  link.download = `people-power-radio-clips.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Some browsers cancel the download if the URL goes right away
+}
+
+/**
+ * Imports clips from a JSON or CSV file exported by exportClips()
+ * @param {File} file - Chosen file
+ */
+async function importClips(file) {
+  const text = await file.text();
+  let rows;
+
+  try {
+    if (/\.json$/i.test(file.name) || text.trim().startsWith('{') || text.trim().startsWith('[')) {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed.clips || [];
+    } else {
+      rows = csvToObjects(text).objects;
+    }
+  } catch (error) {
+    setClipsStatus(t('clips.readError', { file: file.name, error: error.message }));
+    return;
+  }
+
+  const clips = rows.map(normalizeClip).filter(Boolean);
+  try {
+    await Promise.all(clips.map(saveClip));
+  } catch (error) {
+    // Private browsing or a full quota; some clips may have been stored before the failure
+    console.error('Could not import clips:', error);
+    await renderClips();
+    setClipsStatus(t('clips.saveError', { error: error.message }));
+    return;
+  }
+  await renderClips();
+
+  const skipped = rows.length - clips.length;
+  setClipsStatus([
+    t('clips.imported', { count: clips.length, file: file.name }),
+    skipped ? t('clips.skipped', { count: skipped }) : ''
+  ].join(' ').trim());
+}
+
+/**
+ * Wires up the clip buttons in the player and the My Clips panel
+ */
+export function setupClips() {
+  const form = document.getElementById('clip-form');
+  if (!form) return;
+
+  document.getElementById('clip-in-btn').addEventListener('click', () => markClipPoint('start'));
+  document.getElementById('clip-out-btn').addEventListener('click', () => markClipPoint('end'));
+  form.addEventListener('submit', saveClipDraft);
+
+  document.getElementById('clips-export-json').addEventListener('click', () => exportClips('json'));
+  document.getElementById('clips-export-csv').addEventListener('click', () => exportClips('csv'));
+
+  const importInput = document.getElementById('clips-import');
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) importClips(importInput.files[0]);
+    importInput.value = '';
+  });
+
+  // A draft belongs to one recording; start over when the station or date changes
+  audioPlayer.addEventListener('loadstart', () => {
+    clipDraft = { start: null, end: null };
+    renderClipDraft();
+  });
+  audioPlayer.addEventListener('timeupdate', checkClipEnd);
+  appStore.watch(state => state.locale, state => {
+    renderClipDraft();
+    if (state.view === 'clips') renderClips();
+  });
+
+  renderClipDraft();
+}
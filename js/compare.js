@@ -0,0 +1,323 @@
+// Station comparison: a second station for the same date plays alongside the player,
+// kept on the same moment, either both at once, panned left and right, or one at a
+// time with a switch.
+
+import { announce } from './a11y.js';
+import { canAnalyseAudio, getAudioGraph, prepareAudioSource } from './audio-graph.js';
+import { dateContent, getRecordingData, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { audioPlayer } from './player.js';
+import { appStore } from './store.js';
+import { getTimelineEntries } from './timeline.js';
+
+const compareDriftLimit = 0.3;   // Seconds the second player may drift before it is moved back in step
+
+export let compareAudio = null;  // The second <audio> element, set by setupCompare()
+let compareOpen = false;         // Whether the comparison panel is open
+let compareGraph = null;         // { source, pan } once the second player is routed through Web Audio
+let compareLoaded = '';          // "dateId/stationId" of the recording in compareAudio
+
+/**
+ * Returns the stations with a recording on a date, other than the one in the player
+ * @param {string} dateId - Date tab
+ * @param {string} [exceptId] - Station to leave out
+ * @returns {Array<Object>} Stations from the Master tab
+ */
+function getCompareStations(dateId, exceptId) {
+  return stations.filter(station => station.id !== exceptId && dateContent[dateId]?.stations[station.id]);
+}
+
+/**
+ * Returns the date-specific data of the compared recording
+ * @returns {Object|undefined} Entry from dateContent, or undefined when not comparing
+ */
+export function getCompareRecording() {
+  const { recording, compare } = appStore.getState();
+  return compare && recording ? getRecordingData({ dateId: recording.dateId, stationId: compare.stationId }) : undefined;
+}
+
+/**
+ * Works out how far the compared recording runs ahead of the player. Recordings
+ * with a broadcast start time line up by the clock; others by their position.
+ * @returns {number} Seconds to add to the player's position
+ */
+function getCompareOffset() {
+  const { recording, compare } = appStore.getState();
+  if (!recording || !compare) return 0;
+
+  const entries = getTimelineEntries();
+  const find = stationId => entries.find(e => e.dateId === recording.dateId && e.stationId === stationId);
+  const playing = find(recording.stationId);
+  const compared = find(compare.stationId);
+  return playing?.scheduled && compared?.scheduled ? (playing.start - compared.start) * 60 : 0;
+}
+
+/**
+ * Whether both stations can be heard at once, panned apart. That takes Web
+ * Audio, which can only process recordings served from this site.
+ * @returns {boolean} True if the stereo mix is possible
+ */
+function canPanCompare() {
+  const data = getCompareRecording();
+  return Boolean(window.AudioContext || window.webkitAudioContext) &&
+    canAnalyseAudio(audioPlayer.currentSrc || audioPlayer.src) &&
+    Boolean(data) && canAnalyseAudio(data.audioUrl);
+}
+
+/**
+ * Opens the comparison with a station, or the first other one with a recording that day
+ * @param {string} [stationId] - Station to compare the player with
+ */
+export function startCompare(stationId) {
+  compareOpen = true;
+  const { recording, compare } = appStore.getState();
+  const choices = recording ? getCompareStations(recording.dateId, recording.stationId) : [];
+  const station = choices.find(s => s.id === stationId) || choices[0];
+
+  if (!station) {
+    appStore.setState({ compare: null });
+    renderComparePanel(appStore.getState());
+    return;
+  }
+
+  appStore.setState({
+    compare: {
+      stationId: station.id,
+      mix: compare?.mix || localStorage.getItem('compareMix') || 'stereo',
+      listen: compare?.listen || 'a'
+    }
+  });
+}
+
+/**
+ * Closes the comparison; the player goes back to one station in the center
+ */
+export function stopCompare() {
+  compareOpen = false;
+  if (appStore.getState().compare) {
+    appStore.setState({ compare: null });
+  } else {
+    renderComparePanel(appStore.getState());
+  }
+}
+
+/**
+ * Chooses between hearing both stations panned apart or one at a time
+ * @param {string} mix - 'stereo' or 'switch'
+ */
+export function setCompareMix(mix) {
+  const { compare } = appStore.getState();
+  localStorage.setItem('compareMix', mix);
+  if (compare) appStore.setState({ compare: { ...compare, mix } });
+}
+
+/**
+ * Swaps which station is heard in the one-at-a-time mix
+ * @returns {boolean} False if there is no comparison to switch
+ */
+export function switchCompareListening() {
+  const { compare } = appStore.getState();
+  if (!compare) return false;
+
+  appStore.setState({ compare: { ...compare, mix: 'switch', listen: compare.listen === 'a' ? 'b' : 'a' } });
+  announce(t('compare.listening', { station: getListeningStationName(appStore.getState()) }));
+  return true;
+}
+
+/**
+ * Seeks both players to a moment of the compared recording
+ * @param {number} seconds - Position in the compared recording
+ */
+export function seekCompareTo(seconds) {
+  audioPlayer.currentTime = Math.max(0, seconds - getCompareOffset());
+  syncCompareAudio();
+}
+
+/**
+ * Keeps the compared recording on the player's moment, playing while the player
+ * plays and silent where it has no audio for that moment
+ */
+function syncCompareAudio() {
+  if (!compareLoaded) return;
+
+  const target = audioPlayer.currentTime + getCompareOffset();
+  const inRange = target >= 0 && !(compareAudio.duration && target > compareAudio.duration);
+
+  if (inRange && Math.abs(compareAudio.currentTime - target) > compareDriftLimit) {
+    compareAudio.currentTime = target;
+  }
+  if (inRange && !audioPlayer.paused) {
+    compareAudio.play().catch(error => console.log('Compared station playback was prevented:', error));
+  } else {
+    compareAudio.pause();
+  }
+}
+
+/**
+ * Loads the compared station's recording for the player's date, and unloads it
+ * once the comparison is closed
+ */
+function loadCompareAudio() {
+  const { recording, compare } = appStore.getState();
+  const data = getCompareRecording();
+  const key = data ? `${recording.dateId}/${compare.stationId}` : '';
+  if (key === compareLoaded) return;
+
+  compareLoaded = key;
+  compareAudio.pause();
+  if (!data) {
+    compareAudio.removeAttribute('src');
+    compareAudio.load();
+    return;
+  }
+
+  console.log(`Comparing with: ${compare.stationId}, Audio: ${data.audioUrl}`);
+  prepareAudioSource(compareAudio, data.audioUrl, Boolean(compareGraph));
+  compareAudio.src = data.audioUrl;
+  compareAudio.volume = audioPlayer.volume;
+  compareAudio.defaultPlaybackRate = audioPlayer.defaultPlaybackRate;
+  compareAudio.load();
+  syncCompareAudio();
+}
+
+/**
+ * Applies the mix: both stations panned apart, one muted, or the player alone
+ * @param {Object} state - App state
+ */
+function applyCompareMix(state) {
+  const { compare } = state;
+  const stereo = Boolean(compare) && compare.mix === 'stereo' && canPanCompare();
+
+  if (stereo && !compareGraph) {
+    // Built from the click that chose the mix, since browsers only start audio from a gesture
+    const graph = getAudioGraph();
+    const pan = graph.context.createStereoPanner();
+    const source = graph.context.createMediaElementSource(compareAudio);
+    source.connect(pan).connect(graph.master);
+    compareGraph = { source, pan };
+  }
+
+  const graph = compareGraph ? getAudioGraph() : null;
+  if (graph) {
+    graph.context.resume();
+    graph.playerPan.pan.value = stereo ? -1 : 0;
+    compareGraph.pan.pan.value = stereo ? 1 : 0;
+  }
+
+  audioPlayer.muted = Boolean(compare) && !stereo && compare.listen === 'b';
+  compareAudio.muted = !compare || (!stereo && compare.listen === 'a');
+}
+
+/**
+ * Names the station heard in the one-at-a-time mix
+ * @param {Object} state - App state
+ * @returns {string} Station name
+ */
+function getListeningStationName(state) {
+  const stationId = state.compare.listen === 'b' ? state.compare.stationId : state.recording.stationId;
+  return stations.find(s => s.id === stationId)?.name || stationId;
+}
+
+/**
+ * Shows the comparison panel with its station choices, mix and status
+ * @param {Object} state - App state
+ */
+function renderComparePanel(state) {
+  const { compare, recording } = state;
+  const button = document.getElementById('compare-btn');
+  const panel = document.getElementById('compare-panel');
+  const stationSelect = document.getElementById('compare-station');
+  const mixSelect = document.getElementById('compare-mix');
+  const switchBtn = document.getElementById('compare-switch-btn');
+  const status = document.getElementById('compare-status');
+
+  panel.hidden = !compareOpen;
+  button.classList.toggle('active', Boolean(compare));
+  button.setAttribute('aria-pressed', Boolean(compare));
+
+  stationSelect.innerHTML = '';
+  if (recording) {
+    getCompareStations(recording.dateId, recording.stationId).forEach(station => {
+      const option = document.createElement('option');
+      option.value = station.id;
+      option.textContent = station.name;
+      stationSelect.appendChild(option);
+    });
+  }
+  stationSelect.disabled = !compare;
+  mixSelect.disabled = !compare;
+  switchBtn.hidden = !compare;
+
+  if (!compare) {
+    status.textContent = compareOpen && recording ? t('compare.noOther', { date: formatDateTab(recording.dateId) }) : '';
+    return;
+  }
+
+  const stereoAvailable = canPanCompare();
+  const stereo = compare.mix === 'stereo' && stereoAvailable;
+  stationSelect.value = compare.stationId;
+  mixSelect.querySelector('option[value="stereo"]').disabled = !stereoAvailable;
+  mixSelect.value = stereo ? 'stereo' : 'switch';
+
+  const playingName = stations.find(s => s.id === recording.stationId)?.name || recording.stationId;
+  const comparedName = stations.find(s => s.id === compare.stationId)?.name || compare.stationId;
+  switchBtn.textContent = t('compare.switchTo', { station: compare.listen === 'b' ? playingName : comparedName });
+
+  if (stereo) {
+    status.textContent = t('compare.stereo', { left: playingName, right: comparedName });
+  } else {
+    status.textContent = t('compare.listening', { station: getListeningStationName(state) }) +
+      (compare.mix === 'stereo' ? ` ${t('compare.stereoUnavailable')}` : '');
+  }
+}
+
+/**
+ * Wires up the comparison panel and the second player
+ */
+export function setupCompare() {
+  const button = document.getElementById('compare-btn');
+  compareAudio = document.getElementById('compare-audio');
+  if (!button || !compareAudio) return;
+
+  button.addEventListener('click', () => {
+    if (compareOpen) {
+      stopCompare();
+    } else {
+      startCompare();
+    }
+  });
+  document.getElementById('compare-station').addEventListener('change', (e) => startCompare(e.target.value));
+  document.getElementById('compare-mix').addEventListener('change', (e) => setCompareMix(e.target.value));
+  document.getElementById('compare-switch-btn').addEventListener('click', switchCompareListening);
+
+  // The second player follows the first: play, pause, seeking, volume and speed are linked
+  ['play', 'pause', 'seeked', 'timeupdate'].forEach(type => audioPlayer.addEventListener(type, syncCompareAudio));
+  audioPlayer.addEventListener('volumechange', () => {
+    compareAudio.volume = audioPlayer.volume;
+  });
+  audioPlayer.addEventListener('ratechange', () => {
+    compareAudio.defaultPlaybackRate = audioPlayer.defaultPlaybackRate;
+    compareAudio.playbackRate = audioPlayer.playbackRate;
+    compareAudio.preservesPitch = true;
+  });
+  compareAudio.addEventListener('loadedmetadata', syncCompareAudio);
+
+  // Another station or date in the player keeps the comparison going where it can
+  appStore.watch(state => state.recording, ({ recording, compare }) => {
+    if (!compareOpen) return;
+    if (!compare || compare.stationId === recording.stationId || !dateContent[recording.dateId]?.stations[compare.stationId]) {
+      startCompare(compare?.stationId);
+      return;
+    }
+    loadCompareAudio();
+    renderComparePanel(appStore.getState());
+  });
+
+  appStore.watch(state => state.compare, (state) => {
+    loadCompareAudio();
+    applyCompareMix(state);
+    renderComparePanel(state);
+  });
+  appStore.watch(state => state.locale, renderComparePanel);
+  renderComparePanel(appStore.getState());
+}
@@ -0,0 +1,22 @@
+// Data source configuration shared by the loaders, the schema checks and the panels.
+
+// Google Sheets configuration
+export const sheetId = "1BZRH8xrng-zS58ey-ex9zhlckyrUGIhEuoUPZcV6zqc"; // The sheet ID from the URL
+export const sheetTabs = ["Master", "Date_Descriptions", "Feb22", "Feb23", "Feb24", "Feb25"]; // The tabs on the Google Sheets
+
+// Data source configuration: sources are tried in this order until one loads.
+// Override with ?source=manifest (or sheets/csv/draft) to force a single source.
+export const dataSourceOrder = ["sheets", "manifest"];
+export const manifestUrl = "data/manifest.json"; // Bundled offline manifest
+export const csvFolderUrl = "data/csv/";         // Folder holding one <tab>.csv per sheet tab
+export const authoringDraftKey = "authoringDraft"; // localStorage key of the authoring page's unpublished edits
+
+/**
+ * Returns the names of the per-date tabs (everything except Master and Date_Descriptions)
+ * @returns {Array<string>} Date tab names such as 'Feb22'
+ */
+export function getDateTabs() {
+  return sheetTabs.filter(tabName => tabName !== 'Master' && tabName !== 'Date_Descriptions');
+}
+
+export const stationStatusValues = ['on-air', 'off-air', 'seized']; // Allowed values of the `status` column
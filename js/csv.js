@@ -0,0 +1,147 @@
+// CSV parsing for sheet exports and clip imports.
+
+export const csvLine = Symbol('csvLine'); // Hidden key of the line a row from csvToObjects() starts on
+
+/**
+ * Quotes a value for CSV output when it contains separators, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function toCsvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text following RFC 4180: quoted fields may contain commas, line breaks
+ * and escaped quotes (""), and both LF and CRLF line endings are accepted.
+ * Problems are collected per record instead of being thrown.
+ * @param {string} csv - Raw CSV text
+ * @returns {{records: Array<{line: number, fields: Array<string>}>, errors: Array<{line: number, reason: string}>}}
+ *   Parsed records with the line each one starts on, and any malformed records
+ */
+export function parseCsv(csv) {
+  const text = csv.charCodeAt(0) === 0xFEFF ? csv.slice(1) : csv; // Strip byte order mark
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;   // Just closed a quoted field; only a delimiter may follow
+  let line = 1;             // Current physical line
+  let recordLine = 1;       // Line the current record started on
+  let recordError = null;   // First problem found in the current record
+
+  // Closes the current record and resets state for the next one
+  function endRecord() {
+    fields.push(field);
+    // Blank lines (a single empty, unquoted field) are skipped, including trailing ones
+    const isBlank = fields.length === 1 && fields[0] === '' && !afterQuote;
+    if (recordError) {
+      errors.push({ line: recordLine, reason: recordError });
+    } else if (!isBlank) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+    afterQuote = false;
+    recordError = null;
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"'; // Escaped quote
+          i++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char; // Commas and line breaks are literal inside quotes
+      }
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+      afterQuote = false;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++; // CRLF counts as one break
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (char === '"') {
+      if (field === '' && !afterQuote) {
+        inQuotes = true;
+      } else {
+        recordError = recordError || `unexpected quote in unquoted field ${fields.length + 1}`;
+        field += char;
+      }
+    } else {
+      if (afterQuote) {
+        recordError = recordError || `unexpected character after closing quote in field ${fields.length + 1}`;
+      }
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    recordError = `unterminated quoted field ${fields.length + 1}`;
+  }
+  endRecord();
+
+  return { records, errors };
+}
+
+/**
+ * Converts CSV text into an array of JavaScript objects keyed by the header row.
+ * Each object keeps the line its record starts on under the `csvLine` symbol, so
+ * problems can be reported against the file even when earlier rows were dropped.
+ * @param {string} csv - Raw CSV text from Google Sheets or a local CSV file
+ * @returns {{objects: Array<Object>, errors: Array<{line: number, reason: string}>}}
+ *   Objects for every well-formed row, and the line number and reason for every malformed one
+ */
+export function csvToObjects(csv) {
+  const { records, errors } = parseCsv(csv);
+  const objects = [];
+
+  if (records.length === 0) {
+    return { objects, errors };
+  }
+
+  // First record contains headers
+  const propertyNames = records[0].fields.map(name => name.trim());
+
+  // Process each data record (skip header row)
+  for (let i = 1; i < records.length; i++) {
+    const { line, fields } = records[i];
+
+    // Ignore trailing empty columns, which spreadsheet exports sometimes add
+    while (fields.length > propertyNames.length && fields[fields.length - 1] === '') {
+      fields.pop();
+    }
+
+    if (fields.length !== propertyNames.length) {
+      errors.push({
+        line,
+        reason: `expected ${propertyNames.length} fields but found ${fields.length}`
+      });
+      continue;
+    }
+
+    // Map row values to property names
+    const thisObject = {};
+    propertyNames.forEach((name, j) => {
+      if (name) thisObject[name] = fields[j];
+    });
+    Object.defineProperty(thisObject, csvLine, { value: line }); // Left out of copies and comparisons
+    objects.push(thisObject);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { objects, errors };
+}
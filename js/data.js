@@ -0,0 +1,389 @@
+// Loading the station data from Google Sheets, the bundled manifest or a CSV folder,
+// checking it against the declared schema and turning it into `stations` and `dateContent`.
+
+import { authoringDraftKey, csvFolderUrl, dataSourceOrder, getDateTabs, manifestUrl, sheetId, sheetTabs, stationStatusValues } from './config.js';
+import { csvLine, csvToObjects } from './csv.js';
+import { parseBroadcastTime } from './timeline.js';
+import { buildTranscriptVersions } from './transcripts.js';
+
+// Global variables to store application data
+export let stations = [];      // Array of radio station objects from Master sheet
+export let dateContent = {};   // Object containing date-specific content for each tab
+export let activeDataSource = null; // Name of the data source the current data came from
+let csvParseErrors = {}; // Malformed CSV rows per tab: { tabName: [{ line, reason }] }
+
+/**
+ * Returns the date-specific data of a recording
+ * @param {{dateId: string, stationId: string}|null} recording - Recording from the app state
+ * @returns {Object|undefined} Entry from dateContent, if any
+ */
+export function getRecordingData(recording) {
+  return recording ? dateContent[recording.dateId]?.stations[recording.stationId] : undefined;
+}
+
+/**
+ * Fetches a URL and returns its body as text, rejecting on HTTP errors
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>} Response body
+ */
+export async function fetchText(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Request for ${url} failed with status ${res.status}`);
+  }
+  return res.text();
+}
+
+/**
+ * Parses one tab's CSV text, recording any malformed rows in `csvParseErrors`
+ * @param {string} tabName - Name of the tab the CSV belongs to
+ * @param {string} csvText - Raw CSV text
+ * @returns {Array<Object>} Row objects for the well-formed rows
+ */
+export function parseCsvTab(tabName, csvText) {
+  const { objects, errors } = csvToObjects(csvText);
+  csvParseErrors[tabName] = errors;
+  errors.forEach(({ line, reason }) => {
+    console.warn(`Skipped malformed row in ${tabName} at line ${line}: ${reason}`);
+  });
+  return objects;
+}
+
+/**
+ * Interchangeable data source adapters. Each adapter's load() resolves to the raw
+ * tab data (an object keyed by tab name holding arrays of row objects), which
+ * transformSheetData() then turns into `stations` and `dateContent`; its `label`
+ * is the message naming it.
+ */
+export const dataSources = {
+  // Live Google Sheet, read through the gviz CSV endpoint
+  sheets: {
+    label: 'diagnostics.source.sheets',
+    async load() {
+      const fetches = sheetTabs.map(tabName => {
+        const sheetName = encodeURIComponent(tabName);
+        const sheetURL = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&sheet=${sheetName}`;
+
+        return fetchText(sheetURL).then(csvText => [tabName, parseCsvTab(tabName, csvText)]);
+      });
+
+      // Wait for all sheets to load concurrently
+      return Object.fromEntries(await Promise.all(fetches));
+    }
+  },
+
+  // JSON manifest shipped in the repo, pointing at the bundled audio files
+  manifest: {
+    label: 'diagnostics.source.manifest',
+    async load() {
+      const manifest = JSON.parse(await fetchText(manifestUrl));
+      const allSheets = {};
+
+      // Values are normalized to strings so rows look exactly like parsed CSV
+      sheetTabs.forEach(tabName => {
+        allSheets[tabName] = (manifest[tabName] || []).map(row => {
+          const stringRow = {};
+          Object.keys(row).forEach(key => {
+            stringRow[key] = row[key] == null ? '' : String(row[key]);
+          });
+          return stringRow;
+        });
+      });
+      return allSheets;
+    }
+  },
+
+  // Folder of CSV files exported from the sheet, one file per tab
+  csv: {
+    label: 'diagnostics.source.csv',
+    async load() {
+      const fetches = sheetTabs.map(tabName =>
+        fetchText(`${csvFolderUrl}${encodeURIComponent(tabName)}.csv`)
+          .then(csvText => [tabName, parseCsvTab(tabName, csvText)])
+      );
+      return Object.fromEntries(await Promise.all(fetches));
+    }
+  },
+
+  // Unpublished edits from the authoring page (author.html), kept in this browser
+  draft: {
+    label: 'diagnostics.source.draft',
+    async load() {
+      const saved = localStorage.getItem(authoringDraftKey);
+      if (!saved) {
+        throw new Error('No authoring draft saved in this browser');
+      }
+      return JSON.parse(saved).sheets;
+    }
+  }
+};
+
+/**
+ * Determines which data sources to try, honoring a ?source= override
+ * @returns {Array<string>} Data source names in the order they should be tried
+ */
+function getDataSourceOrder() {
+  const requested = new URLSearchParams(window.location.search).get('source');
+  if (requested && dataSources[requested]) {
+    return [requested];
+  }
+  return dataSourceOrder;
+}
+
+/**
+ * Loads all tabs from the first data source that responds, checks them and
+ * turns them into `stations` and `dateContent`
+ * @returns {Promise<Object|null>} Object containing all sheet data, or null if no source loaded
+ */
+export async function loadAllTabs() {
+  let allSheets = null;
+
+  for (const sourceName of getDataSourceOrder()) {
+    const source = dataSources[sourceName];
+    csvParseErrors = {};
+    try {
+      const sheets = await source.load();
+      if (!sheets.Master || sheets.Master.length === 0) {
+        throw new Error('Master tab is empty');
+      }
+      console.log(`All sheets loaded from the ${sourceName} source:`, sheets);
+      allSheets = sheets;
+      activeDataSource = sourceName;
+      break;
+    } catch (error) {
+      console.error(`Error loading sheets from the ${sourceName} source:`, error);
+    }
+  }
+
+  if (!allSheets) {
+    return null;
+  }
+
+  // Check the data against the declared schema before using it
+  dataReport = validateSheetData(allSheets);
+  if (dataReport.errors || dataReport.warnings) {
+    console.warn(`Content check found ${dataReport.errors} error(s) and ${dataReport.warnings} warning(s):`, dataReport.issues);
+  }
+
+  // Transform raw sheet data into application-specific format
+  transformSheetData(allSheets);
+
+  return allSheets;
+}
+
+/**
+ * Transforms raw tab data from any data source into application-specific structures
+ * @param {Object} allSheets - Raw data from all sheet tabs
+ */
+function transformSheetData(allSheets) {
+  // Transform Master sheet into stations array with proper data types
+  stations = allSheets.Master.map(station => ({
+    id: station.id,
+    name: station.name,
+    lat: parseFloat(station.lat),    // Convert string to float
+    lng: parseFloat(station.lng),    // Convert string to float
+    description: station.description,
+    icon: station.icon,
+    frequency: station.frequency || '' // Optional dial label, e.g. "846 kHz"
+  })).filter(station => {
+    // Leaflet can't place a marker without real coordinates; validation reports these rows
+    return station.id && Number.isFinite(station.lat) && Number.isFinite(station.lng);
+  });
+
+  console.log('Stations loaded:', stations);
+
+  // Process Date_Descriptions tab to create date context mapping
+  const dateDescriptions = {};
+  if (allSheets.Date_Descriptions) {
+    allSheets.Date_Descriptions.forEach(row => {
+      if (row.date && row.event) {
+        dateDescriptions[row.date] = row.event;
+      }
+    });
+    console.log('Date descriptions loaded:', dateDescriptions);
+  }
+
+  // Process each date tab (excluding Master and Date_Descriptions) to create date-specific content
+  getDateTabs().forEach(tabName => {
+    const dateData = allSheets[tabName] || [];
+    console.log(`Processing ${tabName}:`, dateData);
+
+    // Create date content structure with its context; the date itself is
+    // formatted in the reader's language where it is shown (see formatDateTab())
+    dateContent[tabName] = {
+      context: dateDescriptions[tabName] || '', // Use context from Date_Descriptions; blank shows panel.noContext
+      stations: {}
+    };
+
+    // Populate station data for this specific date
+    dateData.forEach(stationData => {
+      if (stationData.id && stationData.id.trim() !== '') {
+        dateContent[tabName].stations[stationData.id] = {
+          description: stationData.description || '', // Blank shows panel.noDescription
+          audioUrl: stationData.audioUrl || '#', // Fallback for missing audio
+          transcript: stationData.transcript || '', // Blank shows transcript.none
+          transcriptUrl: stationData.transcriptUrl || '', // Optional WebVTT/SRT file with timestamps
+          transcripts: buildTranscriptVersions(stationData), // Original plus transcript_<lang> translations
+          startTime: stationData.startTime || '', // Original broadcast start time, e.g. "21:30"
+          duration: parseFloat(stationData.duration) || null, // Recording length in seconds, if known
+          gain: Number.isFinite(parseFloat(stationData.gain)) ? parseFloat(stationData.gain) : null, // Loudness correction in dB
+          status: (stationData.status || '').trim().toLowerCase(), // on-air, off-air or seized; blank means on air
+          statusNote: stationData.statusNote || '' // e.g. "Transmitter knocked out before dawn"
+        };
+      }
+    });
+
+    console.log(`Date content for ${tabName}:`, dateContent[tabName]);
+  });
+
+  console.log('Full dateContent:', dateContent);
+}
+
+/**
+ * Declared schema for each kind of tab. Every column lists its rules:
+ * - required: the column must exist and every row needs a value
+ * - optional: the column may be left out of the tab entirely without a warning
+ * - type: 'number' values must parse as finite numbers; 'broadcastTime' values
+ *   must be a time of day ("21:30") or a full "1986-02-23 01:15"
+ * - min/max: hard bounds for numbers; values outside are errors
+ * - expectedMin/expectedMax: soft bounds; values outside are warnings
+ * - unique: no two rows may share a value
+ * - references: values must match an id in the Master tab
+ * - oneOf: name of a list the value must belong to
+ * - lowercase: the value is lowercased when loaded, so it is checked that way
+ */
+export const sheetSchemas = {
+  Master: {
+    id: { required: true, unique: true },
+    name: { required: true },
+    lat: { required: true, type: 'number', min: -90, max: 90, expectedMin: 4, expectedMax: 22 },
+    lng: { required: true, type: 'number', min: -180, max: 180, expectedMin: 116, expectedMax: 127 },
+    description: {},
+    icon: {},
+    frequency: { optional: true }
+  },
+  Date_Descriptions: {
+    date: { required: true, unique: true, oneOf: 'dateTabs' },
+    event: { required: true }
+  },
+  // Shared by every FebXX tab
+  dateTab: {
+    id: { required: true, unique: true, references: 'Master' },
+    description: {},
+    audioUrl: { required: true },
+    transcript: {},
+    transcriptUrl: { optional: true },
+    startTime: { optional: true, type: 'broadcastTime' },
+    duration: { optional: true, type: 'number', min: 0, max: Infinity },
+    gain: { optional: true, type: 'number', min: -30, max: 30 },
+    status: { optional: true, oneOf: 'stationStatuses', lowercase: true },
+    statusNote: { optional: true }
+  }
+};
+
+export let dataReport = null; // Latest content-integrity report from validateSheetData()
+
+/**
+ * Validates raw tab data against `sheetSchemas` and builds a content-integrity report
+ * @param {Object} allSheets - Raw data from all sheet tabs
+ * @param {Object} [parseErrors] - Malformed CSV rows per tab; defaults to those of the last load
+ * @returns {Object} Report with the data source, a list of issues and error/warning counts
+ */
+export function validateSheetData(allSheets, parseErrors = csvParseErrors) {
+  const issues = [];
+  const lists = { dateTabs: getDateTabs(), stationStatuses: stationStatusValues };
+  const masterIds = new Set((allSheets.Master || []).map(row => (row.id || '').trim()).filter(Boolean));
+
+  // Records a single problem; `row` is the line the row starts on in its CSV file,
+  // or its spreadsheet row number (header is row 1) for data that didn't come from CSV.
+  // `message` is a catalog key, filled in with `params` when the report is shown.
+  function addIssue(severity, tab, row, column, message, params = {}) {
+    issues.push({ severity, tab, row, column, message, params });
+  }
+
+  // Malformed CSV rows never reach the schema checks, so report them first
+  Object.keys(parseErrors).forEach(tab => {
+    parseErrors[tab].forEach(({ line, reason }) => {
+      addIssue('error', tab, null, null, 'diagnostics.issue.malformedCsv', { line, reason });
+    });
+  });
+
+  sheetTabs.forEach(tab => {
+    const rows = allSheets[tab];
+    const schema = sheetSchemas[tab] || sheetSchemas.dateTab;
+
+    if (!rows) {
+      addIssue('error', tab, null, null, 'diagnostics.issue.tabMissing');
+      return;
+    }
+    if (rows.length === 0) {
+      addIssue('warning', tab, null, null, 'diagnostics.issue.tabEmpty');
+      return;
+    }
+
+    Object.keys(schema).forEach(column => {
+      const rules = schema[column];
+      const seen = new Map(); // Row each value was first used in
+
+      if (!rows.some(row => column in row)) {
+        if (rules.optional) return;
+        addIssue(rules.required ? 'error' : 'warning', tab, null, column, 'diagnostics.issue.columnMissing', { column });
+        return;
+      }
+
+      rows.forEach((row, index) => {
+        const rowNumber = row[csvLine] || index + 2;
+        const value = (row[column] || '').trim();
+
+        if (value === '') {
+          if (rules.required) {
+            addIssue('error', tab, rowNumber, column, 'diagnostics.issue.requiredEmpty', { column });
+          }
+          return;
+        }
+
+        if (rules.type === 'number') {
+          const number = Number(value);
+          if (!Number.isFinite(number)) {
+            addIssue('error', tab, rowNumber, column, 'diagnostics.issue.notNumber', { value });
+            return;
+          }
+          if (number < rules.min || number > rules.max) {
+            addIssue('error', tab, rowNumber, column, 'diagnostics.issue.outOfRange', { value: number, min: rules.min, max: rules.max });
+          } else if (number < rules.expectedMin || number > rules.expectedMax) {
+            addIssue('warning', tab, rowNumber, column, 'diagnostics.issue.outsidePhilippines', { value: number, min: rules.expectedMin, max: rules.expectedMax });
+          }
+        }
+
+        if (rules.type === 'broadcastTime' && isNaN(parseBroadcastTime(value, tab))) {
+          addIssue('error', tab, rowNumber, column, 'diagnostics.issue.notBroadcastTime', { value });
+        }
+
+        if (rules.unique) {
+          if (seen.has(value)) {
+            addIssue('error', tab, rowNumber, column, 'diagnostics.issue.duplicate', { column, value, row: seen.get(value) });
+          } else {
+            seen.set(value, rowNumber);
+          }
+        }
+
+        if (rules.references === 'Master' && !masterIds.has(value)) {
+          addIssue('error', tab, rowNumber, column, 'diagnostics.issue.unknownStation', { value });
+        }
+
+        if (rules.oneOf && !lists[rules.oneOf].includes(rules.lowercase ? value.toLowerCase() : value)) {
+          addIssue('warning', tab, rowNumber, column, 'diagnostics.issue.notOneOf', { value, values: lists[rules.oneOf].join(', ') });
+        }
+      });
+    });
+  });
+
+  return {
+    source: activeDataSource,
+    generatedAt: new Date().toISOString(),
+    issues,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    audioChecked: false
+  };
+}
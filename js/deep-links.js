@@ -0,0 +1,136 @@
+// Deep links: the selection mirrored in the query string, Back/Forward and copied links.
+
+import { getDateTabs } from './config.js';
+import { dateContent, stations } from './data.js';
+import { t } from './i18n.js';
+import { selectDate, setView } from './panels.js';
+import { audioPlayer, selectStation } from './player.js';
+import { appStore } from './store.js';
+import { seekWhenReady } from './timeline.js';
+
+const urlStateKeys = ['date', 'station', 'view', 't']; // Query parameters owned by the app state
+let isApplyingUrlState = false; // True while restoring state, so restoring doesn't push history
+
+/**
+ * Reads the app state from the query string, e.g. ?date=Feb24&station=rv&view=transcript&t=195
+ * @returns {{date: string, station: string, view: string, t: number}} Requested state (missing keys are null/NaN)
+ */
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    date: params.get('date'),
+    station: params.get('station'),
+    view: params.get('view'),
+    t: parseFloat(params.get('t'))
+  };
+}
+
+/**
+ * Builds a URL for the current date, station and view, keeping unrelated parameters such as ?source
+ * @param {boolean} includeTime - Whether to add the current playback position as `t`
+ * @returns {string} URL relative to the site root
+ */
+function buildStateUrl(includeTime) {
+  const params = new URLSearchParams(window.location.search);
+  urlStateKeys.forEach(key => params.delete(key));
+
+  const { dateId: date, recording, view } = appStore.getState();
+  const station = recording?.stationId;
+
+  if (date) params.set('date', date);
+  if (station) params.set('station', station);
+  if (view && view !== 'map') params.set('view', view);
+  if (includeTime && audioPlayer) {
+    params.set('t', Math.floor(audioPlayer.currentTime));
+  }
+
+  const query = params.toString();
+  return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+}
+
+/**
+ * Records the current selection in the address bar so Back/Forward can return to it
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+export function updateUrlState(replace) {
+  if (isApplyingUrlState || !window.history) return;
+
+  const url = buildStateUrl(false);
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
+/**
+ * Applies a date/station/view/time state to the page
+ * @param {Object} urlState - State from readUrlState()
+ * @param {boolean} initial - True on first load, when the panel still has to be built
+ */
+function applyUrlState(urlState, initial) {
+  isApplyingUrlState = true;
+
+  const { dateId, recording } = appStore.getState();
+  const stationKnown = stations.some(s => s.id === urlState.station);
+  const dateChanged = Boolean(dateContent[urlState.date]) && dateId !== urlState.date;
+
+  if (initial || dateChanged) {
+    // Without a valid date in the link the first day is shown
+    const targetDateId = dateChanged ? urlState.date : dateId || getDateTabs()[0];
+    selectDate(targetDateId, stationKnown ? urlState.station : undefined);
+  } else if (stationKnown && urlState.station !== recording?.stationId) {
+    selectStation(urlState.station);
+  }
+
+  setView(urlState.view || 'map');
+
+  if (Number.isFinite(urlState.t) && urlState.t >= 0) {
+    seekWhenReady(urlState.t);
+  }
+
+  isApplyingUrlState = false;
+
+  // Normalize the address bar, e.g. after an unknown station id was dropped
+  if (initial) updateUrlState(true);
+}
+
+/**
+ * Restores the linked state once data has loaded and follows Back/Forward afterwards
+ */
+export function setupDeepLinks() {
+  applyUrlState(readUrlState(), true);
+
+  window.addEventListener('popstate', () => {
+    applyUrlState(readUrlState(), false);
+  });
+
+  const copyBtn = document.getElementById('copy-link-btn');
+  if (copyBtn) {
+    copyBtn.addEventListener('click', copyLinkAtCurrentTime);
+  }
+}
+
+/**
+ * Copies a link to the current station, date, view and playback position
+ */
+function copyLinkAtCurrentTime() {
+  const copyBtn = document.getElementById('copy-link-btn');
+  const url = new URL(buildStateUrl(true), window.location.href).href;
+
+  // Briefly confirm on the button itself
+  const confirmCopy = () => {
+    copyBtn.textContent = t('player.linkCopied');
+    setTimeout(() => { copyBtn.textContent = t('player.link'); }, 2000);
+  };
+
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(confirmCopy).catch(() => {
+      window.prompt(t('player.copyLinkPrompt'), url);
+    });
+  } else {
+    window.prompt(t('player.copyLinkPrompt'), url);
+  }
+}
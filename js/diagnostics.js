@@ -0,0 +1,134 @@
+// Data Diagnostics panel (?diagnostics): the content-integrity report and audio URL checks.
+
+import { dataReport, dataSources, dateContent } from './data.js';
+import { t } from './i18n.js';
+import { appStore } from './store.js';
+
+let audioCheckRunning = false; // Whether checkAudioUrls() is waiting on its requests
+
+/**
+ * Checks with HEAD requests that every audio URL in dateContent resolves, adding
+ * any failures to the current report
+ * @returns {Promise<Object>} The updated report
+ */
+async function checkAudioUrls() {
+  if (!dataReport) return null;
+
+  // Drop results from any previous run so re-checking doesn't duplicate them
+  dataReport.issues = dataReport.issues.filter(issue => !issue.audio);
+
+  const checks = [];
+  Object.keys(dateContent).forEach(dateId => {
+    Object.keys(dateContent[dateId].stations).forEach(stationId => {
+      const { audioUrl } = dateContent[dateId].stations[stationId];
+      if (!audioUrl || audioUrl === '#') return; // Already reported as an empty value
+
+      checks.push(
+        fetch(audioUrl, { method: 'HEAD' })
+          .then(res => {
+            if (!res.ok) {
+              return { severity: 'error', message: 'diagnostics.issue.audioStatus', params: { station: stationId, status: res.status, url: audioUrl } };
+            }
+            return null;
+          })
+          .catch(() => ({ severity: 'warning', message: 'diagnostics.issue.audioUnreachable', params: { station: stationId, url: audioUrl } }))
+          .then(result => {
+            if (result) {
+              dataReport.issues.push({ ...result, tab: dateId, row: null, column: 'audioUrl', audio: true });
+            }
+          })
+      );
+    });
+  });
+
+  await Promise.all(checks);
+  dataReport.errors = dataReport.issues.filter(issue => issue.severity === 'error').length;
+  dataReport.warnings = dataReport.issues.filter(issue => issue.severity === 'warning').length;
+  dataReport.audioChecked = true;
+  return dataReport;
+}
+
+/**
+ * Renders the content-integrity report into the diagnostics panel
+ */
+export function renderDiagnostics() {
+  const container = document.getElementById('diagnostics-content');
+  if (!container || !dataReport) return;
+
+  const sourceLabel = t(dataSources[dataReport.source] ? dataSources[dataReport.source].label : 'diagnostics.unknownSource');
+  const summary = document.createElement('p');
+  summary.className = 'diagnostics-summary';
+  summary.textContent = [
+    t('diagnostics.summary', {
+      source: sourceLabel,
+      errors: t('diagnostics.errors', { count: dataReport.errors }),
+      warnings: t('diagnostics.warnings', { count: dataReport.warnings })
+    }),
+    dataReport.audioChecked ? '' : t('diagnostics.audioNotChecked')
+  ].join(' ').trim();
+
+  const checkBtn = document.createElement('button');
+  checkBtn.id = 'check-audio-btn';
+  checkBtn.className = 'diagnostics-btn';
+  checkBtn.disabled = audioCheckRunning;
+  checkBtn.textContent = audioCheckRunning ? t('diagnostics.checking') : t('diagnostics.checkAudio');
+  checkBtn.addEventListener('click', async () => {
+    audioCheckRunning = true;
+    renderDiagnostics();
+    try {
+      await checkAudioUrls();
+    } finally {
+      audioCheckRunning = false;
+    }
+    renderDiagnostics();
+  });
+
+  container.innerHTML = '';
+  container.append(summary, checkBtn);
+
+  if (dataReport.issues.length === 0) {
+    const ok = document.createElement('p');
+    ok.textContent = t('diagnostics.noProblems');
+    container.appendChild(ok);
+    return;
+  }
+
+  // Build the issue table with textContent so sheet values can't inject markup
+  const table = document.createElement('table');
+  table.className = 'diagnostics-table';
+  const headRow = table.createTHead().insertRow();
+  ['severity', 'tab', 'row', 'column', 'problem'].forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = t(`diagnostics.${column}`);
+    headRow.appendChild(th);
+  });
+  const body = document.createElement('tbody');
+  dataReport.issues.forEach(issue => {
+    const tr = document.createElement('tr');
+    tr.className = `diagnostics-${issue.severity}`;
+    [t(`diagnostics.${issue.severity}`), issue.tab, issue.row || '', issue.column || '', t(issue.message, issue.params)].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  container.appendChild(table);
+}
+
+/**
+ * Shows the Data Diagnostics view option when the page is opened with ?diagnostics
+ */
+export function setupDiagnosticsView() {
+  const viewSelect = document.getElementById('selectView');
+  if (!viewSelect || !new URLSearchParams(window.location.search).has('diagnostics')) return;
+
+  const option = document.createElement('option');
+  option.value = 'diagnostics';
+  option.dataset.i18n = 'diagnostics.title'; // Relabelled by translatePage()
+  option.textContent = t('diagnostics.title');
+  viewSelect.appendChild(option);
+
+  appStore.watch(state => state.locale, renderDiagnostics);
+}
@@ -0,0 +1,132 @@
+// Interface language: message catalogs, locale-aware dates and the language switcher.
+// Views read strings through t() and redraw when `locale` in appStore changes;
+// static markup is translated through data-i18n attributes (see translatePage()).
+
+import en from './locales/en.js';
+import fil from './locales/fil.js';
+import { appStore } from './store.js';
+
+// Supported interface languages. `dateLocale` is what Intl formats dates with.
+export const locales = {
+  en: { label: 'English', dateLocale: 'en-PH', catalog: en },
+  fil: { label: 'Filipino', dateLocale: 'fil-PH', catalog: fil }
+};
+export const defaultLocale = 'en'; // Also the fallback for keys a catalog is missing
+
+const reportedMissingKeys = new Set(); // "locale:key" pairs already warned about
+
+/**
+ * Looks up a message in the current language, falling back to English and then to
+ * the key itself. `{name}` placeholders are filled from `params`; a `count` param
+ * picks the `key_one` / `key_other` plural form.
+ * @param {string} key - Message key, e.g. 'player.play'
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} Message
+ */
+export function t(key, params = {}) {
+  const locale = getLocale();
+  const lookupKey = typeof params.count === 'number'
+    ? `${key}_${new Intl.PluralRules(locales[locale].dateLocale).select(params.count) === 'one' ? 'one' : 'other'}`
+    : key;
+
+  let message = locales[locale].catalog[lookupKey];
+  if (message === undefined) {
+    if (!reportedMissingKeys.has(`${locale}:${lookupKey}`)) {
+      reportedMissingKeys.add(`${locale}:${lookupKey}`);
+      console.warn(`Missing ${locale} message "${lookupKey}"`);
+    }
+    message = locales[defaultLocale].catalog[lookupKey];
+  }
+  if (message === undefined) return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Returns the current interface language
+ * @returns {string} Key of `locales`
+ */
+export function getLocale() {
+  const { locale } = appStore.getState();
+  return locales[locale] ? locale : defaultLocale;
+}
+
+/**
+ * Formats a date tab as a date in the current language
+ * @param {string} tabName - Date tab, e.g. 'Feb24'
+ * @param {Object} [options] - Intl.DateTimeFormat options; defaults to month and day
+ * @returns {string} e.g. "February 24" or "Pebrero 24"
+ */
+export function formatDateTab(tabName, options = { month: 'long', day: 'numeric' }) {
+  const day = parseInt(String(tabName).replace('Feb', ''), 10);
+  if (!Number.isFinite(day)) return tabName;
+  return new Intl.DateTimeFormat(locales[getLocale()].dateLocale, { ...options, timeZone: 'UTC' })
+    .format(new Date(Date.UTC(1986, 1, day)));
+}
+
+/**
+ * Picks the starting language: the saved choice, else the browser's languages
+ * @returns {string} Key of `locales`
+ */
+function detectLocale() {
+  const saved = localStorage.getItem('userLanguage');
+  if (locales[saved]) return saved;
+
+  const preferred = (navigator.languages || [navigator.language || '']).map(lang => lang.toLowerCase());
+  return preferred.some(lang => /^(fil|tl)\b/.test(lang)) ? 'fil' : defaultLocale;
+}
+
+/**
+ * Switches the interface language and remembers the choice
+ * @param {string} locale - Key of `locales`
+ */
+export function setLocale(locale) {
+  if (!locales[locale]) return;
+  localStorage.setItem('userLanguage', locale);
+  appStore.setState({ locale });
+}
+
+/**
+ * Translates static markup: `data-i18n` sets an element's text, and
+ * `data-i18n-<attribute>` (aria-label, title, placeholder, alt) sets that attribute
+ * @param {ParentNode} [root] - Part of the page to translate
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  ['aria-label', 'title', 'placeholder', 'alt'].forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+  if (root === document) {
+    document.documentElement.lang = getLocale();
+  }
+}
+
+/**
+ * Restores the language, translates the page and wires up the language switchers
+ * (`.language-select`: one in the nav, one in the content warning).
+ * Runs before anything else renders so the first paint is already translated.
+ */
+export function setupI18n() {
+  appStore.watch(state => state.locale, () => translatePage());
+  appStore.setState({ locale: detectLocale() });
+  translatePage();
+
+  const selects = document.querySelectorAll('.language-select');
+  selects.forEach(select => {
+    Object.keys(locales).forEach(locale => {
+      const option = document.createElement('option');
+      option.value = locale;
+      option.textContent = locales[locale].label; // Each language in its own name
+      select.appendChild(option);
+    });
+    select.value = getLocale();
+    select.addEventListener('change', () => setLocale(select.value));
+  });
+  appStore.watch(state => state.locale, state => {
+    selects.forEach(select => { select.value = state.locale; });
+  });
+}
@@ -0,0 +1,194 @@
+// Landmark and event layer on the map, from the Landmarks tab or the bundled GeoJSON.
+
+import { sheetId } from './config.js';
+import { activeDataSource, dateContent, fetchText, parseCsvTab, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { map } from './map.js';
+import { appStore } from './store.js';
+
+const landmarksTab = "Landmarks";                 // Optional sheet tab holding the layer
+const landmarksUrl = "data/landmarks.geojson";    // Bundled GeoJSON used when the tab is missing
+const landmarkKinds = ['landmark', 'crowd', 'route'];
+
+let landmarkFeatures = []; // GeoJSON features, each tagged with the dates it applies to
+let landmarkLayer = null;  // Leaflet layer group toggled from the layers control
+
+/**
+ * Parses a "lat,lng; lat,lng; ..." cell into GeoJSON [lng, lat] positions
+ * @param {string} path - Path cell from the Landmarks tab
+ * @returns {Array<Array<number>>} Positions in GeoJSON order
+ */
+function parseLandmarkPath(path) {
+  return (path || '').split(';')
+    .map(point => point.split(',').map(value => parseFloat(value)))
+    .filter(point => point.length === 2 && point.every(Number.isFinite))
+    .map(([lat, lng]) => [lng, lat]);
+}
+
+/**
+ * Turns a Landmarks tab row into a GeoJSON feature. Landmarks use lat/lng,
+ * crowd areas and routes use the path column.
+ * @param {Object} row - Row from the Landmarks tab
+ * @returns {Object|null} GeoJSON feature, or null if the row has no usable geometry
+ */
+function landmarkRowToFeature(row) {
+  const kind = (row.kind || 'landmark').trim().toLowerCase();
+  const path = parseLandmarkPath(row.path);
+  let geometry = null;
+
+  if (kind === 'crowd' && path.length >= 3) {
+    geometry = { type: 'Polygon', coordinates: [[...path, path[0]]] };
+  } else if (kind === 'route' && path.length >= 2) {
+    geometry = { type: 'LineString', coordinates: path };
+  } else if (Number.isFinite(parseFloat(row.lat)) && Number.isFinite(parseFloat(row.lng))) {
+    geometry = { type: 'Point', coordinates: [parseFloat(row.lng), parseFloat(row.lat)] };
+  }
+
+  if (!geometry) {
+    console.warn(`Skipping landmark "${row.name || row.id}": no usable coordinates`);
+    return null;
+  }
+
+  const splitList = value => (value || '').split(/[\s,]+/).filter(Boolean);
+  return {
+    type: 'Feature',
+    geometry,
+    properties: {
+      id: row.id,
+      name: row.name,
+      kind,
+      description: row.description || '',
+      dates: splitList(row.dates),
+      stations: splitList(row.stations)
+    }
+  };
+}
+
+/**
+ * Loads the landmark layer from the Landmarks sheet tab when the data came from
+ * Google Sheets, otherwise (or if the tab is missing) from the bundled GeoJSON
+ * @returns {Promise<Array<Object>>} GeoJSON features
+ */
+async function loadLandmarks() {
+  if (activeDataSource === 'sheets') {
+    try {
+      const sheetURL = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(landmarksTab)}`;
+      const rows = parseCsvTab(landmarksTab, await fetchText(sheetURL));
+
+      // gviz answers unknown tab names with the first tab, so check the columns
+      if (rows.length > 0 && 'kind' in rows[0] && 'name' in rows[0]) {
+        return rows.map(landmarkRowToFeature).filter(Boolean);
+      }
+      console.log(`No ${landmarksTab} tab in the sheet; using ${landmarksUrl}`);
+    } catch (error) {
+      console.warn(`Could not load the ${landmarksTab} tab:`, error);
+    }
+  }
+
+  const geojson = JSON.parse(await fetchText(landmarksUrl));
+  return (geojson.features || []).filter(feature => {
+    const props = feature.properties || {};
+    props.kind = landmarkKinds.includes(props.kind) ? props.kind : 'landmark';
+    props.dates = props.dates || [];
+    props.stations = props.stations || [];
+    feature.properties = props;
+    return Boolean(feature.geometry);
+  });
+}
+
+/**
+ * Adds the landmark layer and its toggle to the map, then loads its features
+ */
+export function setupLandmarkLayer() {
+  if (!map || typeof L === 'undefined') return;
+
+  landmarkLayer = L.layerGroup();
+  const layersControl = L.control.layers(null, { [t('landmarks.layer')]: landmarkLayer }, { collapsed: false }).addTo(map);
+
+  // Remember whether the reader wants the layer on
+  if (localStorage.getItem('landmarksVisible') !== 'false') {
+    landmarkLayer.addTo(map);
+  }
+  map.on('overlayadd overlayremove', (e) => {
+    if (e.layer === landmarkLayer) {
+      localStorage.setItem('landmarksVisible', e.type === 'overlayadd');
+    }
+  });
+
+  appStore.watch(state => state.dateId, updateLandmarkLayer);
+  appStore.watch(state => state.locale, () => {
+    layersControl.removeLayer(landmarkLayer);
+    layersControl.addOverlay(landmarkLayer, t('landmarks.layer'));
+    updateLandmarkLayer();
+  });
+
+  loadLandmarks()
+    .then(features => {
+      landmarkFeatures = features;
+      console.log(`Loaded ${features.length} landmarks`);
+      updateLandmarkLayer();
+    })
+    .catch(error => {
+      console.error('Error loading landmarks:', error);
+    });
+}
+
+/**
+ * Builds the popup for a landmark, linking to the stations reporting about it
+ * on the selected date
+ * @param {Object} props - Feature properties
+ * @param {string} dateId - Selected date tab
+ * @returns {string} Popup HTML
+ */
+function buildLandmarkPopup(props, dateId) {
+  const dateStations = (dateContent[dateId] || {}).stations || {};
+  const reporting = props.stations
+    .map(id => stations.find(station => station.id === id))
+    .filter(station => station && dateStations[station.id]);
+
+  const buttons = reporting.map(station =>
+    `<button type="button" class="station-select-btn" data-station="${station.id}">${station.name}</button>`
+  ).join('');
+
+  return `
+      <div class="landmark-popup">
+        <h3>${props.name}</h3>
+        <p>${props.description}</p>
+        ${reporting.length > 0 ? `<p class="landmark-stations-label">${t('landmarks.reportingOn', { date: formatDateTab(dateId) })}</p>${buttons}` : ''}
+      </div>
+    `;
+}
+
+/**
+ * Shows the landmarks, crowd areas and routes that apply to the selected date
+ */
+function updateLandmarkLayer() {
+  if (!landmarkLayer) return;
+
+  const { dateId } = appStore.getState();
+  landmarkLayer.clearLayers();
+
+  // Features without dates apply to every day
+  const features = landmarkFeatures.filter(feature =>
+    feature.properties.dates.length === 0 || feature.properties.dates.includes(dateId)
+  );
+
+  L.geoJSON({ type: 'FeatureCollection', features }, {
+    pointToLayer: (feature, latlng) => L.marker(latlng, {
+      icon: L.divIcon({
+        className: 'landmark-marker',
+        html: '<div class="landmark-pin"></div>',
+        iconSize: [16, 16],
+        iconAnchor: [8, 8]
+      }),
+      title: feature.properties.name
+    }),
+    style: feature => ({
+      className: `landmark-${feature.properties.kind}`,
+      dashArray: feature.properties.kind === 'route' ? '8 6' : null
+    }),
+    onEachFeature: (feature, layer) => {
+      layer.bindPopup(buildLandmarkPopup(feature.properties, dateId));
+    }
+  }).addTo(landmarkLayer);
+}
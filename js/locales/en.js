@@ -0,0 +1,335 @@
+// English messages, and the fallback for any key another catalog is missing.
+// Keys are grouped by the part of the page they belong to; `_one` / `_other`
+// suffixes are plural forms picked by t() from a `count` param.
+
+export default {
+  // Header, navigation and the toggles shared by every page
+  'site.logoAlt': 'People Power Radio logo',
+  'site.tagline': 'Relive the decisive days of February 22-25, 1986 through radio',
+  'nav.main': 'Main',
+  'nav.about': 'About',
+  'nav.authoring': 'Authoring',
+  'nav.language': 'Language',
+  'appearance.modeToggle': 'Toggle Light/Dark Mode',
+  'appearance.themeToggle': 'Change Theme',
+
+  // Content warning
+  'warning.title': 'Content Warning',
+  'warning.body': 'This website contains historical audio content from the 1986 Philippine People Power Revolution, which includes discussions of political unrest and military actions. Some content may be intense or disturbing to listeners.',
+  'warning.accept': 'By clicking "I Understand", you acknowledge this warning and wish to proceed.',
+  'warning.understand': 'I Understand',
+
+  // Views
+  'view.label': 'View',
+  'view.map': 'Map View',
+  'view.transcript': 'Audio Transcript',
+  'view.timeline': 'Broadcast Timeline',
+  'view.search': 'Search Transcripts',
+  'view.clips': 'My Clips',
+
+  // Date panel and station list
+  'panel.date': 'Date',
+  'panel.eventsOf': 'Events of {date}',
+  'panel.intro': 'The People Power Revolution, also known as the EDSA Revolution, were a series of peaceful demonstrations and rallies in the Philippines, concentrated in Metro Manila, from February 22 to 25, 1986, which led to the ouster of dictator Ferdinand Marcos Sr.',
+  'panel.selectStation': 'Select a Radio Station',
+  'panel.noDescription': 'No description available',
+  'panel.noContext': 'Historical context not available',
+  'app.loadErrorTitle': 'Unable to load content',
+  'app.loadErrorText': 'The station data could not be loaded. Check your connection and reload the page.',
+
+  // Map
+  'map.legendTitle': 'Stations',
+  'map.state.playing': 'Now playing',
+  'map.state.onAir': 'On air',
+  'map.state.seized': 'Seized',
+  'map.state.offAir': 'Off air',
+  'map.noRecording': 'No recording from this day.',
+  'map.selectStation': 'Select Station',
+  'landmarks.layer': 'Landmarks & events',
+  'landmarks.reportingOn': 'Reporting on {date}:',
+
+  // Guided story
+  'story.start': 'Guided story',
+  'story.invite': 'New here? Take the guided story through the four days.',
+  'story.dismiss': 'No thanks',
+  'story.progress': 'Step {current} of {total}',
+  'story.pause': 'Pause',
+  'story.resume': 'Resume',
+  'story.next': 'Next',
+  'story.exit': 'Exit story',
+  'story.finished': 'The story has ended',
+  'story.unavailable': 'The story could not be loaded.',
+
+  // Player
+  'player.play': 'Play',
+  'player.pause': 'Pause',
+  'player.mute': 'Mute',
+  'player.unmute': 'Unmute',
+  'player.muted': 'Muted',
+  'player.volume': 'Volume {percent}%',
+  'player.volumeLabel': 'Volume',
+  'player.seek': 'Seek',
+  'player.position': '{current} of {total}',
+  'player.playing': 'Playing {station}',
+  'player.pausedAt': 'Paused at {time}',
+  'player.loadError': 'This recording could not be loaded',
+  'player.link': 'Link',
+  'player.linkTitle': 'Copy a link to this moment',
+  'player.linkCopied': 'Copied!',
+  'player.copyLinkPrompt': 'Copy this link:',
+  'mediaSession.broadcast': '{station} broadcast',
+
+  // Speed, skips, A–B loop and resuming
+  'playback.back30': 'Back 30 seconds',
+  'playback.back10': 'Back 10 seconds',
+  'playback.forward10': 'Forward 10 seconds',
+  'playback.forward30': 'Forward 30 seconds',
+  'playback.speed': 'Speed',
+  'playback.speedChanged': 'Speed {rate}',
+  'playback.loop': 'A–B loop',
+  'playback.loopStart': 'Start the loop here',
+  'playback.loopEnd': 'End the loop here',
+  'playback.loopClear': 'Clear loop',
+  'playback.loopFrom': 'Loop from {start}',
+  'playback.loopRange': 'Looping {start}–{end}',
+  'playback.loopSet': 'Looping from {start} to {end}',
+  'playback.loopTooShort': 'The end of the loop has to come after its start',
+  'playback.resumed': 'Resuming at {time}',
+
+  // Playback queue
+  'queue.playback': 'Playback',
+  'queue.mode.loop': 'Loop this recording',
+  'queue.mode.date': 'All stations for this date',
+  'queue.mode.archive': 'Whole archive, Feb 22–25',
+  'queue.heading': 'Play Queue',
+  'queue.moveUp': 'Move up',
+  'queue.moveDown': 'Move down',
+
+  // Sound restoration, visualizer and tuner
+  'restoration.button': 'Restore',
+  'restoration.title': 'Clean up the sound',
+  'restoration.heading': 'Sound restoration',
+  'restoration.voiceEq': 'Voice clarity EQ',
+  'restoration.hissFilter': 'Hiss & rumble filter',
+  'restoration.compressor': 'Compressor',
+  'restoration.normalize': 'Even out loudness',
+  'visualizer.title': 'Change the visualizer display',
+  'visualizer.label': 'Visualizer: {mode}',
+  'visualizer.scope': 'Scope',
+  'visualizer.spectrum': 'Spectrum',
+  'visualizer.vu': 'VU',
+  'visualizer.off': 'Off',
+  'tuner.button': 'Dial',
+  'tuner.title': 'Tune with the radio dial',
+  'tuner.dial': 'Tuning dial',
+  'tuner.static': 'Static',
+  'tuner.offAir': '{station} (off the air)',
+
+  // Station comparison
+  'compare.button': 'Compare',
+  'compare.title': 'Play two stations side by side',
+  'compare.heading': 'Compare stations',
+  'compare.with': 'Compare with',
+  'compare.mix': 'Listen to',
+  'compare.mix.stereo': 'Both, left and right',
+  'compare.mix.switch': 'One at a time',
+  'compare.switchTo': 'Switch to {station}',
+  'compare.stereo': '{left} on the left, {right} on the right',
+  'compare.listening': 'Listening to {station}',
+  'compare.stereoUnavailable': 'These recordings can only be heard one at a time.',
+  'compare.noOther': 'No other station has a recording on {date}.',
+
+  // Transcripts
+  'transcript.heading': 'Transcript',
+  'transcript.layout': 'Transcript layout',
+  'transcript.mode.single': 'One language',
+  'transcript.mode.sideBySide': 'Side by side',
+  'transcript.mode.interleaved': 'Interleaved',
+  'transcript.language': 'Transcript language',
+  'transcript.translation': 'Translation language',
+  'transcript.placeholder': 'Select a station to view its transcript.',
+  'transcript.none': 'No transcript available',
+  'transcript.languageMissing': '{language} transcript not available; showing {fallback}.',
+  'transcript.noTranslation': 'No translation available for this recording.',
+  'transcript.lang.original': 'Original',
+  'transcript.lang.fil': 'Filipino',
+  'transcript.lang.tl': 'Tagalog',
+  'transcript.lang.en': 'English',
+
+  // Timeline
+  'timeline.heading': 'February 22–25, 1986',
+  'timeline.scrubber': 'Broadcast time',
+  'timeline.airTimeUnknown': '{date} (air time unknown)',
+  'timeline.noRecording': '{time} — no recording at this time',
+
+  // Search
+  'search.heading': 'Search the Archive',
+  'search.label': 'Search transcripts and descriptions',
+  'search.placeholder': 'e.g. Camp Crame',
+  'search.building': 'Building search index...',
+  'search.results_one': '{shown} result for "{query}"',
+  'search.results_other': '{shown} results for "{query}"',
+  'search.at': 'at {time}',
+  'search.field.transcript': 'Transcript',
+  'search.field.description': 'Description',
+  'search.field.context': 'Historical context',
+
+  // My Clips
+  'clips.intro': 'Mark an in and out point on the recording that is playing, add a note and save it. Clips stay in this browser; export them to keep a copy or hand them in.',
+  'clips.markIn': 'Mark in',
+  'clips.markOut': 'Mark out',
+  'clips.range': '{start} to {end}',
+  'clips.notePlaceholder': 'Note (optional)',
+  'clips.noteLabel': 'Note for this clip',
+  'clips.save': 'Save clip',
+  'clips.exportJson': 'Export JSON',
+  'clips.exportCsv': 'Export CSV',
+  'clips.import': 'Import',
+  'clips.saved': 'Clip saved',
+  'clips.saveError': 'Could not save the clip: {error}',
+  'clips.unavailable': "Clips can't be saved in this browser: {error}",
+  'clips.empty': 'No clips yet. Mark an in and out point while listening to save one.',
+  'clips.count_one': '{count} clip',
+  'clips.count_other': '{count} clips',
+  'clips.play': 'Play',
+  'clips.delete': 'Delete',
+  'clips.readError': 'Could not read {file}: {error}',
+  'clips.imported_one': 'Imported {count} clip from {file}.',
+  'clips.imported_other': 'Imported {count} clips from {file}.',
+  'clips.skipped_one': 'Skipped {count} invalid row.',
+  'clips.skipped_other': 'Skipped {count} invalid rows.',
+
+  // Offline listening
+  'offline.heading': 'Offline Listening',
+  'offline.mapNotice': "You're offline. Map areas you haven't viewed before appear blank; stations and downloaded audio still work.",
+  'offline.unsupported': 'Offline listening is not supported in this browser.',
+  'offline.online': 'Online.',
+  'offline.offline': 'Offline: playing saved data and downloads.',
+  'offline.dataSaved': 'Sheet data saved {time}.',
+  'offline.usage': 'Using {size} MB.',
+  'offline.downloading': 'Downloading {date}: {current} of {total}…',
+  'offline.failed_one': '{date}: {count} file could not be downloaded',
+  'offline.failed_other': '{date}: {count} files could not be downloaded',
+  'offline.available': '{date} is available offline',
+  'offline.daySaved': 'saved',
+  'offline.dayPartial': '{saved} of {total} saved',
+  'offline.dayRecordings_one': '{count} recording',
+  'offline.dayRecordings_other': '{count} recordings',
+  'offline.download': 'Download',
+  'offline.remove': 'Remove',
+  'offline.updateError': 'Could not update {date}: {error}',
+
+  // About page
+  'about.select': 'About contributors',
+  'about.hum': 'HUM Contributors',
+  'about.it': 'IT Contributors',
+  'about.humText': 'The HUM contributers provided the descriptions, audio files, contextual information, radio locations, and the general concept of the site.',
+  'about.editOn': 'Content can be edited on the',
+  'about.authoringLink': 'authoring page',
+  'about.itText': 'The IT contributers handled the site architecture, mapping integration, audio encoding, playback and overall design of the site.',
+
+  // Themes and the theme builder
+  'theme.blue': 'Blue',
+  'theme.yellow': 'Yellow',
+  'theme.red': 'Red',
+  'theme.retroPink': 'Retro pink',
+  'theme.token.background': 'Page background',
+  'theme.token.text': 'Text',
+  'theme.token.panels': 'Panels',
+  'theme.token.fields': 'Fields',
+  'theme.token.dividers': 'Dividers',
+  'theme.token.hover': 'Hover background',
+  'theme.token.borders': 'Borders',
+  'theme.token.secondaryText': 'Secondary text',
+  'theme.token.primary': 'Primary',
+  'theme.token.accent': 'Accent',
+  'theme.token.accentBright': 'Accent (bright)',
+  'theme.token.accentHover': 'Accent hover',
+  'theme.token.mutedPrimary': 'Muted primary',
+  'theme.token.mutedPrimaryAlt': 'Muted primary (alt)',
+  'theme.token.selectedStation': 'Selected station',
+  'theme.token.signal': 'Radio signal',
+  'theme.token.danger': 'Warnings',
+  'themeBuilder.title': 'Theme Builder',
+  'themeBuilder.open': 'Open the theme builder',
+  'themeBuilder.name': 'Name',
+  'themeBuilder.basedOn': 'Based on',
+  'themeBuilder.mode': 'Mode',
+  'themeBuilder.mode.system': 'Follow system',
+  'themeBuilder.mode.light': 'Light',
+  'themeBuilder.mode.dark': 'Dark',
+  'themeBuilder.editingLight': 'Colors for light mode; switch the mode to edit the other set.',
+  'themeBuilder.editingDark': 'Colors for dark mode; switch the mode to edit the other set.',
+  'themeBuilder.reset': 'Reset',
+  'themeBuilder.resetToken': 'Reset {token}',
+  'themeBuilder.contrast': 'Contrast',
+  'themeBuilder.pair.pageText': 'Page text',
+  'themeBuilder.pair.panelText': 'Panel text',
+  'themeBuilder.pair.descriptions': 'Station descriptions and notes',
+  'themeBuilder.pair.headings': 'Headings and station names',
+  'themeBuilder.pair.header': 'Header, buttons and menus',
+  'themeBuilder.pair.selectedStation': 'Selected station name',
+  'themeBuilder.pair.fields': 'Form fields',
+  'themeBuilder.passes': 'Passes AA',
+  'themeBuilder.largeOnly': 'Only passes AA for large text',
+  'themeBuilder.fails': 'Fails AA: hard to read',
+  'themeBuilder.unchecked': 'Could not be checked',
+  'themeBuilder.failing_one': '{count} pair falls below the WCAG AA ratio of 4.5:1.',
+  'themeBuilder.failing_other': '{count} pairs fall below the WCAG AA ratio of 4.5:1.',
+  'themeBuilder.allPass': 'Every pair meets the WCAG AA ratio of 4.5:1.',
+  'themeBuilder.save': 'Save',
+  'themeBuilder.new': 'New',
+  'themeBuilder.close': 'Close',
+  'themeBuilder.savedThemes': 'Saved themes',
+  'themeBuilder.edit': 'Edit',
+  'themeBuilder.delete': 'Delete',
+  'themeBuilder.share': 'Share',
+  'themeBuilder.copyLink': 'Copy link',
+  'themeBuilder.export': 'Export JSON',
+  'themeBuilder.import': 'Import JSON',
+  'themeBuilder.defaultName': 'My theme',
+  'themeBuilder.saved': 'Saved "{name}".',
+  'themeBuilder.deleted': 'Deleted "{name}".',
+  'themeBuilder.confirmDelete': 'Delete the theme "{name}"?',
+  'themeBuilder.confirmShared': 'Apply and save the shared theme "{name}"?',
+  'themeBuilder.copyName': '{name} ({number})',
+  'themeBuilder.linkCopied': 'Link copied. Opening it offers to apply and save this theme.',
+  'themeBuilder.notATheme': '{file} is not a theme file.',
+  'themeBuilder.loaded': 'Loaded "{name}" from {file}. Save to keep it.',
+  'diagnostics.title': 'Data Diagnostics',
+  'diagnostics.checkAudio': 'Check audio files',
+  'diagnostics.checking': 'Checking...',
+  'diagnostics.noProblems': 'No problems found.',
+  'diagnostics.summary': 'Loaded from {source}: {errors}, {warnings}',
+  'diagnostics.errors_one': '{count} error',
+  'diagnostics.errors_other': '{count} errors',
+  'diagnostics.warnings_one': '{count} warning',
+  'diagnostics.warnings_other': '{count} warnings',
+  'diagnostics.audioNotChecked': '(audio files not checked yet)',
+  'diagnostics.unknownSource': 'unknown source',
+  'diagnostics.severity': 'Severity',
+  'diagnostics.tab': 'Tab',
+  'diagnostics.row': 'Row',
+  'diagnostics.column': 'Column',
+  'diagnostics.problem': 'Problem',
+  'diagnostics.error': 'error',
+  'diagnostics.warning': 'warning',
+  'diagnostics.source.sheets': 'Google Sheets',
+  'diagnostics.source.manifest': 'Bundled manifest',
+  'diagnostics.source.csv': 'Local CSV folder',
+  'diagnostics.source.draft': 'Authoring draft',
+  'diagnostics.issue.malformedCsv': 'Malformed CSV at line {line}: {reason}',
+  'diagnostics.issue.tabMissing': 'Tab is missing',
+  'diagnostics.issue.tabEmpty': 'Tab has no rows',
+  'diagnostics.issue.columnMissing': 'Column "{column}" is missing',
+  'diagnostics.issue.requiredEmpty': 'Required value "{column}" is empty',
+  'diagnostics.issue.notNumber': '"{value}" is not a number',
+  'diagnostics.issue.outOfRange': '{value} is outside the valid range {min} to {max}',
+  'diagnostics.issue.outsidePhilippines': '{value} is outside the Philippines ({min} to {max})',
+  'diagnostics.issue.notBroadcastTime': '"{value}" is not a broadcast time like 21:30 or 1986-02-23 01:15',
+  'diagnostics.issue.duplicate': 'Duplicate {column} "{value}" (first used in row {row})',
+  'diagnostics.issue.unknownStation': 'Station id "{value}" does not exist in Master',
+  'diagnostics.issue.notOneOf': '"{value}" is not one of {values}',
+  'diagnostics.issue.audioStatus': 'Audio for {station} returned status {status}: {url}',
+  'diagnostics.issue.audioUnreachable': 'Audio for {station} could not be reached (offline or blocked by CORS): {url}'
+};
@@ -0,0 +1,334 @@
+// Filipino messages. Keys missing here fall back to the English catalog (en.js).
+// Station names, the site name and content from the sheet are not translated.
+
+export default {
+  // Header, navigation and the toggles shared by every page
+  'site.logoAlt': 'Logo ng People Power Radio',
+  'site.tagline': 'Balikan sa radyo ang mapagpasyang mga araw ng Pebrero 22-25, 1986',
+  'nav.main': 'Simula',
+  'nav.about': 'Tungkol',
+  'nav.authoring': 'Pag-akda',
+  'nav.language': 'Wika',
+  'appearance.modeToggle': 'Palitan ang maliwanag/madilim na mode',
+  'appearance.themeToggle': 'Palitan ang tema',
+
+  // Content warning
+  'warning.title': 'Babala sa Nilalaman',
+  'warning.body': 'Naglalaman ang website na ito ng makasaysayang audio mula sa 1986 People Power Revolution sa Pilipinas, kabilang ang mga talakayan tungkol sa kaguluhang pampulitika at mga kilos-militar. Maaaring mabigat o nakababagabag sa ilang tagapakinig ang ilang nilalaman.',
+  'warning.accept': 'Sa pag-click ng "Naiintindihan Ko", kinikilala mo ang babalang ito at nais mong magpatuloy.',
+  'warning.understand': 'Naiintindihan Ko',
+
+  // Views
+  'view.label': 'Tanaw',
+  'view.map': 'Mapa',
+  'view.transcript': 'Transkripsiyon ng Audio',
+  'view.timeline': 'Takdang-oras ng Brodkast',
+  'view.search': 'Maghanap sa mga Transkripsiyon',
+  'view.clips': 'Aking mga Clip',
+
+  // Date panel and station list
+  'panel.date': 'Petsa',
+  'panel.eventsOf': 'Mga Pangyayari noong {date}',
+  'panel.intro': 'Ang People Power Revolution, kilala rin bilang EDSA Revolution, ay serye ng mapayapang demonstrasyon at rali sa Pilipinas, na nakatuon sa Kalakhang Maynila, mula Pebrero 22 hanggang 25, 1986, na humantong sa pagpapatalsik sa diktador na si Ferdinand Marcos Sr.',
+  'panel.selectStation': 'Pumili ng Istasyon ng Radyo',
+  'panel.noDescription': 'Walang paglalarawan',
+  'panel.noContext': 'Walang makukuhang kontekstong pangkasaysayan',
+  'app.loadErrorTitle': 'Hindi ma-load ang nilalaman',
+  'app.loadErrorText': 'Hindi ma-load ang datos ng mga istasyon. Suriin ang iyong koneksiyon at i-reload ang pahina.',
+
+  // Map
+  'map.legendTitle': 'Mga Istasyon',
+  'map.state.playing': 'Tumutugtog ngayon',
+  'map.state.onAir': 'Nasa ere',
+  'map.state.seized': 'Kinubkob',
+  'map.state.offAir': 'Wala sa ere',
+  'map.noRecording': 'Walang rekording mula sa araw na ito.',
+  'map.selectStation': 'Piliin ang Istasyon',
+  'landmarks.layer': 'Mga palatandaan at pangyayari',
+  'landmarks.reportingOn': 'Nag-uulat noong {date}:',
+
+  // Guided story
+  'story.start': 'Gabay na kuwento',
+  'story.invite': 'Bago ka rito? Sundan ang gabay na kuwento sa loob ng apat na araw.',
+  'story.dismiss': 'Huwag na',
+  'story.progress': 'Hakbang {current} sa {total}',
+  'story.pause': 'I-pause',
+  'story.resume': 'Ituloy',
+  'story.next': 'Susunod',
+  'story.exit': 'Lumabas sa kuwento',
+  'story.finished': 'Tapos na ang kuwento',
+  'story.unavailable': 'Hindi ma-load ang kuwento.',
+
+  // Player
+  'player.play': 'I-play',
+  'player.pause': 'I-pause',
+  'player.mute': 'I-mute',
+  'player.unmute': 'I-unmute',
+  'player.muted': 'Naka-mute',
+  'player.volume': 'Lakas ng tunog {percent}%',
+  'player.volumeLabel': 'Lakas ng tunog',
+  'player.seek': 'Lumaktaw',
+  'player.position': '{current} sa {total}',
+  'player.playing': 'Tumutugtog ang {station}',
+  'player.pausedAt': 'Naka-pause sa {time}',
+  'player.loadError': 'Hindi ma-load ang rekording na ito',
+  'player.link': 'Link',
+  'player.linkTitle': 'Kopyahin ang link sa sandaling ito',
+  'player.linkCopied': 'Nakopya!',
+  'player.copyLinkPrompt': 'Kopyahin ang link na ito:',
+  'mediaSession.broadcast': 'Brodkast ng {station}',
+
+  // Speed, skips, A–B loop and resuming
+  'playback.back30': 'Umatras nang 30 segundo',
+  'playback.back10': 'Umatras nang 10 segundo',
+  'playback.forward10': 'Umabante nang 10 segundo',
+  'playback.forward30': 'Umabante nang 30 segundo',
+  'playback.speed': 'Bilis',
+  'playback.speedChanged': 'Bilis {rate}',
+  'playback.loop': 'A–B na pag-ulit',
+  'playback.loopStart': 'Simulan dito ang pag-ulit',
+  'playback.loopEnd': 'Tapusin dito ang pag-ulit',
+  'playback.loopClear': 'Alisin ang pag-ulit',
+  'playback.loopFrom': 'Uulitin mula {start}',
+  'playback.loopRange': 'Inuulit ang {start}–{end}',
+  'playback.loopSet': 'Inuulit mula {start} hanggang {end}',
+  'playback.loopTooShort': 'Dapat mas huli ang dulo ng pag-ulit kaysa sa simula nito',
+  'playback.resumed': 'Itinutuloy sa {time}',
+
+  // Playback queue
+  'queue.playback': 'Pagtugtog',
+  'queue.mode.loop': 'Ulit-ulitin ang rekording na ito',
+  'queue.mode.date': 'Lahat ng istasyon sa petsang ito',
+  'queue.mode.archive': 'Buong arkibo, Peb 22–25',
+  'queue.heading': 'Pila ng Tutugtugin',
+  'queue.moveUp': 'Itaas',
+  'queue.moveDown': 'Ibaba',
+
+  // Sound restoration, visualizer and tuner
+  'restoration.button': 'Ayusin',
+  'restoration.title': 'Linisin ang tunog',
+  'restoration.heading': 'Pag-aayos ng tunog',
+  'restoration.voiceEq': 'EQ para sa linaw ng boses',
+  'restoration.hissFilter': 'Pansala sa sitsit at ugong',
+  'restoration.compressor': 'Compressor',
+  'restoration.normalize': 'Pantayin ang lakas',
+  'visualizer.title': 'Palitan ang visualizer',
+  'visualizer.label': 'Visualizer: {mode}',
+  'visualizer.scope': 'Scope',
+  'visualizer.spectrum': 'Spectrum',
+  'visualizer.vu': 'VU',
+  'visualizer.off': 'Patay',
+  'tuner.button': 'Dial',
+  'tuner.title': 'Humanap ng istasyon gamit ang dial ng radyo',
+  'tuner.dial': 'Dial ng radyo',
+  'tuner.static': 'Estatik',
+  'tuner.offAir': '{station} (wala sa ere)',
+
+  // Station comparison
+  'compare.button': 'Ihambing',
+  'compare.title': 'Patugtugin nang magkasabay ang dalawang istasyon',
+  'compare.heading': 'Paghambingin ang mga istasyon',
+  'compare.with': 'Ihambing sa',
+  'compare.mix': 'Pakinggan ang',
+  'compare.mix.stereo': 'Pareho, kaliwa at kanan',
+  'compare.mix.switch': 'Isa-isa',
+  'compare.switchTo': 'Lumipat sa {station}',
+  'compare.stereo': '{left} sa kaliwa, {right} sa kanan',
+  'compare.listening': 'Pinakikinggan ang {station}',
+  'compare.stereoUnavailable': 'Isa-isa lamang maririnig ang mga rekording na ito.',
+  'compare.noOther': 'Walang ibang istasyong may rekording noong {date}.',
+
+  // Transcripts
+  'transcript.heading': 'Transkripsiyon',
+  'transcript.layout': 'Ayos ng transkripsiyon',
+  'transcript.mode.single': 'Isang wika',
+  'transcript.mode.sideBySide': 'Magkatabi',
+  'transcript.mode.interleaved': 'Salitan',
+  'transcript.language': 'Wika ng transkripsiyon',
+  'transcript.translation': 'Wika ng salin',
+  'transcript.placeholder': 'Pumili ng istasyon para makita ang transkripsiyon nito.',
+  'transcript.none': 'Walang transkripsiyon',
+  'transcript.languageMissing': 'Walang transkripsiyon sa {language}; ipinapakita ang {fallback}.',
+  'transcript.noTranslation': 'Walang salin para sa rekording na ito.',
+  'transcript.lang.original': 'Orihinal',
+  'transcript.lang.fil': 'Filipino',
+  'transcript.lang.tl': 'Tagalog',
+  'transcript.lang.en': 'Ingles',
+
+  // Timeline
+  'timeline.heading': 'Pebrero 22–25, 1986',
+  'timeline.scrubber': 'Oras ng brodkast',
+  'timeline.airTimeUnknown': '{date} (hindi alam ang oras sa ere)',
+  'timeline.noRecording': '{time} — walang rekording sa oras na ito',
+
+  // Search
+  'search.heading': 'Maghanap sa Arkibo',
+  'search.label': 'Maghanap sa mga transkripsiyon at paglalarawan',
+  'search.placeholder': 'hal. Camp Crame',
+  'search.building': 'Binubuo ang index ng paghahanap...',
+  'search.results_one': '{shown} resulta para sa "{query}"',
+  'search.results_other': '{shown} resulta para sa "{query}"',
+  'search.at': 'sa {time}',
+  'search.field.transcript': 'Transkripsiyon',
+  'search.field.description': 'Paglalarawan',
+  'search.field.context': 'Kontekstong pangkasaysayan',
+
+  // My Clips
+  'clips.intro': 'Markahan ang simula at dulo sa rekording na tumutugtog, magdagdag ng tala at i-save ito. Nananatili ang mga clip sa browser na ito; i-export ang mga ito para magtabi ng kopya o para ipasa.',
+  'clips.markIn': 'Markahan ang simula',
+  'clips.markOut': 'Markahan ang dulo',
+  'clips.range': '{start} hanggang {end}',
+  'clips.notePlaceholder': 'Tala (opsiyonal)',
+  'clips.noteLabel': 'Tala para sa clip na ito',
+  'clips.save': 'I-save ang clip',
+  'clips.exportJson': 'I-export bilang JSON',
+  'clips.exportCsv': 'I-export bilang CSV',
+  'clips.import': 'Mag-import',
+  'clips.saved': 'Na-save ang clip',
+  'clips.saveError': 'Hindi ma-save ang clip: {error}',
+  'clips.unavailable': 'Hindi makapag-save ng clip sa browser na ito: {error}',
+  'clips.empty': 'Wala pang clip. Markahan ang simula at dulo habang nakikinig para mag-save ng isa.',
+  'clips.count_one': '{count} clip',
+  'clips.count_other': '{count} clip',
+  'clips.play': 'I-play',
+  'clips.delete': 'Burahin',
+  'clips.readError': 'Hindi mabasa ang {file}: {error}',
+  'clips.imported_one': 'Na-import ang {count} clip mula sa {file}.',
+  'clips.imported_other': 'Na-import ang {count} clip mula sa {file}.',
+  'clips.skipped_one': 'Nilaktawan ang {count} hindi wastong hanay.',
+  'clips.skipped_other': 'Nilaktawan ang {count} hindi wastong hanay.',
+
+  // Offline listening
+  'offline.heading': 'Pakikinig Offline',
+  'offline.mapNotice': 'Offline ka. Blangko ang mga bahagi ng mapa na hindi mo pa natitingnan; gumagana pa rin ang mga istasyon at na-download na audio.',
+  'offline.unsupported': 'Hindi suportado ng browser na ito ang pakikinig offline.',
+  'offline.online': 'Online.',
+  'offline.offline': 'Offline: pinapatugtog ang naka-save na datos at mga download.',
+  'offline.dataSaved': 'Na-save ang datos ng sheet noong {time}.',
+  'offline.usage': 'Gumagamit ng {size} MB.',
+  'offline.downloading': 'Dina-download ang {date}: {current} sa {total}…',
+  'offline.failed_one': '{date}: {count} file ang hindi ma-download',
+  'offline.failed_other': '{date}: {count} file ang hindi ma-download',
+  'offline.available': 'Magagamit offline ang {date}',
+  'offline.daySaved': 'naka-save',
+  'offline.dayPartial': '{saved} sa {total} ang naka-save',
+  'offline.dayRecordings_one': '{count} rekording',
+  'offline.dayRecordings_other': '{count} rekording',
+  'offline.download': 'I-download',
+  'offline.remove': 'Alisin',
+  'offline.updateError': 'Hindi ma-update ang {date}: {error}',
+
+  // About page
+  'about.select': 'Tungkol sa mga kontribyutor',
+  'about.hum': 'Mga Kontribyutor sa HUM',
+  'about.it': 'Mga Kontribyutor sa IT',
+  'about.humText': 'Ang mga kontribyutor sa HUM ang naghanda ng mga paglalarawan, audio file, kontekstong impormasyon, lokasyon ng mga radyo, at pangkalahatang konsepto ng site.',
+  'about.editOn': 'Maaaring baguhin ang nilalaman sa',
+  'about.authoringLink': 'pahina ng pag-akda',
+  'about.itText': 'Ang mga kontribyutor sa IT ang humawak sa arkitektura ng site, integrasyon ng mapa, pag-encode ng audio, pagtugtog at pangkalahatang disenyo ng site.',
+
+  // Themes and the theme builder
+  'theme.blue': 'Asul',
+  'theme.yellow': 'Dilaw',
+  'theme.red': 'Pula',
+  'theme.retroPink': 'Retro na rosas',
+  'theme.token.background': 'Likuran ng pahina',
+  'theme.token.text': 'Teksto',
+  'theme.token.panels': 'Mga panel',
+  'theme.token.fields': 'Mga field',
+  'theme.token.dividers': 'Mga panghati',
+  'theme.token.hover': 'Likuran kapag tinututukan',
+  'theme.token.borders': 'Mga gilid',
+  'theme.token.secondaryText': 'Pangalawang teksto',
+  'theme.token.primary': 'Pangunahin',
+  'theme.token.accent': 'Palamuti',
+  'theme.token.accentBright': 'Palamuti (matingkad)',
+  'theme.token.accentHover': 'Palamuti kapag tinututukan',
+  'theme.token.mutedPrimary': 'Malamlam na pangunahin',
+  'theme.token.mutedPrimaryAlt': 'Malamlam na pangunahin (iba)',
+  'theme.token.selectedStation': 'Napiling istasyon',
+  'theme.token.signal': 'Signal ng radyo',
+  'theme.token.danger': 'Mga babala',
+  'themeBuilder.title': 'Gumawa ng Tema',
+  'themeBuilder.open': 'Buksan ang paggawa ng tema',
+  'themeBuilder.name': 'Pangalan',
+  'themeBuilder.basedOn': 'Batay sa',
+  'themeBuilder.mode': 'Mode',
+  'themeBuilder.mode.system': 'Sundin ang system',
+  'themeBuilder.mode.light': 'Maliwanag',
+  'themeBuilder.mode.dark': 'Madilim',
+  'themeBuilder.editingLight': 'Mga kulay para sa maliwanag na mode; palitan ang mode para baguhin ang kabilang set.',
+  'themeBuilder.editingDark': 'Mga kulay para sa madilim na mode; palitan ang mode para baguhin ang kabilang set.',
+  'themeBuilder.reset': 'Ibalik',
+  'themeBuilder.resetToken': 'Ibalik ang {token}',
+  'themeBuilder.contrast': 'Kontrast',
+  'themeBuilder.pair.pageText': 'Teksto ng pahina',
+  'themeBuilder.pair.panelText': 'Teksto ng panel',
+  'themeBuilder.pair.descriptions': 'Paglalarawan at tala ng mga istasyon',
+  'themeBuilder.pair.headings': 'Mga pamagat at pangalan ng istasyon',
+  'themeBuilder.pair.header': 'Header, mga button at menu',
+  'themeBuilder.pair.selectedStation': 'Pangalan ng napiling istasyon',
+  'themeBuilder.pair.fields': 'Mga field ng form',
+  'themeBuilder.passes': 'Pasado sa AA',
+  'themeBuilder.largeOnly': 'Pasado lang sa AA para sa malaking teksto',
+  'themeBuilder.fails': 'Bagsak sa AA: mahirap basahin',
+  'themeBuilder.unchecked': 'Hindi masuri',
+  'themeBuilder.failing_one': '{count} pares ang mas mababa sa WCAG AA na ratio na 4.5:1.',
+  'themeBuilder.failing_other': '{count} pares ang mas mababa sa WCAG AA na ratio na 4.5:1.',
+  'themeBuilder.allPass': 'Abot ng bawat pares ang WCAG AA na ratio na 4.5:1.',
+  'themeBuilder.save': 'I-save',
+  'themeBuilder.new': 'Bago',
+  'themeBuilder.close': 'Isara',
+  'themeBuilder.savedThemes': 'Mga naka-save na tema',
+  'themeBuilder.edit': 'Baguhin',
+  'themeBuilder.delete': 'Burahin',
+  'themeBuilder.share': 'Ibahagi',
+  'themeBuilder.copyLink': 'Kopyahin ang link',
+  'themeBuilder.export': 'I-export bilang JSON',
+  'themeBuilder.import': 'Mag-import ng JSON',
+  'themeBuilder.defaultName': 'Aking tema',
+  'themeBuilder.saved': 'Na-save ang "{name}".',
+  'themeBuilder.deleted': 'Binura ang "{name}".',
+  'themeBuilder.confirmDelete': 'Burahin ang temang "{name}"?',
+  'themeBuilder.confirmShared': 'Ilapat at i-save ang ibinahaging temang "{name}"?',
+  'themeBuilder.copyName': '{name} ({number})',
+  'themeBuilder.linkCopied': 'Nakopya ang link. Kapag binuksan, itatanong nito kung ilalapat at ise-save ang temang ito.',
+  'themeBuilder.notATheme': 'Hindi file ng tema ang {file}.',
+  'themeBuilder.loaded': 'Na-load ang "{name}" mula sa {file}. I-save para itago ito.',
+  'diagnostics.title': 'Pagsusuri ng Datos',
+  'diagnostics.checkAudio': 'Suriin ang mga audio file',
+  'diagnostics.checking': 'Sinusuri...',
+  'diagnostics.noProblems': 'Walang nakitang problema.',
+  'diagnostics.summary': 'Na-load mula sa {source}: {errors}, {warnings}',
+  'diagnostics.errors_one': '{count} error',
+  'diagnostics.errors_other': '{count} error',
+  'diagnostics.warnings_one': '{count} babala',
+  'diagnostics.warnings_other': '{count} babala',
+  'diagnostics.audioNotChecked': '(hindi pa nasusuri ang mga audio file)',
+  'diagnostics.unknownSource': 'hindi kilalang pinagmulan',
+  'diagnostics.severity': 'Antas',
+  'diagnostics.tab': 'Tab',
+  'diagnostics.row': 'Hanay',
+  'diagnostics.column': 'Kolum',
+  'diagnostics.problem': 'Problema',
+  'diagnostics.error': 'error',
+  'diagnostics.warning': 'babala',
+  'diagnostics.source.sheets': 'Google Sheets',
+  'diagnostics.source.manifest': 'Kasamang manifest',
+  'diagnostics.source.csv': 'Lokal na folder ng CSV',
+  'diagnostics.source.draft': 'Draft ng pag-akda',
+  'diagnostics.issue.malformedCsv': 'Sirang CSV sa linya {line}: {reason}',
+  'diagnostics.issue.tabMissing': 'Nawawala ang tab',
+  'diagnostics.issue.tabEmpty': 'Walang hanay ang tab',
+  'diagnostics.issue.columnMissing': 'Nawawala ang kolum na "{column}"',
+  'diagnostics.issue.requiredEmpty': 'Walang laman ang kailangang halaga na "{column}"',
+  'diagnostics.issue.notNumber': 'Hindi numero ang "{value}"',
+  'diagnostics.issue.outOfRange': 'Ang {value} ay labas sa tamang saklaw na {min} hanggang {max}',
+  'diagnostics.issue.outsidePhilippines': 'Ang {value} ay labas sa Pilipinas ({min} hanggang {max})',
+  'diagnostics.issue.notBroadcastTime': 'Ang "{value}" ay hindi oras ng brodkast gaya ng 21:30 o 1986-02-23 01:15',
+  'diagnostics.issue.duplicate': 'Dobleng {column} na "{value}" (unang ginamit sa hanay {row})',
+  'diagnostics.issue.unknownStation': 'Walang station id na "{value}" sa Master',
+  'diagnostics.issue.notOneOf': 'Ang "{value}" ay hindi isa sa {values}',
+  'diagnostics.issue.audioStatus': 'Nagbalik ng status {status} ang audio ng {station}: {url}',
+  'diagnostics.issue.audioUnreachable': 'Hindi maabot ang audio ng {station} (offline o hinarang ng CORS): {url}'
+};
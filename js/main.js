@@ -0,0 +1,25 @@
+// Entry point for index.html: restores the language and theme, creates the map and
+// shows the content warning, which starts the application once accepted.
+
+import { setupAppearance } from './appearance.js';
+import { setupI18n } from './i18n.js';
+import { initializeMap } from './map.js';
+import { registerServiceWorker } from './offline.js';
+import { setupThemeBuilder } from './theme-builder.js';
+import { initializeTriggerWarning } from './trigger-warning.js';
+
+if (window.location.protocol === 'https:') {
+  // This will automatically upgrade HTTP requests to HTTPS
+  const meta = document.createElement('meta');
+  meta.httpEquiv = "Content-Security-Policy";
+  meta.content = "upgrade-insecure-requests";
+  document.getElementsByTagName('head')[0].appendChild(meta);
+}
+
+// Module scripts run after the document is parsed, so the page is ready here
+setupI18n();
+setupAppearance();
+setupThemeBuilder();
+initializeMap();
+registerServiceWorker();
+initializeTriggerWarning();
@@ -0,0 +1,202 @@
+// Leaflet map: station markers, their on-air/off-air/seized states and the legend.
+
+import { stationStatusValues } from './config.js';
+import { dateContent, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { selectStation } from './player.js';
+import { appStore } from './store.js';
+
+export let map = null; // Leaflet map, set by initializeMap() when Leaflet and the #map element exist
+
+/**
+ * Creates the Leaflet map with its tiles. The map is optional: without Leaflet
+ * or the #map element the rest of the page still works.
+ */
+export function initializeMap() {
+  if (typeof L === 'undefined' || !document.getElementById('map')) return;
+
+  // Initialize the map with Metro Manila coordinates and zoom level
+  map = L.map('map').setView([14.5995, 120.9842], 10);
+
+  // Add OpenStreetMap tiles to the map with proper attribution; the main visualizer
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    // Plain background for tiles that can't load (e.g. offline and never viewed)
+    errorTileUrl: 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="256" height="256"%3E%3Crect width="256" height="256" fill="%23e5e3df"/%3E%3C/svg%3E'
+  }).addTo(map);
+
+  // Popup buttons are plain HTML strings, so their clicks are handled here
+  document.getElementById('map').addEventListener('click', (e) => {
+    const button = e.target.closest('.station-select-btn[data-station]');
+    if (button) selectStation(button.dataset.station);
+  });
+}
+
+// How each marker state is drawn, and the message naming it in the legend and popups
+const stationStates = {
+  playing: { label: 'map.state.playing', size: 30 },
+  'on-air': { label: 'map.state.onAir', size: 20 },
+  seized: { label: 'map.state.seized', size: 20 },
+  'off-air': { label: 'map.state.offAir', size: 16 }
+};
+
+let stationMarkerIcons = {}; // Leaflet icon per marker state
+
+/**
+ * Adds a marker for each station plus the legend, and keeps them in step with
+ * the selected date and station
+ */
+export function addStationMarkers() {
+  if (!map || typeof L === 'undefined') return;
+
+  // Marker icons reflect each station's state on the selected date
+  buildStationMarkerIcons();
+  addStationLegend();
+
+  // Add markers to map for each radio station; icons and popups are filled in by updateStationMarkers()
+  stations.forEach(station => {
+    const marker = L.marker([station.lat, station.lng], {
+      icon: stationMarkerIcons['off-air'],
+      title: station.name
+    })
+      .addTo(map)
+      .bindPopup('');
+
+    // Store marker reference for later manipulation
+    station.marker = marker;
+
+    // Add click event to select station when marker is clicked (if it has a recording that day)
+    marker.on('click', function() {
+      if (dateContent[appStore.getState().dateId]?.stations[station.id]) {
+        selectStation(station.id);
+      }
+    });
+  });
+
+  appStore.watch(state => state.dateId, updateStationMarkers);
+  appStore.watch(state => state.locale, updateStationMarkers);
+  appStore.watch(state => state.compare, (state) => {
+    updateStationMarkers();
+    if (state.view === 'map') frameComparedStations(state);
+  });
+  appStore.watch(state => state.recording, (state) => {
+    updateStationMarkers();
+
+    // Only move the map while it is on screen; switching back to it catches up
+    const station = stations.find(s => s.id === state.recording.stationId);
+    if (station && station.marker && state.view === 'map' && !frameComparedStations(state)) {
+      map.setView([station.lat, station.lng], 12);
+      station.marker.openPopup();
+    }
+  });
+}
+
+/**
+ * Fits the map around the two stations being compared
+ * @param {Object} state - App state
+ * @returns {boolean} False if no two stations are being compared
+ */
+function frameComparedStations(state) {
+  const playing = stations.find(s => s.id === state.recording?.stationId);
+  const compared = stations.find(s => s.id === state.compare?.stationId);
+  if (!playing || !compared) return false;
+
+  map.fitBounds([[playing.lat, playing.lng], [compared.lat, compared.lng]], { padding: [60, 60], maxZoom: 14 });
+  return true;
+}
+
+/**
+ * Creates one Leaflet icon per marker state
+ */
+function buildStationMarkerIcons() {
+  Object.keys(stationStates).forEach(state => {
+    const { size } = stationStates[state];
+    stationMarkerIcons[state] = L.divIcon({
+      className: `radio-marker ${state}`,
+      html: '<div class="signal-waves"></div>',
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2] // Anchor point at center
+    });
+  });
+}
+
+/**
+ * Works out a station's state on a date from dateContent: stations without a
+ * recording are off air unless the date tab's `status` column says otherwise, and
+ * the stations in the player and in the comparison are playing
+ * @param {string} stationId - ID of the station
+ * @param {string} dateId - Date tab to check
+ * @returns {string} One of the keys of `stationStates`
+ */
+function getStationState(stationId, dateId) {
+  const dynamicData = dateContent[dateId]?.stations[stationId];
+  if (!dynamicData) return 'off-air';
+  const { recording, compare } = appStore.getState();
+  if (recording?.stationId === stationId || compare?.stationId === stationId) return 'playing';
+  return stationStatusValues.includes(dynamicData.status) ? dynamicData.status : 'on-air';
+}
+
+/**
+ * Builds a station marker's popup for the selected date, including its status note
+ * @param {Object} station - Station from the Master tab
+ * @param {string} dateId - Selected date tab
+ * @param {string} state - Marker state from getStationState()
+ * @returns {string} Popup HTML
+ */
+function buildStationPopup(station, dateId, state) {
+  const dynamicData = dateContent[dateId]?.stations[station.id];
+  const title = formatDateTab(dateId);
+  const note = dynamicData?.statusNote || (dynamicData ? '' : t('map.noRecording'));
+
+  return `
+      <div>
+        <h3>${station.name}</h3>
+        <p>${station.description}</p> <!-- Use general description from Master sheet -->
+        <p class="station-status ${state}">${t(stationStates[state].label)} · ${title}${note ? `: ${note}` : ''}</p>
+        ${dynamicData ? `<button type="button" class="station-select-btn" data-station="${station.id}">${t('map.selectStation')}</button>` : ''}
+      </div>
+    `;
+}
+
+/**
+ * Updates every station marker's icon and popup for the selected date and station
+ */
+function updateStationMarkers() {
+  if (!map) return;
+
+  const { dateId } = appStore.getState();
+  stations.forEach(station => {
+    if (!station.marker) return;
+
+    const state = getStationState(station.id, dateId);
+    if (station.markerState !== state) {
+      station.marker.setIcon(stationMarkerIcons[state]);
+      station.markerState = state;
+    }
+    station.marker.setZIndexOffset(state === 'playing' ? 1000 : 0);
+    station.marker.setPopupContent(buildStationPopup(station, dateId, state));
+  });
+}
+
+/**
+ * Adds a legend explaining the marker states to the map
+ */
+function addStationLegend() {
+  const legend = L.control({ position: 'bottomright' });
+
+  legend.onAdd = () => {
+    const div = L.DomUtil.create('div', 'marker-legend');
+    const render = () => {
+      div.innerHTML = `<h4>${t('map.legendTitle')}</h4>` + Object.keys(stationStates).map(state => `
+      <div class="marker-legend-item">
+        <span class="marker-legend-icon"><span class="radio-marker ${state}"><span class="signal-waves"></span></span></span>
+        ${t(stationStates[state].label)}
+      </div>`).join('');
+    };
+    render();
+    appStore.watch(state => state.locale, render);
+    return div;
+  };
+
+  legend.addTo(map);
+}
@@ -0,0 +1,99 @@
+// Media Session: the current recording on the lock screen and hardware media keys.
+
+import { stepStation } from './a11y.js';
+import { getRecordingData, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { audioPlayer, playAudio, seekBy } from './player.js';
+import { appStore } from './store.js';
+
+/**
+ * Publishes the current recording to the OS media controls
+ * @param {Object} station - Station from the Master sheet
+ * @param {string} dateId - Selected date tab, e.g. 'Feb24'
+ * @param {Object} dynamicData - Date-specific station data from dateContent
+ */
+function updateMediaSession(station, dateId, dynamicData) {
+  if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+  const iconUrl = station.icon && station.icon.trim() ? station.icon.trim() : 'icons/rv.png';
+  const iconType = /\.jpe?g$/i.test(iconUrl) ? 'image/jpeg' : 'image/png';
+
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: dynamicData.description || t('mediaSession.broadcast', { station: station.name }),
+    artist: station.name,
+    album: formatDateTab(dateId, { year: 'numeric', month: 'long', day: 'numeric' }),
+    artwork: [{ src: new URL(iconUrl, window.location.href).href, type: iconType }]
+  });
+}
+
+/**
+ * Keeps the lock-screen scrubber in step with the player
+ */
+function updateMediaPositionState() {
+  const audio = audioPlayer;
+  if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+  if (!audio || !Number.isFinite(audio.duration) || audio.duration <= 0) return;
+
+  try {
+    navigator.mediaSession.setPositionState({
+      duration: audio.duration,
+      playbackRate: audio.playbackRate || 1,
+      position: Math.min(audio.currentTime, audio.duration)
+    });
+  } catch (error) {
+    console.warn('Could not update media position state:', error);
+  }
+}
+
+/**
+ * Maps OS media actions onto the player and station controls
+ */
+export function setupMediaSession() {
+  if (!('mediaSession' in navigator)) return;
+
+  const audio = audioPlayer;
+  const session = navigator.mediaSession;
+
+  // Registers a handler, skipping actions the browser doesn't support
+  const setHandler = (action, handler) => {
+    try {
+      session.setActionHandler(action, handler);
+    } catch (error) {
+      console.log(`Media Session action "${action}" is not supported`);
+    }
+  };
+
+  // The play button's label follows the player state, so these can act on the element directly
+  setHandler('play', () => { if (audio.paused) playAudio(); });
+  setHandler('pause', () => { if (!audio.paused) audio.pause(); });
+  setHandler('seekbackward', (details) => seekBy(-(details.seekOffset || 10)));
+  setHandler('seekforward', (details) => seekBy(details.seekOffset || 10));
+  setHandler('seekto', (details) => {
+    if (details.fastSeek && 'fastSeek' in audio) {
+      audio.fastSeek(details.seekTime);
+    } else {
+      audio.currentTime = details.seekTime;
+    }
+    updateMediaPositionState();
+  });
+  setHandler('previoustrack', () => stepStation(-1));
+  setHandler('nexttrack', () => stepStation(1));
+
+  audio.addEventListener('play', () => {
+    session.playbackState = 'playing';
+    updateMediaPositionState();
+  });
+  audio.addEventListener('pause', () => {
+    session.playbackState = 'paused';
+    updateMediaPositionState();
+  });
+  ['loadedmetadata', 'seeked', 'ratechange'].forEach(eventName => {
+    audio.addEventListener(eventName, updateMediaPositionState);
+  });
+
+  // Publish each newly selected recording
+  appStore.watch(state => state.recording, ({ recording }) => {
+    const station = stations.find(s => s.id === recording.stationId);
+    if (station) updateMediaSession(station, recording.dateId, getRecordingData(recording));
+  });
+}
@@ -0,0 +1,214 @@
+// Offline use: the service worker and the panel that downloads days for listening offline.
+
+import { announce } from './a11y.js';
+import { getDateTabs } from './config.js';
+import { dateContent } from './data.js';
+import { formatDateTab, getLocale, locales, t } from './i18n.js';
+import { appStore } from './store.js';
+
+// Cache names shared with sw.js
+const offlineCaches = { data: 'ppr-data', audio: 'ppr-audio' };
+
+/**
+ * Registers the service worker that caches the app shell, sheet data and downloaded audio
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+  navigator.serviceWorker.register('sw.js')
+    .then(registration => {
+      console.log('Service worker registered with scope:', registration.scope);
+      updateOfflineStatus();
+    })
+    .catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Lists the files needed to listen to a day offline: every recording and transcript file
+ * @param {string} dateId - Date tab
+ * @returns {Array<string>} URLs
+ */
+function getDayOfflineUrls(dateId) {
+  const urls = [];
+  Object.values(dateContent[dateId]?.stations || {}).forEach(data => {
+    if (data.audioUrl && data.audioUrl !== '#') urls.push(data.audioUrl);
+    (data.transcripts || []).forEach(version => {
+      if (version.url) urls.push(version.url);
+    });
+  });
+  return urls;
+}
+
+/**
+ * Counts how many of a day's files are already downloaded
+ * @param {string} dateId - Date tab
+ * @returns {Promise<{saved: number, total: number}>} Counts
+ */
+async function getDayOfflineState(dateId) {
+  const cache = await caches.open(offlineCaches.audio);
+  const urls = getDayOfflineUrls(dateId);
+  const matches = await Promise.all(urls.map(url => cache.match(url, { ignoreVary: true })));
+  return { saved: matches.filter(Boolean).length, total: urls.length };
+}
+
+/**
+ * Fetches a file to keep offline. Files from other sites are asked for with CORS,
+ * so the service worker can answer seeks with parts of them; only hosts that
+ * don't allow it are stored as opaque responses, which can only be played whole.
+ * @param {string} url - File URL
+ * @returns {Promise<Response>} Response to store
+ */
+async function fetchForOffline(url) {
+  if (new URL(url, window.location.href).origin === window.location.origin) {
+    return fetch(url, { mode: 'same-origin' });
+  }
+  try {
+    return await fetch(url, { mode: 'cors' });
+  } catch (error) {
+    return fetch(url, { mode: 'no-cors' });
+  }
+}
+
+/**
+ * Downloads a day's recordings and transcripts into the audio cache
+ * @param {string} dateId - Date tab
+ */
+async function downloadDay(dateId) {
+  const cache = await caches.open(offlineCaches.audio);
+  const urls = getDayOfflineUrls(dateId);
+  const title = formatDateTab(dateId);
+  let failed = 0;
+
+  // One file at a time keeps slow connections usable while downloading
+  for (let i = 0; i < urls.length; i++) {
+    setOfflineStatus(t('offline.downloading', { date: title, current: i + 1, total: urls.length }));
+    try {
+      const response = await fetchForOffline(urls[i]);
+      if (!response.ok && response.type !== 'opaque') throw new Error(`status ${response.status}`);
+      await cache.put(urls[i], response);
+    } catch (error) {
+      console.warn(`Could not download ${urls[i]}:`, error);
+      failed++;
+    }
+  }
+
+  announce(failed ? t('offline.failed', { date: title, count: failed }) : t('offline.available', { date: title }));
+  renderOfflinePanel();
+}
+
+/**
+ * Removes a day's downloaded files
+ * @param {string} dateId - Date tab
+ */
+async function removeDay(dateId) {
+  const cache = await caches.open(offlineCaches.audio);
+  await Promise.all(getDayOfflineUrls(dateId).map(url => cache.delete(url, { ignoreVary: true })));
+  renderOfflinePanel();
+}
+
+/**
+ * Shows a message in the Offline Listening panel
+ * @param {string} message - Text to show
+ */
+function setOfflineStatus(message) {
+  const status = document.getElementById('offline-status');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Summarizes connectivity, the saved sheet data and storage use
+ */
+async function updateOfflineStatus() {
+  if (!('caches' in window)) {
+    setOfflineStatus(t('offline.unsupported'));
+    return;
+  }
+
+  const parts = [t(navigator.onLine ? 'offline.online' : 'offline.offline')];
+
+  // The service worker stamps the sheet data it keeps with the time it was saved
+  const dataCache = await caches.open(offlineCaches.data);
+  const savedAt = (await Promise.all((await dataCache.keys()).map(request => dataCache.match(request))))
+    .map(response => response.headers.get('x-cached-at'))
+    .filter(Boolean)
+    .sort()[0];
+  if (savedAt) {
+    parts.push(t('offline.dataSaved', { time: new Date(savedAt).toLocaleString(locales[getLocale()].dateLocale) }));
+  }
+
+  if (navigator.storage && navigator.storage.estimate) {
+    const { usage } = await navigator.storage.estimate();
+    parts.push(t('offline.usage', { size: (usage / (1024 * 1024)).toFixed(1) }));
+  }
+
+  setOfflineStatus(parts.join(' '));
+}
+
+/**
+ * Lists the days with a button to download or remove each one's audio
+ */
+async function renderOfflinePanel() {
+  const list = document.getElementById('offline-days');
+  if (!list || !('caches' in window)) {
+    updateOfflineStatus();
+    return;
+  }
+
+  const states = await Promise.all(getDateTabs().map(getDayOfflineState));
+  list.innerHTML = '';
+
+  getDateTabs().forEach((dateId, index) => {
+    const { saved, total } = states[index];
+    if (total === 0) return;
+
+    const item = document.createElement('li');
+    item.className = 'offline-day';
+    const complete = saved === total;
+
+    const label = document.createElement('span');
+    label.textContent = `${formatDateTab(dateId)}: ${complete ? t('offline.daySaved') : saved > 0 ? t('offline.dayPartial', { saved, total }) : t('offline.dayRecordings', { count: total })}`;
+
+    const button = document.createElement('button');
+    button.textContent = t(complete ? 'offline.remove' : 'offline.download');
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      (complete ? removeDay(dateId) : downloadDay(dateId)).catch(error => {
+        console.error('Offline download failed:', error);
+        setOfflineStatus(t('offline.updateError', { date: formatDateTab(dateId), error: error.message }));
+      });
+    });
+
+    item.classList.toggle('saved', complete);
+    item.append(label, button);
+    list.appendChild(item);
+  });
+
+  updateOfflineStatus();
+}
+
+/**
+ * Shows or hides the notice that map tiles may be missing while offline
+ */
+function updateMapOfflineNotice() {
+  const notice = document.getElementById('map-offline-notice');
+  if (notice) notice.hidden = navigator.onLine || appStore.getState().view !== 'map';
+}
+
+/**
+ * Wires up the Offline Listening panel and connectivity changes
+ */
+export function setupOffline() {
+  renderOfflinePanel();
+  updateMapOfflineNotice();
+  appStore.watch(state => state.view, updateMapOfflineNotice);
+  appStore.watch(state => state.locale, renderOfflinePanel);
+
+  ['online', 'offline'].forEach(eventName => {
+    window.addEventListener(eventName, () => {
+      updateMapOfflineNotice();
+      updateOfflineStatus();
+    });
+  });
+}
@@ -0,0 +1,246 @@
+// Date selector, station list and the view selector that swaps the map for other panels.
+
+import { makeStationItemAccessible } from './a11y.js';
+import { renderClips } from './clips.js';
+import { getDateTabs } from './config.js';
+import { dateContent, stations } from './data.js';
+import { updateUrlState } from './deep-links.js';
+import { formatDateTab, t } from './i18n.js';
+import { map } from './map.js';
+import { selectStation } from './player.js';
+import { appStore } from './store.js';
+import { renderTimeline } from './timeline.js';
+
+/**
+ * Sets up the date selector dropdown with dynamic options
+ */
+export function setupDateSelector() {
+  const dropdown = document.getElementById('selectDate');
+
+  // Clear any existing options
+  dropdown.innerHTML = '';
+
+  // Add options for each date tab (excluding Master and Date_Descriptions)
+  getDateTabs().forEach(tabName => {
+    const option = document.createElement('option');
+    option.value = tabName;
+    dropdown.appendChild(option);
+  });
+  renderDateOptions();
+
+  // Add change event listener
+  dropdown.addEventListener('change', () => selectDate(dropdown.value));
+
+  // The panel is redrawn whenever the selected date or the language changes
+  appStore.watch(state => state.dateId, renderDatePanel);
+  appStore.watch(state => state.locale, state => {
+    renderDateOptions();
+    renderDatePanel(state);
+  });
+
+  // While the guided story runs, its narration takes over the context box
+  appStore.watch(state => state.story, renderHistoricalContext);
+}
+
+/**
+ * Labels the date dropdown's options in the current language
+ */
+function renderDateOptions() {
+  document.querySelectorAll('#selectDate option').forEach(option => {
+    option.textContent = formatDateTab(option.value);
+  });
+}
+
+/**
+ * Switches to another date, keeping the current station if it has a recording that day
+ * @param {string} dateId - Date tab to show, e.g. 'Feb24'
+ * @param {string} [stationId] - Station to select instead of the current one
+ * @param {Object} [options] - Passed on to selectStation(), e.g. { autoplay: false }
+ */
+export function selectDate(dateId, stationId, options) {
+  const dateSpecificContent = dateContent[dateId];
+
+  if (!dateSpecificContent) {
+    console.warn(`No content found for date: ${dateId}`);
+    console.log('Available dateContent:', dateContent);
+    return;
+  }
+
+  console.log(`Loading content for ${dateId}:`, dateSpecificContent);
+  appStore.setState({ dateId });
+
+  // Maintain current station selection or select first available
+  const preferredId = stationId || appStore.getState().recording?.stationId;
+  if (preferredId && dateSpecificContent.stations[preferredId]) {
+    selectStation(preferredId, options);
+  } else if (stations.length > 0) {
+    // Fallback: select first station with content for this date
+    const firstStationWithData = stations.find(station => dateSpecificContent.stations[station.id]);
+    if (firstStationWithData) {
+      selectStation(firstStationWithData.id, options);
+    }
+  }
+
+  // Dates without any recordings still get their own history entry
+  updateUrlState(false);
+}
+
+/**
+ * Updates panel content for the selected date: headings, context and station list
+ * @param {Object} state - App state
+ */
+function renderDatePanel(state) {
+  const selectedDateId = state.dateId;
+  const dateSpecificContent = dateContent[selectedDateId];
+  if (!dateSpecificContent) return;
+
+  const dropdown = document.getElementById('selectDate');
+  if (dropdown) dropdown.value = selectedDateId;
+
+  // Update main context sections
+  const infoSection = document.querySelector('.info-section h2');
+  if (infoSection) infoSection.textContent = t('panel.eventsOf', { date: formatDateTab(selectedDateId) });
+  renderHistoricalContext(state);
+
+  // Update station list with date-specific content
+  const stationListDiv = document.querySelector('.station-list');
+  if (!stationListDiv) {
+    console.error('Station list div not found!');
+    return;
+  }
+
+  stationListDiv.innerHTML = '<h3></h3>';
+  stationListDiv.querySelector('h3').textContent = t('panel.selectStation');
+
+  let stationsFound = 0;
+
+  // Rebuild station list with date-specific descriptions
+  stations.forEach(fullStationData => {
+    const stationId = fullStationData.id;
+    const dynamicData = dateSpecificContent.stations[stationId];
+
+    // Skip stations without content for this date
+    if (!dynamicData) {
+      console.log(`No dynamic data for station ${stationId} on date ${selectedDateId}`);
+      return;
+    }
+
+    stationsFound++;
+
+    // Create new station list item
+    const stationItem = document.createElement('div');
+    stationItem.className = 'station-item';
+    stationItem.dataset.station = stationId;
+    stationItem.innerHTML = `
+    <h4>${fullStationData.name}</h4>
+    <img src="${fullStationData.icon}" width="30" height="30" alt="${fullStationData.name}">
+    <p></p> <!-- Keep date-specific description in panel -->
+  `;
+
+    stationItem.querySelector('p').textContent = dynamicData.description || t('panel.noDescription');
+
+    // Add click handler to select station
+    stationItem.addEventListener('click', () => {
+      selectStation(stationId);
+    });
+    makeStationItemAccessible(stationItem, stationId);
+
+    stationListDiv.appendChild(stationItem);
+  });
+
+  console.log(`Found ${stationsFound} stations with content for ${selectedDateId}`);
+}
+
+/**
+ * Fills the historical context box: the story step's narration while the guided
+ * story runs, otherwise the selected date's context
+ * @param {Object} state - App state
+ */
+function renderHistoricalContext(state) {
+  const dateSpecificContent = dateContent[state.dateId];
+  const contextBox = document.querySelector('.historical-context');
+  if (!dateSpecificContent || !contextBox) return;
+
+  const contextTitle = contextBox.querySelector('h3');
+  const contextText = contextBox.querySelector('p');
+  contextBox.classList.toggle('story-narration', Boolean(state.story));
+
+  if (state.story) {
+    contextTitle.textContent = state.story.title;
+    contextText.textContent = state.story.narration;
+  } else {
+    contextTitle.textContent = formatDateTab(state.dateId);
+    contextText.textContent = dateSpecificContent.context || t('panel.noContext');
+  }
+}
+
+/**
+ * Wires up the view selector; the panels follow the `view` in the store
+ */
+export function setupViewSelector() {
+  const viewSelect = document.getElementById('selectView');
+  viewSelect.addEventListener('change', () => setView(viewSelect.value));
+  appStore.watch(state => state.view, renderView);
+}
+
+/**
+ * Switches between the map and the panels that can replace it
+ * @param {string} view - Value of one of the #selectView options
+ */
+export function setView(view) {
+  const viewSelect = document.getElementById('selectView');
+  if (![...viewSelect.options].some(option => option.value === view)) return;
+
+  appStore.setState({ view });
+  updateUrlState(false);
+}
+
+/**
+ * Toggles between Map view and the transcript, timeline, search and other panels
+ * @param {Object} state - App state
+ */
+function renderView(state) {
+  const { view } = state;
+  const mapDiv = document.getElementById('map');
+  document.getElementById('selectView').value = view;
+
+  // Panels that replace the map, keyed by their #selectView option value
+  const panels = {
+    transcript: 'transcript-panel',
+    diagnostics: 'diagnostics-panel',
+    timeline: 'timeline-panel',
+    search: 'search-panel',
+    clips: 'clips-panel'
+  };
+  Object.keys(panels).forEach(name => {
+    const panel = document.getElementById(panels[name]);
+    if (panel) panel.style.display = view === name ? 'block' : 'none';
+  });
+
+  if (view !== 'map') {
+    mapDiv.style.display = 'none';
+    if (view === 'timeline') renderTimeline();
+    if (view === 'search') document.getElementById('search-input').focus();
+    if (view === 'clips') renderClips();
+  } else {
+    // Switch to Map View
+    mapDiv.style.display = 'block';
+    
+    // 1. Fix Leaflet size calculation
+    if (map) {
+      map.invalidateSize();
+    }
+
+    // 2. "Catch up" - Update the map to show the currently playing station
+    const activeStation = stations.find(s => s.id === state.recording?.stationId);
+
+    // If we found it, center the map and open the popup correctly
+    if (activeStation && activeStation.marker) {
+      // Small timeout ensures the map is fully rendered before panning
+      setTimeout(() => {
+        map.setView([activeStation.lat, activeStation.lng], 12);
+        activeStation.marker.openPopup();
+      }, 100);
+    }
+  }
+}
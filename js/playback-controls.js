@@ -0,0 +1,256 @@
+// Playback controls: speed, skip buttons, an A–B loop region drawn on the progress
+// bar, and resuming each recording where the listener left off.
+
+import { announce } from './a11y.js';
+import { t } from './i18n.js';
+import { audioPlayer, seekBy } from './player.js';
+import { playbackMode } from './queue.js';
+import { appStore } from './store.js';
+import { formatClock } from './transcripts.js';
+
+const playbackRates = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const resumeMinimum = 5;       // Seconds into a recording before its position is remembered
+const resumeSaveInterval = 5;  // Seconds of playback between saves of the position
+
+let lastSavedPosition = 0;     // Position last written to localStorage
+
+/**
+ * Reads the saved playback speed
+ * @returns {number} One of playbackRates
+ */
+function getPlaybackRate() {
+  const saved = parseFloat(localStorage.getItem('playbackRate'));
+  return playbackRates.includes(saved) ? saved : 1;
+}
+
+/**
+ * Formats a playback speed for display
+ * @param {number} rate - Playback speed
+ * @returns {string} e.g. "1.5×"
+ */
+function formatPlaybackRate(rate) {
+  return `${rate}×`;
+}
+
+/**
+ * Changes and remembers the playback speed
+ * @param {number} rate - One of playbackRates
+ */
+export function setPlaybackRate(rate) {
+  if (!playbackRates.includes(rate)) return;
+  localStorage.setItem('playbackRate', rate);
+  applyPlaybackRate(rate);
+}
+
+/**
+ * Moves the playback speed one step up or down
+ * @param {number} offset - 1 for faster, -1 for slower
+ */
+export function stepPlaybackRate(offset) {
+  const index = playbackRates.indexOf(getPlaybackRate()) + offset;
+  const rate = playbackRates[Math.max(0, Math.min(playbackRates.length - 1, index))];
+  setPlaybackRate(rate);
+  announce(t('playback.speedChanged', { rate: formatPlaybackRate(rate) }));
+}
+
+/**
+ * Sets the player's speed, keeping the voices at their natural pitch
+ * @param {number} rate - Playback speed
+ */
+function applyPlaybackRate(rate) {
+  // load() resets playbackRate to defaultPlaybackRate, so each new recording keeps the speed
+  audioPlayer.defaultPlaybackRate = rate;
+  audioPlayer.playbackRate = rate;
+  audioPlayer.preservesPitch = true;
+  if ('webkitPreservesPitch' in audioPlayer) audioPlayer.webkitPreservesPitch = true;
+
+  const select = document.getElementById('playback-rate');
+  if (select) select.value = String(rate);
+}
+
+/**
+ * Marks the start or end of the A–B loop at the current position. Setting B
+ * without A loops from the beginning.
+ * @param {string} point - 'start' (A) or 'end' (B)
+ */
+export function setLoopPoint(point) {
+  const { recording, loopRegion } = appStore.getState();
+  if (!recording) return;
+
+  const time = Math.round(audioPlayer.currentTime * 10) / 10;
+  if (point === 'start') {
+    const end = loopRegion && loopRegion.end > time ? loopRegion.end : null;
+    appStore.setState({ loopRegion: { start: time, end } });
+    return;
+  }
+
+  const start = loopRegion ? loopRegion.start : 0;
+  if (time <= start) {
+    announce(t('playback.loopTooShort'));
+    return;
+  }
+  appStore.setState({ loopRegion: { start, end: time } });
+  announce(t('playback.loopSet', { start: formatClock(start), end: formatClock(time) }));
+}
+
+/**
+ * Removes the A–B loop; the playback mode decides again what happens at the end
+ */
+export function clearLoop() {
+  if (appStore.getState().loopRegion) appStore.setState({ loopRegion: null });
+}
+
+/**
+ * Jumps back to A once playback passes B
+ */
+function checkLoopEnd() {
+  const { loopRegion } = appStore.getState();
+  if (loopRegion && loopRegion.end !== null && audioPlayer.currentTime >= loopRegion.end) {
+    audioPlayer.currentTime = loopRegion.start;
+  }
+}
+
+/**
+ * Draws the loop region on the progress bar and updates the loop buttons
+ * @param {Object} state - App state
+ */
+function renderLoopRegion(state) {
+  const { loopRegion } = state;
+  const regionEl = document.getElementById('progress-loop');
+  const rangeEl = document.getElementById('loop-range');
+  const duration = audioPlayer.duration;
+
+  document.getElementById('loop-clear-btn').hidden = !loopRegion;
+  document.getElementById('loop-start-btn').setAttribute('aria-pressed', Boolean(loopRegion));
+  document.getElementById('loop-end-btn').setAttribute('aria-pressed', Boolean(loopRegion && loopRegion.end !== null));
+
+  if (!loopRegion) {
+    regionEl.hidden = true;
+    rangeEl.textContent = '';
+    return;
+  }
+
+  rangeEl.textContent = loopRegion.end === null
+    ? t('playback.loopFrom', { start: formatClock(loopRegion.start) })
+    : t('playback.loopRange', { start: formatClock(loopRegion.start), end: formatClock(loopRegion.end) });
+
+  // Until B is set the region is a thin mark at A
+  regionEl.hidden = !duration;
+  if (duration) {
+    const end = loopRegion.end === null ? loopRegion.start : loopRegion.end;
+    regionEl.style.left = `${(loopRegion.start / duration) * 100}%`;
+    regionEl.style.width = `${((end - loopRegion.start) / duration) * 100}%`;
+    regionEl.classList.toggle('pending', loopRegion.end === null);
+  }
+}
+
+/**
+ * Reads the remembered position of every recording
+ * @returns {Object} Seconds keyed by "dateId/stationId"
+ */
+function getSavedPositions() {
+  try {
+    return JSON.parse(localStorage.getItem('playbackPositions') || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Remembers the position in the recording in the player. Positions near the
+ * start aren't worth keeping, and a recording heard to the end starts over.
+ * @param {boolean} [finished] - True when the recording played to its end
+ * @param {Object} [recording] - Recording the player holds; defaults to the one in the store
+ */
+function savePlaybackPosition(finished = false, recording = appStore.getState().recording) {
+  const time = audioPlayer.currentTime;
+  if (!recording || (!finished && time < resumeMinimum)) return;
+
+  const positions = getSavedPositions();
+  const key = `${recording.dateId}/${recording.stationId}`;
+  if (finished || (audioPlayer.duration && time > audioPlayer.duration - resumeMinimum)) {
+    delete positions[key];
+  } else {
+    positions[key] = Math.floor(time);
+  }
+  localStorage.setItem('playbackPositions', JSON.stringify(positions));
+  lastSavedPosition = time;
+}
+
+/**
+ * Returns to the remembered position of a newly selected recording
+ * @param {Object} state - App state
+ */
+function resumePlaybackPosition(state) {
+  const { recording } = state;
+  const saved = getSavedPositions()[`${recording.dateId}/${recording.stationId}`];
+  lastSavedPosition = saved || 0;
+  if (!saved) return;
+
+  // selectStation() loads the new source right after the store changes. A seek
+  // its caller asks for (a link, the timeline, a clip) is queued after this one and wins.
+  audioPlayer.addEventListener('loadedmetadata', () => {
+    if (appStore.getState().recording !== recording) return;
+    audioPlayer.currentTime = Math.min(saved, audioPlayer.duration || saved);
+    announce(t('playback.resumed', { time: formatClock(saved) }));
+  }, { once: true });
+}
+
+/**
+ * Wires up the speed menu, skip buttons, A–B loop and resume positions
+ */
+export function setupPlaybackControls() {
+  const rateSelect = document.getElementById('playback-rate');
+  if (!rateSelect) return;
+
+  playbackRates.forEach(rate => {
+    const option = document.createElement('option');
+    option.value = String(rate);
+    option.textContent = formatPlaybackRate(rate);
+    rateSelect.appendChild(option);
+  });
+  rateSelect.addEventListener('change', () => setPlaybackRate(Number(rateSelect.value)));
+  applyPlaybackRate(getPlaybackRate());
+
+  document.querySelectorAll('.skip-btn[data-skip]').forEach(button => {
+    button.addEventListener('click', () => seekBy(Number(button.dataset.skip)));
+  });
+
+  document.getElementById('loop-start-btn').addEventListener('click', () => setLoopPoint('start'));
+  document.getElementById('loop-end-btn').addEventListener('click', () => setLoopPoint('end'));
+  document.getElementById('loop-clear-btn').addEventListener('click', clearLoop);
+
+  audioPlayer.addEventListener('timeupdate', () => {
+    checkLoopEnd();
+    if (Math.abs(audioPlayer.currentTime - lastSavedPosition) >= resumeSaveInterval) savePlaybackPosition();
+  });
+  audioPlayer.addEventListener('pause', () => savePlaybackPosition());
+  // The player's own `ended` listener may move the queue on to another recording
+  // first, so the state is noted on the way down to the player, before it changes
+  let endedState = null;
+  document.addEventListener('ended', (e) => {
+    if (e.target === audioPlayer) endedState = appStore.getState();
+  }, true);
+  audioPlayer.addEventListener('ended', () => {
+    const { recording, loopRegion } = endedState || appStore.getState();
+    endedState = null;
+    if (!loopRegion) savePlaybackPosition(true, recording);
+  });
+  audioPlayer.addEventListener('loadedmetadata', () => renderLoopRegion(appStore.getState()));
+  window.addEventListener('pagehide', () => savePlaybackPosition());
+
+  // The store switches recordings before the player loads the new source, so the
+  // position left behind is still in the player. The loop region belongs to one
+  // recording and replaces looping the whole clip.
+  appStore.watch(state => state.recording, (state, previous) => {
+    if (previous.recording) savePlaybackPosition(false, previous.recording);
+    clearLoop();
+    resumePlaybackPosition(state);
+  });
+  appStore.watch(state => state.loopRegion, (state) => {
+    audioPlayer.loop = !state.loopRegion && playbackMode === 'loop';
+    renderLoopRegion(state);
+  });
+  appStore.watch(state => state.locale, renderLoopRegion);
+  renderLoopRegion(appStore.getState());
+}
@@ -0,0 +1,535 @@
+// Audio player: transport controls, volume, progress bar and station selection.
+
+import { announce, stepStation } from './a11y.js';
+import { audioGraph, prepareAudioSource } from './audio-graph.js';
+import { switchCompareListening } from './compare.js';
+import { stepPlaybackRate } from './playback-controls.js';
+import { dateContent, getRecordingData, stations } from './data.js';
+import { updateUrlState } from './deep-links.js';
+import { t } from './i18n.js';
+import { playbackMode, playNextInQueue } from './queue.js';
+import { appStore, dispatchPlayerEvent } from './store.js';
+import { tunerIsTuning } from './tuner.js';
+
+export let audioPlayer = null; // The <audio> element, set by initializeAudioPlayer()
+
+/**
+ * Initializes the audio player with all controls and event handlers
+ */
+export function initializeAudioPlayer() {
+  const audio = document.getElementById('radio-audio');
+  audioPlayer = audio;
+  const playBtn = document.getElementById('play-btn');
+  const progressBar = document.getElementById('progress-bar');
+  const progressContainer = document.getElementById('progress-container');
+  const progressHandle = document.getElementById('progress-handle');
+  const currentTimeEl = document.getElementById('current-time');
+  const durationEl = document.getElementById('duration');
+  const currentStationEl = document.getElementById('current-station');
+  const volumeSlider = document.getElementById('volume-slider');
+  const volumeBtn = document.getElementById('volume-btn');
+  const volumeControl = document.querySelector('.volume-control');
+
+  // Audio player state variables; whether it is playing lives in appStore
+  let isMuted = false;
+  let lastVolume = 1.0;     // Remember volume level when muting
+  let isDragging = false;   // Track if progress bar is being dragged
+  let volumePanelTimeout = null; // Timeout for hiding volume panel
+  let volumePanelOpen = false;   // Whether the volume panel is showing
+  let volumePointerType = '';    // Pointer type of the last press on the volume button
+
+  /**
+   * Formats seconds into MM:SS time string
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time string
+   */
+  function formatTime(seconds) {
+    if (isNaN(seconds)) return '0:00';
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs < 10 ? '0' : ''}${secs}`;
+  }
+
+  /**
+   * Updates progress bar and time displays based on current audio position
+   */
+  function updateProgress() {
+    if (audio.duration && !isNaN(audio.duration)) {
+      const progressPercent = (audio.currentTime / audio.duration) * 100;
+      progressBar.style.width = `${progressPercent}%`;
+
+      // Update draggable handle position to match progress
+      const containerWidth = progressContainer.offsetWidth;
+      const handlePosition = (progressPercent / 100) * containerWidth;
+      progressHandle.style.left = `${handlePosition}px`;
+
+      currentTimeEl.textContent = formatTime(audio.currentTime);
+      updateProgressAria();
+    }
+  }
+
+  /**
+   * Keeps the progress slider's ARIA values in step with playback
+   */
+  function updateProgressAria() {
+    progressContainer.setAttribute('aria-valuemax', Math.floor(audio.duration || 0));
+    progressContainer.setAttribute('aria-valuenow', Math.floor(audio.currentTime));
+    progressContainer.setAttribute('aria-valuetext', t('player.position', { current: formatTime(audio.currentTime), total: formatTime(audio.duration) }));
+  }
+
+  /**
+   * Resets progress bar and time displays to initial state
+   */
+  function resetProgress() {
+    progressBar.style.width = '0%';
+    progressHandle.style.left = '0px';
+    currentTimeEl.textContent = '0:00';
+    durationEl.textContent = '0:00';
+    progressContainer.setAttribute('aria-valuenow', 0);
+    progressContainer.setAttribute('aria-valuetext', '0:00');
+  }
+
+  /**
+   * Seeks audio to position based on click/drag coordinates
+   * @param {number} clientX - X coordinate of click/drag event
+   */
+  function seekToPosition(clientX) {
+    if (!audio.duration) return;
+
+    const rect = progressContainer.getBoundingClientRect();
+    const clickX = clientX - rect.left;
+    const width = rect.width;
+    const percent = Math.max(0, Math.min(1, clickX / width)); // Clamp between 0-1
+
+    audio.currentTime = percent * audio.duration;
+    updateProgress();
+  }
+
+  // Event: Update duration display when audio metadata loads
+  audio.addEventListener('loadedmetadata', () => {
+    durationEl.textContent = formatTime(audio.duration);
+    updateProgressAria();
+  });
+
+  // Event: Reset progress when new audio source starts loading
+  audio.addEventListener('loadstart', () => {
+    resetProgress();
+  });
+
+  // Event: Update progress bar as audio plays
+  audio.addEventListener('timeupdate', updateProgress);
+
+  // Event: Handle audio playback completion
+  audio.addEventListener('ended', () => {
+    // An A–B loop ending at the end of the clip goes back to A
+    const { loopRegion } = appStore.getState();
+    if (loopRegion && loopRegion.end !== null) {
+      audio.currentTime = loopRegion.start;
+      playAudio();
+      return;
+    }
+
+    // Playlist modes move on to the next recording in the queue
+    if (playbackMode !== 'loop' && playNextInQueue()) return;
+
+    // Otherwise reset and restart for seamless looping
+    audio.currentTime = 0;
+    audio.play().catch(error => console.log('Auto-restart after loop was prevented:', error));
+  });
+
+  // Event: Feed the element's media events into the player state machine
+  audio.addEventListener('loadstart', () => dispatchPlayerEvent('load'));
+  audio.addEventListener('canplay', () => {
+    // An unpaused element is still waiting to start; 'playing' follows
+    if (audio.paused) dispatchPlayerEvent('ready');
+  });
+  audio.addEventListener('play', () => dispatchPlayerEvent('play'));
+  audio.addEventListener('playing', () => dispatchPlayerEvent('play'));
+  audio.addEventListener('pause', () => dispatchPlayerEvent('pause'));
+  audio.addEventListener('waiting', () => dispatchPlayerEvent('waiting'));
+  audio.addEventListener('ended', () => dispatchPlayerEvent('ended'));
+  audio.addEventListener('error', () => {
+    console.error('Failed to load audio:', audio.currentSrc || audio.getAttribute('src'), audio.error);
+    dispatchPlayerEvent('error', audio.error);
+  });
+
+  // Event: Press anywhere on the progress bar with mouse, touch or pen to seek and start dragging
+  progressContainer.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    isDragging = true;
+    progressContainer.classList.add('dragging'); // Visual feedback
+    progressContainer.setPointerCapture(e.pointerId); // Keep receiving moves outside the bar
+    progressContainer.focus();
+    seekToPosition(e.clientX);
+  });
+
+  // Event: Follow the pointer while dragging
+  progressContainer.addEventListener('pointermove', (e) => {
+    if (!isDragging) return;
+    seekToPosition(e.clientX);
+  });
+
+  progressContainer.addEventListener('pointerup', stopDrag);
+  progressContainer.addEventListener('pointercancel', stopDrag);
+
+  /**
+   * Ends a progress bar drag
+   */
+  function stopDrag() {
+    isDragging = false;
+    progressContainer.classList.remove('dragging');
+  }
+
+  // Event: Keyboard seeking on the focused progress slider
+  progressContainer.addEventListener('keydown', (e) => {
+    const steps = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5, PageDown: -30, PageUp: 30 };
+    if (e.key in steps) {
+      seekBy(steps[e.key]);
+    } else if (e.key === 'Home') {
+      seekBy(-audio.currentTime);
+    } else if (e.key === 'End') {
+      seekBy(audio.duration);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation(); // Arrow keys here seek rather than trigger the global shortcuts
+  });
+
+  /**
+   * Shows volume control panel with smooth animation
+   */
+  function showVolumePanel() {
+    const volumePanel = document.getElementById('volume-panel');
+    volumePanelOpen = true;
+    volumePanel.style.opacity = '1';
+    volumePanel.style.visibility = 'visible';
+    volumePanel.style.transform = 'translateY(0)';
+
+    // Clear any pending hide timeout
+    if (volumePanelTimeout) {
+      clearTimeout(volumePanelTimeout);
+    }
+  }
+
+  /**
+   * Hides volume control panel with delay to allow interaction
+   */
+  function hideVolumePanel() {
+    volumePanelTimeout = setTimeout(() => {
+      // Stay open while the keyboard focus is inside the control
+      if (volumeControl.contains(document.activeElement)) return;
+      const volumePanel = document.getElementById('volume-panel');
+      volumePanelOpen = false;
+      volumePanel.style.opacity = '0';
+      volumePanel.style.visibility = 'hidden';
+      volumePanel.style.transform = 'translateY(10px)';
+    }, 300); // Delay allows user to move mouse to slider
+  }
+
+  // Volume control hover behavior
+  volumeControl.addEventListener('mouseenter', showVolumePanel);
+  volumeControl.addEventListener('mouseleave', hideVolumePanel);
+
+  // Keep panel open when hovering over slider
+  volumeSlider.addEventListener('mouseenter', showVolumePanel);
+  volumeSlider.addEventListener('mouseleave', hideVolumePanel);
+
+  // Keyboard users get the panel while focus is on the button or slider
+  volumeControl.addEventListener('focusin', showVolumePanel);
+  volumeControl.addEventListener('focusout', hideVolumePanel);
+
+  // Remember whether the button was tapped so touch can open the panel without hover
+  volumeBtn.addEventListener('pointerdown', (e) => {
+    volumePointerType = e.pointerType;
+  });
+
+  // Event: Volume slider adjustment
+  volumeSlider.addEventListener('input', () => {
+    setVolume(Number(volumeSlider.value));
+  });
+
+  /**
+   * Sets the volume from any control and keeps the slider and button in sync
+   * @param {number} volume - New volume between 0 and 1
+   */
+  function setVolume(volume) {
+    audio.volume = Math.round(Math.max(0, Math.min(1, volume)) * 10) / 10;
+    volumeSlider.value = audio.volume;
+    if (audio.volume > 0 && isMuted) {
+      isMuted = false; // Automatically unmute when adjusting volume
+    }
+    updateVolumeButton();
+  }
+
+  /**
+   * Updates volume button icon based on current volume state
+   */
+  function updateVolumeButton() {
+    if (isMuted || audio.volume === 0) {
+      volumeBtn.textContent = '🔇'; // Muted icon
+    } else if (audio.volume < 0.5) {
+      volumeBtn.textContent = '🔈'; // Low volume icon
+    } else {
+      volumeBtn.textContent = '🔊'; // High volume icon
+    }
+    volumeBtn.setAttribute('aria-label', t(isMuted || audio.volume === 0 ? 'player.unmute' : 'player.mute'));
+    volumeSlider.setAttribute('aria-valuetext', `${Math.round(audio.volume * 100)}%`);
+  }
+
+  // Event: Mute/unmute toggle (separate from volume adjustment)
+  volumeBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent event from closing volume panel
+
+    // A tap on a closed panel only opens it, since touch screens have no hover
+    if (volumePointerType === 'touch' && !volumePanelOpen) {
+      showVolumePanel();
+      return;
+    }
+
+    toggleMute();
+    showVolumePanel(); // Keep panel open after mute action
+  });
+
+  /**
+   * Mutes, or restores the volume from before muting
+   */
+  function toggleMute() {
+    if (isMuted) {
+      // Unmute: restore to last volume or default
+      audio.volume = lastVolume > 0 ? lastVolume : 0.7;
+      volumeSlider.value = audio.volume;
+      isMuted = false;
+    } else {
+      // Mute: remember current volume and set to 0
+      lastVolume = audio.volume;
+      audio.volume = 0;
+      volumeSlider.value = 0;
+      isMuted = true;
+    }
+    updateVolumeButton();
+    announce(isMuted ? t('player.muted') : t('player.volume', { percent: Math.round(audio.volume * 100) }));
+  }
+
+  // Event: Close volume panel when clicking elsewhere
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.volume-control')) {
+      const volumePanel = document.getElementById('volume-panel');
+      volumePanelOpen = false;
+      volumePanel.style.opacity = '0';
+      volumePanel.style.visibility = 'hidden';
+      volumePanel.style.transform = 'translateY(10px)';
+    }
+  });
+
+  // Event: Play/pause toggle; the label follows the player state, not the click
+  playBtn.addEventListener('click', () => {
+    if (!audio.paused) {
+      audio.pause();
+      return;
+    }
+    if (appStore.getState().player === 'error') {
+      audio.load(); // Try a recording that failed to load once more
+    }
+    playAudio();
+  });
+
+  // Views that follow the store
+  appStore.watch(state => state.player, renderPlayButton);
+  appStore.watch(state => state.recording, renderCurrentStation);
+  renderPlayButton(appStore.getState());
+  appStore.watch(state => state.locale, state => {
+    renderPlayButton(state);
+    updateVolumeButton();
+    renderCurrentStation(state);
+    updateProgressAria();
+  });
+
+  // Event: Announce playback changes to screen readers
+  audio.addEventListener('play', () => announce(t('player.playing', { station: currentStationEl.textContent })));
+  audio.addEventListener('pause', () => {
+    if (!audio.ended) announce(t('player.pausedAt', { time: formatTime(audio.currentTime) }));
+  });
+
+  // Event: Global keyboard shortcuts
+  document.addEventListener('keydown', (e) => {
+    // Leave typing, modified keys and the open content warning alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const target = e.target instanceof Element ? e.target : document.body;
+    if (target.closest('input, select, textarea, [contenteditable="true"]')) return;
+    const modal = document.getElementById('trigger-warning-modal');
+    if (modal && modal.style.display === 'flex') return;
+
+    switch (e.key) {
+      case ' ':
+        // Space already activates a focused button
+        if (target.closest('button, [role="button"]')) return;
+        playBtn.click();
+        break;
+      case 'ArrowLeft':
+        seekBy(-5);
+        break;
+      case 'ArrowRight':
+        seekBy(5);
+        break;
+      case 'ArrowUp':
+        setVolume(audio.volume + 0.1);
+        announce(t('player.volume', { percent: Math.round(audio.volume * 100) }));
+        break;
+      case 'ArrowDown':
+        setVolume(audio.volume - 0.1);
+        announce(t('player.volume', { percent: Math.round(audio.volume * 100) }));
+        break;
+      case 'm':
+      case 'M':
+        toggleMute();
+        break;
+      case 'n':
+      case 'N':
+        stepStation(1);
+        break;
+      case 'p':
+      case 'P':
+        stepStation(-1);
+        break;
+      case 'j':
+      case 'J':
+        seekBy(-10);
+        break;
+      case 'l':
+      case 'L':
+        seekBy(10);
+        break;
+      case '<':
+        stepPlaybackRate(-1);
+        break;
+      case '>':
+        stepPlaybackRate(1);
+        break;
+      case 'b':
+      case 'B':
+        if (!switchCompareListening()) return; // Only while comparing two stations
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+}
+
+/**
+ * Starts playback. Browsers may refuse without a user gesture; the player
+ * state follows the element's own events either way.
+ * @returns {Promise} Settles once playback started or was refused
+ */
+export function playAudio() {
+  return audioPlayer.play().catch(error => {
+    console.log('Audio play failed:', error);
+  });
+}
+
+/**
+ * Returns the date-specific data of the recording in the player
+ * @returns {Object|undefined} Entry from dateContent, if any
+ */
+export function getCurrentRecording() {
+  return getRecordingData(appStore.getState().recording);
+}
+
+/**
+ * Seeks relative to the current position, clamped to the clip
+ * @param {number} seconds - Seconds to move forward (positive) or back (negative)
+ */
+export function seekBy(seconds) {
+  if (!audioPlayer.duration) return;
+  audioPlayer.currentTime = Math.max(0, Math.min(audioPlayer.duration, audioPlayer.currentTime + seconds));
+}
+
+/**
+ * Shows Play or Pause on the play button for the player state, and says why
+ * when a recording can't be played
+ * @param {Object} state - App state
+ * @param {Object} [previous] - App state before the change
+ */
+function renderPlayButton(state, previous) {
+  const playBtn = document.getElementById('play-btn');
+
+  // While loading, the button pauses if playback was already asked for
+  const active = state.player === 'playing' || (state.player === 'loading' && !audioPlayer.paused);
+  playBtn.textContent = t(active ? 'player.pause' : 'player.play');
+  playBtn.setAttribute('aria-busy', state.player === 'loading');
+
+  if (state.player === 'error' && previous && previous.player !== 'error') {
+    announce(t('player.loadError'));
+  }
+}
+
+/**
+ * Shows the recording in the player's header and highlights it in the station list
+ * @param {Object} state - App state
+ */
+function renderCurrentStation(state) {
+  const stationId = state.recording?.stationId;
+  const station = stations.find(s => s.id === stationId);
+  const dynamicData = getRecordingData(state.recording);
+  if (!station || !dynamicData) return;
+
+  // Update active station visual state in list
+  document.querySelectorAll('.station-item').forEach(item => {
+    const active = item.dataset.station === stationId;
+    item.classList.toggle('active', active);
+    if (active) {
+      item.setAttribute('aria-current', 'true');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+
+  // Use trimmed icon URL from sheet if available, otherwise fallback to local icon
+  const stationIconEl = document.getElementById('station-icon');
+  const iconUrl = station.icon && station.icon.trim() ? station.icon.trim() : 'icons/rv.png';
+  stationIconEl.src = iconUrl;
+  stationIconEl.alt = station.name || '';
+  stationIconEl.style.display = iconUrl ? 'inline-block' : 'none';
+
+  // Update player display with station info
+  document.getElementById('current-station').textContent = station.name;
+  document.getElementById('station-description').textContent = dynamicData.description || t('panel.noDescription');
+}
+
+/**
+ * Handles station selection and updates audio player accordingly
+ * @param {string} stationId - ID of the selected station
+ * @param {Object} [options]
+ * @param {boolean} [options.autoplay=true] - Whether to start playing the new recording
+ */
+export function selectStation(stationId, { autoplay = true } = {}) {
+  // Find station data from Master sheet
+  const station = stations.find(s => s.id === stationId);
+
+  // Get date-specific data for selected station
+  const selectedDateId = appStore.getState().dateId;
+  const dynamicData = dateContent[selectedDateId]?.stations[stationId];
+
+  if (!station || !dynamicData) {
+    console.warn(`No data found for station ${stationId} on date ${selectedDateId}`);
+    return;
+  }
+
+  console.log(`Loading station: ${stationId}, Audio: ${dynamicData.audioUrl}`);
+
+  // The station display, transcript, map, tuner, timeline and queue all follow the store
+  appStore.setState({ recording: { dateId: selectedDateId, stationId } });
+  updateUrlState(tunerIsTuning); // Dial sweeps replace history instead of flooding it
+
+  // Load and play new audio source once; only loop mode repeats the clip
+  prepareAudioSource(audioPlayer, dynamicData.audioUrl, Boolean(audioGraph));
+  audioPlayer.src = dynamicData.audioUrl;
+  audioPlayer.loop = playbackMode === 'loop';
+  audioPlayer.load();
+  if (!autoplay) return;
+  audioPlayer.play().catch(error => {
+    console.log('Auto-play was prevented:', error);
+  });
+}
@@ -0,0 +1,200 @@
+// Playback modes and the queue of recordings played one after another.
+
+import { dateContent, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { audioPlayer } from './player.js';
+import { appStore } from './store.js';
+import { getTimelineDayIndex, getTimelineEntries, openTimelineEntry } from './timeline.js';
+
+// 'loop' repeats the current clip, 'date' plays every station for the selected date,
+// 'archive' plays every recording from Feb 22 to Feb 25 in broadcast order
+const playbackModes = ['loop', 'date', 'archive'];
+export let playbackMode = 'loop';
+let playbackQueue = []; // Ordered recordings to play: [{ dateId, stationId }]
+
+/**
+ * Builds the default queue for a mode
+ * @param {string} mode - One of playbackModes
+ * @returns {Array<{dateId: string, stationId: string}>} Recordings in play order
+ */
+function buildDefaultQueue(mode) {
+  if (mode === 'date') {
+    const { dateId } = appStore.getState();
+    const day = dateContent[dateId];
+    if (!day) return [];
+    return stations
+      .filter(station => day.stations[station.id])
+      .map(station => ({ dateId, stationId: station.id }));
+  }
+
+  if (mode === 'archive') {
+    // Broadcast order: by air time, then by date tab, then by Master order
+    const stationOrder = stations.map(s => s.id);
+    return getTimelineEntries()
+      .filter(entry => stationOrder.includes(entry.stationId))
+      .sort((a, b) =>
+        (a.start - b.start) ||
+        (getTimelineDayIndex(a.dateId) - getTimelineDayIndex(b.dateId)) ||
+        (stationOrder.indexOf(a.stationId) - stationOrder.indexOf(b.stationId))
+      )
+      .map(({ dateId, stationId }) => ({ dateId, stationId }));
+  }
+
+  return [];
+}
+
+/**
+ * Rebuilds the queue for the current mode, keeping the saved order where it still applies
+ */
+function rebuildPlaybackQueue() {
+  const defaults = buildDefaultQueue(playbackMode);
+  const key = item => `${item.dateId}/${item.stationId}`;
+  const defaultKeys = new Set(defaults.map(key));
+
+  let saved = [];
+  try {
+    const stored = JSON.parse(localStorage.getItem('playbackQueue') || 'null');
+    if (stored && stored.mode === playbackMode) saved = stored.items || [];
+  } catch (error) {
+    console.warn('Ignoring unreadable saved queue:', error);
+  }
+
+  // Saved items that still exist come first, then anything new in default order
+  const kept = saved.filter(item => defaultKeys.has(key(item)));
+  const keptKeys = new Set(kept.map(key));
+  playbackQueue = kept.concat(defaults.filter(item => !keptKeys.has(key(item))));
+
+  renderPlaybackQueue();
+}
+
+/**
+ * Saves the playback mode and queue order to localStorage
+ */
+function savePlaybackQueue() {
+  localStorage.setItem('playbackMode', playbackMode);
+  localStorage.setItem('playbackQueue', JSON.stringify({ mode: playbackMode, items: playbackQueue }));
+}
+
+/**
+ * Sets up the playback mode selector and restores the saved mode
+ */
+export function setupPlaybackQueue() {
+  const modeSelect = document.getElementById('playback-mode');
+  if (!modeSelect) return;
+
+  const savedMode = localStorage.getItem('playbackMode');
+  if (playbackModes.includes(savedMode)) {
+    playbackMode = savedMode;
+  }
+  modeSelect.value = playbackMode;
+
+  modeSelect.addEventListener('change', () => {
+    setPlaybackMode(modeSelect.value);
+  });
+
+  // Per-date queues follow the date selector; the highlight follows the player
+  appStore.watch(state => state.dateId, () => {
+    if (playbackMode === 'date') rebuildPlaybackQueue();
+  });
+  appStore.watch(state => state.recording, renderPlaybackQueue);
+  appStore.watch(state => state.locale, renderPlaybackQueue);
+
+  rebuildPlaybackQueue();
+}
+
+/**
+ * Switches the playback mode and rebuilds the queue
+ * @param {string} mode - One of playbackModes
+ */
+function setPlaybackMode(mode) {
+  if (!playbackModes.includes(mode)) return;
+  playbackMode = mode;
+  if (audioPlayer) {
+    audioPlayer.loop = mode === 'loop' && !appStore.getState().loopRegion; // An A–B loop takes over
+  }
+  rebuildPlaybackQueue();
+  savePlaybackQueue();
+}
+
+/**
+ * Returns the queue index of the recording currently in the player
+ * @returns {number} Index into playbackQueue, or -1
+ */
+function getCurrentQueueIndex() {
+  const { recording } = appStore.getState();
+  if (!recording) return -1;
+  return playbackQueue.findIndex(item => item.dateId === recording.dateId && item.stationId === recording.stationId);
+}
+
+/**
+ * Plays the next recording in the queue, wrapping around so a kiosk can run unattended
+ * @returns {boolean} True if another recording was started
+ */
+export function playNextInQueue() {
+  if (playbackQueue.length === 0) return false;
+
+  const nextIndex = (getCurrentQueueIndex() + 1) % playbackQueue.length;
+  openTimelineEntry(playbackQueue[nextIndex], 0);
+  return true;
+}
+
+/**
+ * Moves a queue item up or down and saves the new order
+ * @param {number} index - Index of the item to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveQueueItem(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= playbackQueue.length) return;
+
+  const [item] = playbackQueue.splice(index, 1);
+  playbackQueue.splice(target, 0, item);
+  savePlaybackQueue();
+  renderPlaybackQueue();
+
+  // Keep keyboard focus on the moved item's matching button
+  const buttons = document.querySelectorAll(`#queue-list li:nth-child(${target + 1}) button`);
+  const focusBtn = [...buttons].find(btn => btn.dataset.offset === String(offset));
+  if (focusBtn && !focusBtn.disabled) focusBtn.focus();
+}
+
+/**
+ * Renders the queue list with the current recording highlighted
+ */
+function renderPlaybackQueue() {
+  const queueEl = document.getElementById('playback-queue');
+  const listEl = document.getElementById('queue-list');
+  if (!queueEl || !listEl) return;
+
+  queueEl.hidden = playbackMode === 'loop';
+  listEl.innerHTML = '';
+  const currentIndex = getCurrentQueueIndex();
+
+  playbackQueue.forEach((item, index) => {
+    const station = stations.find(s => s.id === item.stationId);
+    const li = document.createElement('li');
+    li.className = 'queue-item';
+    li.classList.toggle('active', index === currentIndex);
+
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'queue-title';
+    title.textContent = `${formatDateTab(item.dateId)} · ${station ? station.name : item.stationId}`;
+    title.addEventListener('click', () => openTimelineEntry(item, 0));
+    li.appendChild(title);
+
+    [['▲', -1, t('queue.moveUp')], ['▼', 1, t('queue.moveDown')]].forEach(([symbol, offset, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'queue-move';
+      btn.textContent = symbol;
+      btn.dataset.offset = offset;
+      btn.setAttribute('aria-label', `${label}: ${title.textContent}`);
+      btn.disabled = index + offset < 0 || index + offset >= playbackQueue.length;
+      btn.addEventListener('click', () => moveQueueItem(index, offset));
+      li.appendChild(btn);
+    });
+
+    listEl.appendChild(li);
+  });
+}
@@ -0,0 +1,212 @@
+// Sound restoration: hiss filter, voice EQ, compressor and loudness normalization.
+
+import { getAudioGraph } from './audio-graph.js';
+import { audioPlayer, getCurrentRecording } from './player.js';
+import { appStore } from './store.js';
+
+const loudnessTarget = -20;              // dBFS RMS every recording is normalized towards
+const loudnessGainRange = [-12, 18];     // Most a recording is turned down or up, in dB
+
+// Parameter values for each part of the chain when it is on and when it is bypassed
+const restorationPresets = {
+  hissFilter: { on: { highpass: 120, lowpass: 6500 }, off: { highpass: 20, lowpass: 20000 } },
+  voiceEq: { on: { low: -4, presence: 5, air: -3 }, off: { low: 0, presence: 0, air: 0 } },
+  compressor: { on: { threshold: -24, ratio: 4 }, off: { threshold: 0, ratio: 1 } }
+};
+
+let restorationChain = null;   // Filter, EQ, compressor and gain nodes once the graph is built
+export const measuredLoudness = loadMeasuredLoudness(); // dB gain per audio URL
+let currentLoudnessGain = 0;   // Normalization gain in dB for the selected recording
+
+/**
+ * Reads the loudness measured in earlier visits
+ * @returns {Object<string, number>} dB gain per audio URL; empty if nothing usable was saved
+ */
+function loadMeasuredLoudness() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('measuredLoudness') || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Reads the saved restoration settings
+ * @returns {{hissFilter: boolean, voiceEq: boolean, compressor: boolean, normalize: boolean}} Settings
+ */
+function getRestorationSettings() {
+  const defaults = { hissFilter: false, voiceEq: false, compressor: false, normalize: false };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem('restorationSettings') || '{}') };
+  } catch (error) {
+    return defaults;
+  }
+}
+
+/**
+ * Creates the processing chain that sits between the player and the tuner mix:
+ * high-pass -> low-pass -> low shelf -> presence -> high shelf -> compressor -> loudness gain
+ * @param {AudioContext} context - Context of the shared graph
+ * @returns {{input: AudioNode, output: AudioNode}} Ends of the chain
+ */
+export function buildRestorationChain(context) {
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+
+  const lowpass = context.createBiquadFilter();
+  lowpass.type = 'lowpass';
+
+  const low = context.createBiquadFilter();
+  low.type = 'lowshelf';
+  low.frequency.value = 250;
+
+  // Consonants sit around 2-4 kHz; lifting them makes speech easier to follow
+  const presence = context.createBiquadFilter();
+  presence.type = 'peaking';
+  presence.frequency.value = 2500;
+  presence.Q.value = 1;
+
+  const air = context.createBiquadFilter();
+  air.type = 'highshelf';
+  air.frequency.value = 8000;
+
+  const compressor = context.createDynamicsCompressor();
+  compressor.knee.value = 12;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.25;
+
+  const loudness = context.createGain();
+
+  highpass.connect(lowpass).connect(low).connect(presence).connect(air).connect(compressor).connect(loudness);
+
+  restorationChain = { context, highpass, lowpass, low, presence, air, compressor, loudness };
+  applyRestorationSettings();
+  return { input: highpass, output: loudness };
+}
+
+/**
+ * Sets the chain's parameters from the saved settings and the current recording's gain
+ */
+function applyRestorationSettings() {
+  if (!restorationChain) return;
+
+  const settings = getRestorationSettings();
+  const { context, highpass, lowpass, low, presence, air, compressor, loudness } = restorationChain;
+  const hiss = restorationPresets.hissFilter[settings.hissFilter ? 'on' : 'off'];
+  const eq = restorationPresets.voiceEq[settings.voiceEq ? 'on' : 'off'];
+  const dynamics = restorationPresets.compressor[settings.compressor ? 'on' : 'off'];
+  const now = context.currentTime;
+
+  // Short ramps so switching a setting doesn't click
+  highpass.frequency.setTargetAtTime(hiss.highpass, now, 0.05);
+  lowpass.frequency.setTargetAtTime(hiss.lowpass, now, 0.05);
+  low.gain.setTargetAtTime(eq.low, now, 0.05);
+  presence.gain.setTargetAtTime(eq.presence, now, 0.05);
+  air.gain.setTargetAtTime(eq.air, now, 0.05);
+  compressor.threshold.setTargetAtTime(dynamics.threshold, now, 0.05);
+  compressor.ratio.setTargetAtTime(dynamics.ratio, now, 0.05);
+
+  const gainDb = settings.normalize ? currentLoudnessGain : 0;
+  loudness.gain.setTargetAtTime(Math.pow(10, gainDb / 20), now, 0.05);
+}
+
+/**
+ * Works out the loudness gain for a recording from its decoded audio and stores
+ * it, so normalization works on later visits without decoding again
+ * @param {string} url - Audio URL of the recording
+ * @param {AudioBuffer} buffer - Decoded recording
+ */
+export function measureLoudness(url, buffer) {
+  const samples = buffer.getChannelData(0);
+  const step = Math.max(1, Math.floor(samples.length / 200000)); // A sample of the file is plenty
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < samples.length; i += step) {
+    sum += samples[i] * samples[i];
+    count++;
+  }
+
+  const rms = Math.sqrt(sum / Math.max(1, count));
+  const rmsDb = rms > 0 ? 20 * Math.log10(rms) : loudnessTarget;
+  const [minGain, maxGain] = loudnessGainRange;
+  measuredLoudness[url] = Math.round(Math.min(maxGain, Math.max(minGain, loudnessTarget - rmsDb)) * 10) / 10;
+  localStorage.setItem('measuredLoudness', JSON.stringify(measuredLoudness));
+
+  if (audioPlayer && audioPlayer.getAttribute('src') === url) {
+    updateLoudnessGain(getCurrentRecording());
+  }
+}
+
+/**
+ * Picks the normalization gain for a recording: the `gain` column of its date
+ * tab if filled in, otherwise the gain measured from its audio, otherwise none
+ * @param {Object} dynamicData - Date-specific station data from dateContent
+ */
+function updateLoudnessGain(dynamicData) {
+  if (!dynamicData) return;
+
+  if (dynamicData.gain !== null) {
+    currentLoudnessGain = dynamicData.gain;
+  } else if (measuredLoudness[dynamicData.audioUrl] !== undefined) {
+    currentLoudnessGain = measuredLoudness[dynamicData.audioUrl];
+  } else {
+    currentLoudnessGain = 0;
+  }
+  applyRestorationSettings();
+}
+
+/**
+ * Saves a change to the restoration settings and applies it
+ * @param {Object} changes - Setting keys to update
+ */
+function setRestorationSettings(changes) {
+  const settings = { ...getRestorationSettings(), ...changes };
+  localStorage.setItem('restorationSettings', JSON.stringify(settings));
+
+  // The chain only exists once the player is routed through Web Audio
+  if (Object.values(settings).some(Boolean)) {
+    const graph = getAudioGraph();
+    if (graph) graph.context.resume();
+  }
+
+  applyRestorationSettings();
+  updateRestorationButton();
+}
+
+/**
+ * Marks the restoration button active while any setting is on
+ */
+function updateRestorationButton() {
+  const button = document.getElementById('restoration-btn');
+  if (button) button.classList.toggle('active', Object.values(getRestorationSettings()).some(Boolean));
+}
+
+/**
+ * Wires up the restoration panel and routes playback through the chain when needed
+ */
+export function setupRestoration() {
+  const button = document.getElementById('restoration-btn');
+  const panel = document.getElementById('restoration-panel');
+  if (!button || !panel) return;
+
+  button.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    button.setAttribute('aria-expanded', !panel.hidden);
+  });
+
+  const settings = getRestorationSettings();
+  panel.querySelectorAll('input[type="checkbox"]').forEach(input => {
+    input.checked = settings[input.name];
+    input.addEventListener('change', () => setRestorationSettings({ [input.name]: input.checked }));
+  });
+  updateRestorationButton();
+
+  // Saved settings take effect on the first play, which counts as a user gesture
+  audioPlayer.addEventListener('play', () => {
+    if (Object.values(getRestorationSettings()).some(Boolean)) setRestorationSettings({});
+  });
+
+  // Each recording gets its own loudness correction
+  appStore.watch(state => state.recording, () => updateLoudnessGain(getCurrentRecording()));
+}
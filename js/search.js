@@ -0,0 +1,271 @@
+// Full-text search over the transcripts, station descriptions and date context.
+
+import { getDateTabs } from './config.js';
+import { dateContent, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { selectDate, setView } from './panels.js';
+import { appStore } from './store.js';
+import { openTimelineEntry } from './timeline.js';
+import { formatClock, getTranscriptLanguageLabel, getTranscriptText, parseTranscript, scrollTranscriptTo, setTranscriptPrefs, transcriptLoading } from './transcripts.js';
+
+const searchMinLength = 2;      // Shortest query that triggers a search
+const searchSnippetRadius = 60; // Characters of context shown around a hit
+const searchMaxResults = 100;
+
+let searchIndex = null;         // Built lazily: [{ dateId, stationId, field, text, normalized, map, ... }]
+let searchIndexPromise = null;
+let searchDebounce = null;
+
+/**
+ * Normalizes text for matching: lowercases, strips accents (so "Malacañang"
+ * matches "Malacanang"), drops hyphens and apostrophes (so "mag-aral" matches
+ * "magaral" and "'yung" matches "yung") and collapses other punctuation to spaces.
+ * Returns the normalized string plus, for every normalized character, the index
+ * of the original character it came from so hits can be highlighted in the source.
+ * @param {string} text - Text to normalize
+ * @returns {{normalized: string, map: Array<number>}} Normalized text and index map
+ */
+function normalizeForSearch(text) {
+  let normalized = '';
+  const map = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const base = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const char of base) {
+      if (/[-'\u2018\u2019]/.test(char)) continue;
+      const out = /[\p{L}\p{N}]/u.test(char) ? char : ' ';
+      // Collapse runs of separators into one space
+      if (out === ' ' && (normalized === '' || normalized.endsWith(' '))) continue;
+      normalized += out;
+      map.push(i);
+    }
+  }
+
+  return { normalized, map };
+}
+
+/**
+ * Builds the search index over every transcript, description and date context
+ * @returns {Promise<Array<Object>>} Index documents
+ */
+function buildSearchIndex() {
+  if (searchIndexPromise) return searchIndexPromise;
+
+  searchIndexPromise = (async () => {
+    const documents = [];
+
+    // Adds one searchable chunk of text
+    const addDocument = (doc) => {
+      if (!doc.text || !doc.text.trim()) return;
+      documents.push({ ...doc, ...normalizeForSearch(doc.text) });
+    };
+
+    for (const dateId of getDateTabs()) {
+      const day = dateContent[dateId];
+      if (!day) continue;
+
+      addDocument({ dateId, stationId: null, field: 'context', text: day.context });
+
+      for (const stationId of Object.keys(day.stations)) {
+        const data = day.stations[stationId];
+        addDocument({ dateId, stationId, field: 'description', text: data.description });
+
+        for (const version of data.transcripts || []) {
+          const { lang } = version;
+          let transcript = version.text;
+          try {
+            transcript = await getTranscriptText(version);
+          } catch (error) {
+            console.warn(`Could not index transcript file for ${stationId} on ${dateId}:`, error);
+          }
+
+          // Timed transcripts are indexed per segment so a hit can seek the audio;
+          // plain ones per paragraph so a hit can scroll to the right place
+          const segments = parseTranscript(transcript);
+          if (segments) {
+            segments.forEach((segment, segmentIndex) => {
+              addDocument({ dateId, stationId, lang, field: 'transcript', text: segment.text, start: segment.start, segmentIndex });
+            });
+          } else if (transcript) {
+            transcript.split(/\n\s*\n/).forEach((paragraph, paragraphIndex) => {
+              addDocument({ dateId, stationId, lang, field: 'transcript', text: paragraph.trim(), paragraphIndex });
+            });
+          }
+        }
+      }
+    }
+
+    searchIndex = documents;
+    return documents;
+  })();
+
+  return searchIndexPromise;
+}
+
+/**
+ * Finds index documents that contain every word of the query
+ * @param {string} query - Raw search text
+ * @returns {Promise<Array<Object>>} Matching documents with the positions of each hit
+ */
+async function searchArchive(query) {
+  const terms = normalizeForSearch(query).normalized.split(' ').filter(Boolean);
+  if (terms.join('').length < searchMinLength) return [];
+
+  const documents = await buildSearchIndex();
+  const phrase = terms.join(' ');
+  const results = [];
+
+  documents.forEach(doc => {
+    if (!terms.every(term => doc.normalized.includes(term))) return;
+
+    // Highlight the whole phrase where it appears, otherwise each word
+    const needles = doc.normalized.includes(phrase) ? [phrase] : terms;
+    const hits = [];
+    needles.forEach(needle => {
+      let at = doc.normalized.indexOf(needle);
+      while (at !== -1) {
+        hits.push({ start: doc.map[at], end: doc.map[at + needle.length - 1] + 1 });
+        at = doc.normalized.indexOf(needle, at + needle.length);
+      }
+    });
+    hits.sort((a, b) => a.start - b.start);
+
+    results.push({ doc, hits, exact: needles[0] === phrase });
+  });
+
+  // Exact phrase matches first, then transcripts before descriptions and context
+  const fieldRank = { transcript: 0, description: 1, context: 2 };
+  results.sort((a, b) => (b.exact - a.exact) || (fieldRank[a.doc.field] - fieldRank[b.doc.field]));
+  return results.slice(0, searchMaxResults);
+}
+
+/**
+ * Builds a snippet element around the first hit with every hit inside it marked
+ * @param {string} text - Original document text
+ * @param {Array<{start: number, end: number}>} hits - Hit ranges in the original text
+ * @returns {HTMLElement} Snippet paragraph
+ */
+function buildSearchSnippet(text, hits) {
+  const from = Math.max(0, hits[0].start - searchSnippetRadius);
+  const to = Math.min(text.length, hits[0].end + searchSnippetRadius);
+  const snippet = document.createElement('p');
+  snippet.className = 'search-snippet';
+
+  let cursor = from;
+  if (from > 0) snippet.appendChild(document.createTextNode('…'));
+  hits.filter(hit => hit.start >= from && hit.end <= to).forEach(hit => {
+    if (hit.start < cursor) return; // Overlapping hit already marked
+    snippet.appendChild(document.createTextNode(text.slice(cursor, hit.start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(hit.start, hit.end);
+    snippet.appendChild(mark);
+    cursor = hit.end;
+  });
+  snippet.appendChild(document.createTextNode(text.slice(cursor, to)));
+  if (to < text.length) snippet.appendChild(document.createTextNode('…'));
+
+  return snippet;
+}
+
+/**
+ * Runs the search for the current input and lists the results
+ */
+async function runSearch() {
+  const input = document.getElementById('search-input');
+  const resultsEl = document.getElementById('search-results');
+  const statusEl = document.getElementById('search-status');
+  const query = input.value;
+
+  if (normalizeForSearch(query).normalized.replace(/ /g, '').length < searchMinLength) {
+    resultsEl.innerHTML = '';
+    statusEl.textContent = '';
+    return;
+  }
+
+  if (!searchIndex) statusEl.textContent = t('search.building');
+  const results = await searchArchive(query);
+  if (input.value !== query) return; // A newer search has started
+
+  resultsEl.innerHTML = '';
+  statusEl.textContent = t('search.results', {
+    count: results.length,
+    shown: `${results.length}${results.length === searchMaxResults ? '+' : ''}`,
+    query: query.trim()
+  });
+
+  const fieldLabels = { transcript: t('search.field.transcript'), description: t('search.field.description'), context: t('search.field.context') };
+  results.forEach(({ doc, hits }) => {
+    const station = stations.find(s => s.id === doc.stationId);
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-result';
+
+    const heading = document.createElement('span');
+    heading.className = 'search-result-heading';
+    const time = doc.start !== undefined ? ` ${t('search.at', { time: formatClock(doc.start) })}` : '';
+    const lang = doc.lang && doc.lang !== 'original' ? ` (${getTranscriptLanguageLabel(doc.lang)})` : '';
+    heading.textContent = `${formatDateTab(doc.dateId)}${station ? ` · ${station.name}` : ''} · ${fieldLabels[doc.field]}${lang}${time}`;
+
+    button.appendChild(heading);
+    button.appendChild(buildSearchSnippet(doc.text, hits));
+    button.addEventListener('click', () => openSearchResult(doc));
+    li.appendChild(button);
+    resultsEl.appendChild(li);
+  });
+}
+
+/**
+ * Opens the date and station of a search hit and shows the hit in the transcript
+ * @param {Object} doc - Index document that matched
+ */
+function openSearchResult(doc) {
+  if (!doc.stationId) {
+    // Date context: just switch the date and stay on the results
+    selectDate(doc.dateId);
+    return;
+  }
+
+  openTimelineEntry({ dateId: doc.dateId, stationId: doc.stationId }, doc.start || 0);
+
+  if (doc.field !== 'transcript') return;
+  setView('transcript');
+
+  transcriptLoading.then(() => {
+    // Make sure the language the hit is in is on screen
+    if (!document.querySelector(`#transcript-content [data-lang="${doc.lang}"]`)) {
+      setTranscriptPrefs({ primary: doc.lang });
+    }
+
+    // Timed hits follow playback once the seek lands; plain hits scroll to their paragraph
+    if (doc.paragraphIndex !== undefined) {
+      const paragraph = document.querySelector(`#transcript-content p[data-lang="${doc.lang}"][data-paragraph="${doc.paragraphIndex}"]`);
+      if (!paragraph) return;
+      paragraph.classList.add('search-hit');
+      scrollTranscriptTo(paragraph);
+    }
+  });
+}
+
+/**
+ * Wires up the search box
+ */
+export function setupSearch() {
+  const input = document.getElementById('search-input');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    clearTimeout(searchDebounce);
+    searchDebounce = setTimeout(runSearch, 200);
+  });
+  document.getElementById('search-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(searchDebounce);
+    runSearch();
+  });
+
+  // Results are labelled in the interface language
+  appStore.watch(state => state.locale, () => {
+    if (input.value) runSearch();
+  });
+}
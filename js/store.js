@@ -0,0 +1,95 @@
+// App state store: the single source of truth for the selected date, view and
+// recording, plus the player state machine. Views subscribe to it instead of
+// reading each other's DOM.
+
+// Player state machine: the events each state accepts and the state they lead to.
+// Events a state doesn't list are ignored, so a stray media event can't confuse it.
+const playerTransitions = {
+  idle: { load: 'loading' },
+  loading: { load: 'loading', ready: 'paused', play: 'playing', pause: 'paused', error: 'error' },
+  paused: { load: 'loading', play: 'playing', error: 'error' },
+  playing: { load: 'loading', pause: 'paused', ended: 'paused', waiting: 'loading', error: 'error' },
+  error: { load: 'loading' }
+};
+
+/**
+ * Creates a small observable store. Listeners run after every change with the
+ * new and the previous state.
+ * @param {Object} initialState - Starting state
+ * @returns {{getState: Function, setState: Function, subscribe: Function, watch: Function}} Store
+ */
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  // Calls `listener(state, previous)` after every change; returns an unsubscribe function
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    getState: () => state,
+    subscribe,
+
+    // Merges `changes` into the state and notifies every listener
+    setState(changes) {
+      const previous = state;
+      state = { ...state, ...changes };
+      listeners.forEach(listener => listener(state, previous));
+    },
+
+    // Like subscribe(), but only when the part picked by `select` changes
+    watch(select, listener) {
+      return subscribe((current, previous) => {
+        if (select(current) !== select(previous)) listener(current, previous);
+      });
+    }
+  };
+}
+
+/**
+ * Works out the player's next state
+ * @param {string} state - Current state, one of the keys of playerTransitions
+ * @param {string} event - load, ready, play, pause, waiting, ended or error
+ * @returns {string} Next state (unchanged if the event doesn't apply)
+ */
+export function nextPlayerState(state, event) {
+  return (playerTransitions[state] || {})[event] || state;
+}
+
+// Single source of truth for what the page shows and plays:
+// - dateId: selected date tab
+// - view: 'map' or the panel replacing it (see #selectView)
+// - recording: { dateId, stationId } in the player, or null
+// - player: idle, loading, playing, paused or error
+// - theme: { index, custom, mode, dark } color theme, custom colors and light/dark mode
+// - locale: interface language, a key of `locales` in i18n.js
+// - story: { index, total, title, narration, paused } step of the guided story, or null
+// - compare: { stationId, mix, listen } second station played alongside the recording, or null
+// - loopRegion: { start, end } A–B loop of the recording in seconds (end null until B is set), or null
+export const appStore = createStore({
+  dateId: null,
+  view: 'map',
+  recording: null,
+  player: 'idle',
+  playerError: null,
+  theme: { index: 0, custom: null, mode: 'system', dark: false },
+  locale: 'en',
+  story: null,
+  compare: null,
+  loopRegion: null
+});
+
+/**
+ * Feeds a player event into the state machine
+ * @param {string} event - Event name, see nextPlayerState()
+ * @param {*} [error] - What went wrong, for 'error'
+ */
+export function dispatchPlayerEvent(event, error) {
+  const { player } = appStore.getState();
+  const next = nextPlayerState(player, event);
+  if (next !== player) {
+    appStore.setState({ player: next, playerError: next === 'error' ? error || null : null });
+  }
+}
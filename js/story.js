@@ -0,0 +1,345 @@
+// Guided story, a narrated walkthrough driven by a script of steps: each step sets the
+// date and station, flies the map, shows its narration in the historical-context box
+// and plays part of a recording, then moves on after a timer, at the clip's end or on Next.
+
+import { announce } from './a11y.js';
+import { sheetId } from './config.js';
+import { activeDataSource, dateContent, fetchText, parseCsvTab, stations } from './data.js';
+import { getLocale, t } from './i18n.js';
+import { map } from './map.js';
+import { selectDate, setView } from './panels.js';
+import { audioPlayer, playAudio } from './player.js';
+import { appStore } from './store.js';
+import { seekWhenReady } from './timeline.js';
+import { parseTimestamp } from './transcripts.js';
+
+const storyTab = "Story";             // Optional sheet tab holding the script
+const storyUrl = "data/story.json";   // Bundled script used when the tab is missing
+const storyDefaultZoom = 14;          // Map zoom for steps that don't set one
+
+let storySteps = null;      // Steps of the loaded script, see storyRowToStep()
+let storyTimer = null;      // { id, remaining, startedAt } while a step counts down
+let storyClipEnded = false; // Whether the current step's clip has reached its end
+
+/**
+ * Reads a time cell: plain seconds ("90") or a timestamp ("1:30")
+ * @param {*} value - Cell or JSON value
+ * @returns {number|null} Seconds, or null when empty or unreadable
+ */
+function parseStoryTime(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (!text) return null;
+  const seconds = /^\d+(\.\d+)?$/.test(text) ? Number(text) : parseTimestamp(text);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Collects a text column and its translations (`narration`, `narration_fil`, …)
+ * @param {Object} row - Script row
+ * @param {string} field - Column name
+ * @returns {Object} Text per language code; '' holds the untranslated text
+ */
+function collectStoryText(row, field) {
+  const texts = {};
+  Object.keys(row).forEach(key => {
+    const match = new RegExp(`^${field}(?:_(\\w+))?$`).exec(key);
+    if (match && row[key]) texts[match[1] || ''] = String(row[key]);
+  });
+  return texts;
+}
+
+/**
+ * Turns a row of the Story tab (or a step of story.json) into a step. A step
+ * without lat/lng flies to its station.
+ * @param {Object} row - Row with date, station, lat, lng, zoom, title, narration, start, end and duration
+ * @returns {Object|null} Step, or null if its date doesn't exist or it would never end
+ */
+function storyRowToStep(row) {
+  const dateId = String(row.date || '').trim();
+  if (!dateContent[dateId]) {
+    console.warn(`Skipping story step "${row.title || ''}": unknown date ${row.date}`);
+    return null;
+  }
+
+  const stationId = String(row.station || '').trim();
+  const station = stations.find(s => s.id === stationId);
+  if (stationId && !dateContent[dateId].stations[stationId]) {
+    console.warn(`Story step "${row.title || ''}": ${stationId} has no recording on ${dateId}`);
+  }
+
+  const recording = station ? dateContent[dateId].stations[stationId] : null;
+  const start = parseStoryTime(row.start);
+  const end = parseStoryTime(row.end);
+  let duration = parseStoryTime(row.duration);
+
+  // With neither an end nor a countdown the step lasts until its recording ends,
+  // which is only known from the date tab's duration column
+  if (end === null && duration === null) {
+    if (!recording?.duration) {
+      console.warn(`Skipping story step "${row.title || ''}": it needs an end or a duration`);
+      return null;
+    }
+    duration = Math.max(0, recording.duration - (start || 0));
+  }
+
+  const lat = parseFloat(row.lat);
+  const lng = parseFloat(row.lng);
+  const hasLocation = Number.isFinite(lat) && Number.isFinite(lng);
+  return {
+    dateId,
+    stationId: recording ? stationId : null,
+    lat: hasLocation ? lat : station ? station.lat : null,
+    lng: hasLocation ? lng : station ? station.lng : null,
+    zoom: parseInt(row.zoom, 10) || storyDefaultZoom,
+    title: collectStoryText(row, 'title'),
+    narration: collectStoryText(row, 'narration'),
+    start,
+    end,
+    duration
+  };
+}
+
+/**
+ * Loads the story script from the Story sheet tab when the data came from
+ * Google Sheets, otherwise (or if the tab is missing) from the bundled JSON
+ * @returns {Promise<Array<Object>>} Script rows, in order
+ */
+async function loadStory() {
+  if (activeDataSource === 'sheets') {
+    try {
+      const sheetURL = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(storyTab)}`;
+      const rows = parseCsvTab(storyTab, await fetchText(sheetURL));
+
+      // gviz answers unknown tab names with the first tab, so check the columns
+      if (rows.length > 0 && 'date' in rows[0] && 'narration' in rows[0]) {
+        return rows;
+      }
+      console.log(`No ${storyTab} tab in the sheet; using ${storyUrl}`);
+    } catch (error) {
+      console.warn(`Could not load the ${storyTab} tab:`, error);
+    }
+  }
+
+  const script = JSON.parse(await fetchText(storyUrl));
+  return Array.isArray(script) ? script : script.steps || [];
+}
+
+/**
+ * Picks a step's text in the interface language
+ * @param {Object} texts - Text per language code, from collectStoryText()
+ * @returns {string} Text
+ */
+function localizeStoryText(texts) {
+  return texts[getLocale()] || texts[''] || '';
+}
+
+/**
+ * Starts the story from its first step, loading the script the first time
+ */
+export async function startStory() {
+  localStorage.setItem('storySeen', 'true');
+
+  if (!storySteps) {
+    try {
+      storySteps = (await loadStory()).map(storyRowToStep).filter(Boolean);
+      console.log(`Loaded a story of ${storySteps.length} steps`);
+    } catch (error) {
+      console.error('Could not load the story:', error);
+    }
+  }
+  if (!storySteps || storySteps.length === 0) {
+    storySteps = null; // Try again next time
+    document.getElementById('story-status').textContent = t('story.unavailable');
+    return;
+  }
+
+  setView('map');
+  goToStoryStep(0);
+}
+
+/**
+ * Shows a step: date, station, map position, narration and clip
+ * @param {number} index - Step index; past the last step the story ends
+ */
+function goToStoryStep(index) {
+  clearStoryTimer();
+  if (index >= storySteps.length) {
+    stopStory();
+    announce(t('story.finished'));
+    return;
+  }
+
+  const step = storySteps[index];
+  storyClipEnded = false;
+
+  // The story goes into the store first, so the date panel shows the narration
+  appStore.setState({
+    story: {
+      index,
+      total: storySteps.length,
+      title: localizeStoryText(step.title),
+      narration: localizeStoryText(step.narration),
+      paused: false
+    }
+  });
+
+  // selectDate() keeps the station already playing when the step doesn't name one;
+  // a step without a clip only plays what was already playing
+  const { dateId, recording } = appStore.getState();
+  const hasClip = step.start !== null || step.end !== null;
+  if (dateId !== step.dateId || (step.stationId && recording?.stationId !== step.stationId)) {
+    selectDate(step.dateId, step.stationId || undefined, { autoplay: hasClip });
+  }
+
+  if (map && step.lat !== null) {
+    map.flyTo([step.lat, step.lng], step.zoom);
+  }
+  if (hasClip) {
+    seekWhenReady(step.start || 0);
+    playAudio();
+  }
+  if (step.duration !== null) {
+    storyTimer = { remaining: step.duration * 1000, startedAt: Date.now(), id: setTimeout(nextStoryStep, step.duration * 1000) };
+  }
+
+  const { story } = appStore.getState();
+  announce(`${t('story.progress', { current: index + 1, total: story.total })}: ${story.title}`);
+}
+
+/**
+ * Stops the step's countdown, if it has one
+ */
+function clearStoryTimer() {
+  if (storyTimer) clearTimeout(storyTimer.id);
+  storyTimer = null;
+}
+
+/**
+ * Skips to the next step
+ */
+export function nextStoryStep() {
+  const { story } = appStore.getState();
+  if (story) goToStoryStep(story.index + 1);
+}
+
+/**
+ * Pauses the story: its countdown and the recording
+ */
+export function pauseStory() {
+  const { story } = appStore.getState();
+  if (!story || story.paused) return;
+
+  if (storyTimer) {
+    clearTimeout(storyTimer.id);
+    storyTimer.remaining -= Date.now() - storyTimer.startedAt;
+  }
+  audioPlayer.pause();
+  appStore.setState({ story: { ...story, paused: true } });
+}
+
+/**
+ * Resumes a paused story where it left off
+ */
+export function resumeStory() {
+  const { story } = appStore.getState();
+  if (!story || !story.paused) return;
+
+  if (storyTimer) {
+    storyTimer.startedAt = Date.now();
+    storyTimer.id = setTimeout(nextStoryStep, Math.max(0, storyTimer.remaining));
+  }
+  const step = storySteps[story.index];
+  if ((step.start !== null || step.end !== null) && !storyClipEnded) {
+    playAudio();
+  }
+  appStore.setState({ story: { ...story, paused: false } });
+}
+
+/**
+ * Leaves the story; the date panel goes back to the date's own context
+ */
+export function stopStory() {
+  clearStoryTimer();
+  if (appStore.getState().story) {
+    appStore.setState({ story: null });
+  }
+}
+
+/**
+ * Stops the recording at the end of the step's clip. Steps without a countdown
+ * move on from there.
+ */
+function checkStoryClipEnd() {
+  const { story } = appStore.getState();
+  if (!story || story.paused || storyClipEnded) return;
+
+  const step = storySteps[story.index];
+  if (step.end === null || audioPlayer.currentTime < step.end) return;
+
+  storyClipEnded = true;
+  audioPlayer.pause();
+  if (step.duration === null) nextStoryStep();
+}
+
+/**
+ * Shows the start button (with an invitation on a first visit) or the controls
+ * of the running story
+ * @param {Object} state - App state
+ */
+function renderStoryBar(state) {
+  const { story } = state;
+  const firstVisit = !localStorage.getItem('storySeen');
+
+  document.getElementById('story-start-btn').hidden = Boolean(story);
+  document.getElementById('story-invite').hidden = Boolean(story) || !firstVisit;
+  document.getElementById('story-dismiss-btn').hidden = Boolean(story) || !firstVisit;
+  document.getElementById('story-controls').hidden = !story;
+  if (story) document.getElementById('story-status').textContent = '';
+  if (!story) return;
+
+  document.getElementById('story-progress').textContent = t('story.progress', { current: story.index + 1, total: story.total });
+  const pauseBtn = document.getElementById('story-pause-btn');
+  pauseBtn.textContent = t(story.paused ? 'story.resume' : 'story.pause');
+  pauseBtn.setAttribute('aria-pressed', story.paused);
+}
+
+/**
+ * Wires up the story bar above the map
+ */
+export function setupStory() {
+  const bar = document.getElementById('story-bar');
+  if (!bar) return;
+
+  document.getElementById('story-start-btn').addEventListener('click', startStory);
+  document.getElementById('story-dismiss-btn').addEventListener('click', () => {
+    localStorage.setItem('storySeen', 'true');
+    renderStoryBar(appStore.getState());
+  });
+  document.getElementById('story-pause-btn').addEventListener('click', () => {
+    if (appStore.getState().story?.paused) {
+      resumeStory();
+    } else {
+      pauseStory();
+    }
+  });
+  document.getElementById('story-next-btn').addEventListener('click', nextStoryStep);
+  document.getElementById('story-exit-btn').addEventListener('click', stopStory);
+
+  audioPlayer.addEventListener('timeupdate', checkStoryClipEnd);
+
+  // Picking another date by hand leaves the story
+  appStore.watch(state => state.dateId, ({ dateId, story }) => {
+    if (story && storySteps[story.index].dateId !== dateId) stopStory();
+  });
+
+  // The narration follows the interface language
+  appStore.watch(state => state.locale, ({ story }) => {
+    if (!story) return;
+    const step = storySteps[story.index];
+    appStore.setState({ story: { ...story, title: localizeStoryText(step.title), narration: localizeStoryText(step.narration) } });
+  });
+
+  appStore.watch(state => state.story, renderStoryBar);
+  appStore.watch(state => state.locale, renderStoryBar);
+  renderStoryBar(appStore.getState());
+}
@@ -0,0 +1,510 @@
+// Theme builder: pick the color tokens of a custom theme with a live preview and
+// WCAG contrast checks, save it by name and share it as JSON or a link.
+
+import {
+  colorThemeNames, customThemeNameLength, deleteCustomTheme, getCustomThemes, normalizeCustomTheme, saveCustomTheme,
+  selectTheme, setThemeMode, themeTokens
+} from './appearance.js';
+import { t, translatePage } from './i18n.js';
+import { appStore } from './store.js';
+
+// Text/background pairs the pages actually use, checked against WCAG 2.1; `label` is a message key
+const contrastPairs = [
+  { text: '--color-text', background: '--color-bg', label: 'themeBuilder.pair.pageText' },
+  { text: '--color-text', background: '--color-white', label: 'themeBuilder.pair.panelText' },
+  { text: '--muted-text', background: '--color-white', label: 'themeBuilder.pair.descriptions' },
+  { text: '--color-primary', background: '--color-white', label: 'themeBuilder.pair.headings' },
+  { text: '--color-white', background: '--color-primary', label: 'themeBuilder.pair.header' },
+  { text: '--color-primary', background: '--light-primary', label: 'themeBuilder.pair.selectedStation' },
+  { text: '--color-text', background: '--soft-bg', label: 'themeBuilder.pair.fields' }
+];
+
+let themeDraft = null;    // Custom theme being edited
+let themeSnapshot = null; // Theme state from before editing, restored on Close
+
+/**
+ * Converts a #rgb or #rrggbb color to its red, green and blue channels
+ * @param {string} color - Hex color
+ * @returns {Array<number>|null} Channels 0-255, or null for anything else
+ */
+export function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec((color || '').trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Computes the WCAG contrast ratio of two colors
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number} Ratio from 1 to 21, or NaN if either color isn't hex
+ */
+export function contrastRatio(foreground, background) {
+  const luminance = (color) => {
+    const channels = parseHexColor(color);
+    if (!channels) return NaN;
+    const [r, g, b] = channels.map(value => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+
+  const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Rates a contrast ratio against WCAG AA
+ * @param {number} ratio - Contrast ratio
+ * @returns {{level: string, message: string}} 'pass', 'large' (large text only) or 'fail'
+ */
+export function rateContrast(ratio) {
+  if (ratio >= 4.5) return { level: 'pass', message: t('themeBuilder.passes') };
+  if (ratio >= 3) return { level: 'large', message: t('themeBuilder.largeOnly') };
+  return { level: 'fail', message: t('themeBuilder.fails') };
+}
+
+/**
+ * Encodes a custom theme for the ?theme= link parameter (base64url JSON)
+ * @param {Object} theme - Custom theme
+ * @returns {string} Parameter value
+ */
+export function encodeThemeParam(theme) {
+  const bytes = new TextEncoder().encode(JSON.stringify(theme));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a ?theme= link parameter
+ * @param {string} value - Parameter value from encodeThemeParam()
+ * @returns {Object|null} Custom theme, or null if it can't be read
+ */
+export function decodeThemeParam(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const json = new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    return normalizeCustomTheme(JSON.parse(json));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a token's current color from the page, as #rrggbb when it is a hex color
+ * @param {string} token - Custom property name
+ * @returns {string} Color value
+ */
+function readToken(token) {
+  const value = getComputedStyle(document.body).getPropertyValue(token).trim().toLowerCase();
+  const channels = parseHexColor(value);
+  return channels ? `#${channels.map(c => c.toString(16).padStart(2, '0')).join('')}` : value;
+}
+
+/**
+ * Shows a message in the builder's status line
+ * @param {string} message - Message
+ */
+function setBuilderStatus(message) {
+  document.getElementById('theme-builder-status').textContent = message;
+}
+
+/**
+ * Applies the theme being edited to the page and rechecks its contrast
+ */
+function previewThemeDraft() {
+  const { theme } = appStore.getState();
+  appStore.setState({ theme: { ...theme, index: themeDraft.base, custom: { ...themeDraft } } });
+  renderContrastChecks();
+}
+
+/**
+ * Fills the color pickers for the mode being shown
+ */
+function renderThemeTokens() {
+  const { dark } = appStore.getState().theme;
+  const colors = themeDraft[dark ? 'dark' : 'light'];
+  document.getElementById('theme-editing-note').textContent = t(dark ? 'themeBuilder.editingDark' : 'themeBuilder.editingLight');
+
+  const container = document.getElementById('theme-tokens');
+  container.innerHTML = '';
+  Object.keys(themeTokens).forEach(token => {
+    const field = document.createElement('label');
+    field.className = 'theme-token';
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = colors[token] || readToken(token);
+
+    const name = document.createElement('span');
+    name.textContent = t(themeTokens[token]);
+    name.title = token;
+
+    // Tokens set by this theme can go back to the base theme's color
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.textContent = t('themeBuilder.reset');
+    reset.disabled = !colors[token];
+    reset.setAttribute('aria-label', t('themeBuilder.resetToken', { token: name.textContent }));
+
+    // The pickers aren't rebuilt while dragging, or the open color dialog would close
+    input.addEventListener('input', () => {
+      colors[token] = input.value;
+      reset.disabled = false;
+      previewThemeDraft();
+    });
+    reset.addEventListener('click', (e) => {
+      e.preventDefault();
+      delete colors[token];
+      previewThemeDraft();
+      input.value = readToken(token);
+      reset.disabled = true;
+    });
+
+    field.append(input, name, reset);
+    container.appendChild(field);
+  });
+}
+
+/**
+ * Lists every text/background pair with its contrast ratio and a warning when it fails
+ */
+function renderContrastChecks() {
+  const list = document.getElementById('theme-contrast');
+  list.innerHTML = '';
+  let failing = 0;
+
+  contrastPairs.forEach(pair => {
+    const text = readToken(pair.text);
+    const background = readToken(pair.background);
+    const ratio = contrastRatio(text, background);
+    const rating = Number.isNaN(ratio) ? { level: 'large', message: t('themeBuilder.unchecked') } : rateContrast(ratio);
+    if (rating.level !== 'pass') failing++;
+
+    const item = document.createElement('li');
+    item.className = `theme-contrast-${rating.level}`;
+    item.innerHTML = `
+      <span class="theme-contrast-sample"></span>
+      <span class="theme-contrast-label"></span>
+      <span class="theme-contrast-ratio"></span>`;
+    const sample = item.querySelector('.theme-contrast-sample');
+    sample.textContent = 'Aa';
+    sample.style.color = text;
+    sample.style.background = background;
+    item.querySelector('.theme-contrast-label').textContent = t(pair.label);
+    item.querySelector('.theme-contrast-ratio').textContent =
+      `${Number.isNaN(ratio) ? '?' : ratio.toFixed(2)}:1 ${rating.level === 'pass' ? '✓' : '⚠'} ${rating.message}`;
+    list.appendChild(item);
+  });
+
+  document.getElementById('theme-contrast-summary').textContent = failing
+    ? t('themeBuilder.failing', { count: failing })
+    : t('themeBuilder.allPass');
+}
+
+/**
+ * Fills the list of saved custom themes
+ */
+function renderSavedThemes() {
+  const select = document.getElementById('theme-saved');
+  const themes = getCustomThemes();
+  select.innerHTML = '';
+  themes.forEach(theme => {
+    const option = document.createElement('option');
+    option.value = theme.name;
+    option.textContent = theme.name;
+    select.appendChild(option);
+  });
+  if (themeDraft && themes.some(theme => theme.name === themeDraft.name)) select.value = themeDraft.name;
+
+  const none = themes.length === 0;
+  ['theme-saved', 'theme-use', 'theme-delete'].forEach(id => {
+    document.getElementById(id).disabled = none;
+  });
+}
+
+/**
+ * Starts editing a theme: the given one, the custom theme in use, or a new one
+ * based on the current built-in theme
+ * @param {Object} [theme] - Custom theme to edit
+ */
+function editTheme(theme) {
+  const state = appStore.getState().theme;
+  const source = theme || state.custom;
+  themeDraft = source
+    ? { name: source.name, base: source.base, light: { ...source.light }, dark: { ...source.dark } }
+    : { name: t('themeBuilder.defaultName'), base: state.index, light: {}, dark: {} };
+
+  document.getElementById('theme-name').value = themeDraft.name;
+  document.getElementById('theme-base').value = themeDraft.base;
+  document.getElementById('theme-mode').value = state.mode;
+  renderSavedThemes();
+  previewThemeDraft();
+  renderThemeTokens();
+}
+
+/**
+ * Opens the builder on the current theme
+ */
+function openThemeBuilder() {
+  const panel = document.getElementById('theme-builder');
+  themeSnapshot = appStore.getState().theme;
+  setBuilderStatus('');
+  editTheme();
+  panel.hidden = false;
+  document.getElementById('theme-name').focus();
+}
+
+/**
+ * Closes the builder, putting back the theme from before any unsaved edits
+ */
+function closeThemeBuilder() {
+  const panel = document.getElementById('theme-builder');
+  if (panel.hidden) return;
+
+  const { theme } = appStore.getState();
+  appStore.setState({ theme: { ...theme, index: themeSnapshot.index, custom: themeSnapshot.custom } });
+  panel.hidden = true;
+  document.getElementById('theme-builder-toggle').focus();
+}
+
+/**
+ * Saves the theme being edited under its name and makes it the current theme
+ */
+function saveThemeDraft() {
+  themeDraft.name = document.getElementById('theme-name').value.trim() || t('themeBuilder.defaultName');
+  const theme = normalizeCustomTheme(themeDraft);
+  saveCustomTheme(theme);
+  selectTheme(theme.base, theme);
+  themeSnapshot = appStore.getState().theme;
+  renderSavedThemes();
+  setBuilderStatus(t('themeBuilder.saved', { name: theme.name }));
+}
+
+/**
+ * Returns a link to the main page that applies the theme being edited
+ * @returns {string} URL
+ */
+function buildThemeLink() {
+  themeDraft.name = document.getElementById('theme-name').value.trim() || t('themeBuilder.defaultName');
+  const url = new URL('index.html', window.location.href);
+  url.searchParams.set('theme', encodeThemeParam(normalizeCustomTheme(themeDraft)));
+  return url.href;
+}
+
+/**
+ * Copies the theme link to the clipboard, or shows it when that isn't allowed
+ */
+function copyThemeLink() {
+  const url = buildThemeLink();
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url)
+      .then(() => setBuilderStatus(t('themeBuilder.linkCopied')))
+      .catch(() => window.prompt(t('player.copyLinkPrompt'), url));
+  } else {
+    window.prompt(t('player.copyLinkPrompt'), url);
+  }
+}
+
+/**
+ * Downloads the theme being edited as a JSON file
+ */
+function exportThemeDraft() {
+  themeDraft.name = document.getElementById('theme-name').value.trim() || t('themeBuilder.defaultName');
+  const theme = normalizeCustomTheme(themeDraft);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([JSON.stringify(theme, null, 2)], { type: 'application/json' }));
+  link.download = `${theme.name.replace(/[^\w-]+/g, '-').toLowerCase()}.theme.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Kept until the download has started
+}
+
+/**
+ * Loads a theme from a JSON file into the builder; it is saved once the user saves
+ * @param {File} file - Chosen file
+ */
+async function importThemeFile(file) {
+  let theme = null;
+  try {
+    theme = normalizeCustomTheme(JSON.parse(await file.text()));
+  } catch (error) {
+    theme = null;
+  }
+
+  if (!theme) {
+    setBuilderStatus(t('themeBuilder.notATheme', { file: file.name }));
+    return;
+  }
+  editTheme(theme);
+  setBuilderStatus(t('themeBuilder.loaded', { name: theme.name, file: file.name }));
+}
+
+/**
+ * Returns a name for a shared theme that doesn't clash with a saved theme
+ * @param {string} name - Name the theme was shared under
+ * @returns {string} The name, or a numbered copy of it
+ */
+function getFreeThemeName(name) {
+  const taken = new Set(getCustomThemes().map(saved => saved.name));
+  let free = name;
+  for (let number = 2; taken.has(free); number++) {
+    // The name is shortened to leave room for the number within the length limit
+    const overflow = t('themeBuilder.copyName', { name, number }).length - customThemeNameLength;
+    free = t('themeBuilder.copyName', { name: overflow > 0 ? name.slice(0, -overflow).trim() : name, number });
+  }
+  return free;
+}
+
+/**
+ * Offers to apply and save a theme shared through a ?theme= link, then drops the
+ * parameter so reloading or sharing the page doesn't repeat it. A theme already
+ * saved with the same colors is just selected; a different one never replaces a
+ * saved theme, it is saved under a free name instead.
+ */
+export function applyThemeFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const value = params.get('theme');
+  if (value === null) return;
+
+  const shared = decodeThemeParam(value);
+  const saved = shared && getCustomThemes().find(theme => theme.name === shared.name);
+  if (!shared) {
+    console.warn('Ignoring a theme link that could not be read');
+  } else if (saved && JSON.stringify(saved) === JSON.stringify(shared)) {
+    selectTheme(saved.base, saved);
+  } else if (window.confirm(t('themeBuilder.confirmShared', { name: shared.name }))) {
+    const theme = saveCustomTheme({ ...shared, name: getFreeThemeName(shared.name) });
+    selectTheme(theme.base, theme);
+  }
+
+  params.delete('theme');
+  const query = params.toString();
+  window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Builds the theme builder panel and wires up its toggle button
+ */
+export function setupThemeBuilder() {
+  applyThemeFromUrl();
+
+  const toggle = document.getElementById('theme-builder-toggle');
+  if (!toggle) return;
+
+  const panel = document.createElement('div');
+  panel.id = 'theme-builder';
+  panel.className = 'theme-builder';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-labelledby', 'theme-builder-title');
+  panel.hidden = true;
+  panel.innerHTML = `
+    <h2 id="theme-builder-title" data-i18n="themeBuilder.title">Theme Builder</h2>
+    <div class="theme-builder-row">
+      <label><span data-i18n="themeBuilder.name">Name</span> <input type="text" id="theme-name" maxlength="40"></label>
+      <label><span data-i18n="themeBuilder.basedOn">Based on</span> <select id="theme-base"></select></label>
+      <label><span data-i18n="themeBuilder.mode">Mode</span>
+        <select id="theme-mode">
+          <option value="system" data-i18n="themeBuilder.mode.system">Follow system</option>
+          <option value="light" data-i18n="themeBuilder.mode.light">Light</option>
+          <option value="dark" data-i18n="themeBuilder.mode.dark">Dark</option>
+        </select>
+      </label>
+    </div>
+    <p id="theme-editing-note" class="theme-builder-note"></p>
+    <div id="theme-tokens" class="theme-tokens"></div>
+    <h3 data-i18n="themeBuilder.contrast">Contrast</h3>
+    <p id="theme-contrast-summary" class="theme-builder-note" aria-live="polite"></p>
+    <ul id="theme-contrast" class="theme-contrast"></ul>
+    <div class="theme-builder-actions">
+      <button type="button" id="theme-save" data-i18n="themeBuilder.save">Save</button>
+      <button type="button" id="theme-new" data-i18n="themeBuilder.new">New</button>
+      <button type="button" id="theme-close" data-i18n="themeBuilder.close">Close</button>
+    </div>
+    <h3 data-i18n="themeBuilder.savedThemes">Saved themes</h3>
+    <div class="theme-builder-actions">
+      <select id="theme-saved" aria-label="Saved themes" data-i18n-aria-label="themeBuilder.savedThemes"></select>
+      <button type="button" id="theme-use" data-i18n="themeBuilder.edit">Edit</button>
+      <button type="button" id="theme-delete" data-i18n="themeBuilder.delete">Delete</button>
+    </div>
+    <h3 data-i18n="themeBuilder.share">Share</h3>
+    <div class="theme-builder-actions">
+      <button type="button" id="theme-copy-link" data-i18n="themeBuilder.copyLink">Copy link</button>
+      <button type="button" id="theme-export" data-i18n="themeBuilder.export">Export JSON</button>
+      <label class="theme-import-label"><span data-i18n="themeBuilder.import">Import JSON</span><input type="file" id="theme-import" class="visually-hidden" accept=".json,application/json"></label>
+    </div>
+    <p id="theme-builder-status" class="theme-builder-note" aria-live="polite"></p>
+  `;
+  document.body.appendChild(panel);
+  translatePage(panel);
+
+  const baseSelect = document.getElementById('theme-base');
+  colorThemeNames.forEach((name, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.dataset.i18n = name; // Relabelled with the rest of the page
+    option.textContent = t(name);
+    baseSelect.appendChild(option);
+  });
+
+  toggle.addEventListener('click', () => (panel.hidden ? openThemeBuilder() : closeThemeBuilder()));
+  document.getElementById('theme-close').addEventListener('click', closeThemeBuilder);
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeThemeBuilder();
+  });
+
+  document.getElementById('theme-name').addEventListener('input', (e) => { themeDraft.name = e.target.value; });
+  baseSelect.addEventListener('change', () => {
+    themeDraft.base = Number(baseSelect.value);
+    previewThemeDraft();
+    renderThemeTokens();
+  });
+  document.getElementById('theme-mode').addEventListener('change', (e) => setThemeMode(e.target.value));
+
+  document.getElementById('theme-save').addEventListener('click', saveThemeDraft);
+  document.getElementById('theme-new').addEventListener('click', () => {
+    const { theme } = appStore.getState();
+    editTheme({ name: t('themeBuilder.defaultName'), base: theme.index, light: {}, dark: {} });
+    setBuilderStatus('');
+  });
+  document.getElementById('theme-use').addEventListener('click', () => {
+    const theme = getCustomThemes().find(saved => saved.name === document.getElementById('theme-saved').value);
+    if (theme) editTheme(theme);
+  });
+  document.getElementById('theme-delete').addEventListener('click', () => {
+    const name = document.getElementById('theme-saved').value;
+    if (!name || !window.confirm(t('themeBuilder.confirmDelete', { name }))) return;
+    deleteCustomTheme(name);
+    themeSnapshot = appStore.getState().theme;
+    renderSavedThemes();
+    setBuilderStatus(t('themeBuilder.deleted', { name }));
+  });
+
+  document.getElementById('theme-copy-link').addEventListener('click', copyThemeLink);
+  document.getElementById('theme-export').addEventListener('click', exportThemeDraft);
+  const importInput = document.getElementById('theme-import');
+  importInput.addEventListener('change', () => {
+    if (importInput.files[0]) importThemeFile(importInput.files[0]);
+    importInput.value = '';
+  });
+
+  // Switching between light and dark (from here, the mode button or the system
+  // setting) shows the other set of colors
+  appStore.watch(state => state.theme.dark, () => {
+    if (!panel.hidden) {
+      document.getElementById('theme-mode').value = appStore.getState().theme.mode;
+      renderThemeTokens();
+      renderContrastChecks();
+    }
+  });
+
+  // The static labels are translated with the page; the generated ones are redrawn
+  appStore.watch(state => state.locale, () => {
+    if (!panel.hidden) {
+      renderThemeTokens();
+      renderContrastChecks();
+    }
+  });
+}
@@ -0,0 +1,294 @@
+// Broadcast timeline: every recording on one lane per station across February 22–25.
+
+import { getDateTabs } from './config.js';
+import { dateContent, stations } from './data.js';
+import { formatDateTab, t } from './i18n.js';
+import { selectDate } from './panels.js';
+import { audioPlayer, selectStation } from './player.js';
+import { appStore } from './store.js';
+
+const timelineDays = 4;                   // February 22 to 25, 1986
+const timelineMinutes = timelineDays * 1440;
+const timelineDefaultDuration = 600;      // Seconds assumed for a recording until its real length is known
+
+let timelineDragging = false;             // True while the playhead is being dragged
+
+/**
+ * Returns the day offset of a date tab from February 22, e.g. 'Feb24' -> 2
+ * @param {string} tabName - Date tab name
+ * @returns {number} Day index on the timeline
+ */
+export function getTimelineDayIndex(tabName) {
+  return parseInt(tabName.replace('Feb', ''), 10) - 22;
+}
+
+/**
+ * Parses a recording's original broadcast start time into minutes from
+ * February 22, 1986 00:00 (Manila time). Accepts "HH:MM[:SS]" on the tab's own
+ * date, or a full "1986-02-23 01:15" / "1986-02-23T01:15" for recordings that
+ * belong to one day's tab but aired after midnight.
+ * @param {string} value - Start time from the sheet
+ * @param {string} tabName - Date tab the recording belongs to
+ * @returns {number} Minutes from the start of the timeline, or NaN if unparseable
+ */
+export function parseBroadcastTime(value, tabName) {
+  const text = (value || '').trim();
+  const full = /^1986-02-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  const short = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+
+  let dayIndex, hours, minutes, seconds;
+  if (full) {
+    [, , hours, minutes, seconds] = full;
+    dayIndex = parseInt(full[1], 10) - 22;
+  } else if (short) {
+    [, hours, minutes, seconds] = short;
+    dayIndex = getTimelineDayIndex(tabName);
+  } else {
+    return NaN;
+  }
+
+  if (Number(hours) > 23 || Number(minutes) > 59) return NaN;
+  return (dayIndex * 1440) + (Number(hours) * 60) + Number(minutes) + (Number(seconds || 0) / 60);
+}
+
+/**
+ * Formats a timeline position as a readable date and time
+ * @param {number} minute - Minutes from February 22, 1986 00:00
+ * @returns {string} e.g. "February 23, 1986 · 21:05" in the current language
+ */
+function formatTimelineMinute(minute) {
+  const clamped = Math.max(0, Math.min(timelineMinutes - 1, minute));
+  const day = 22 + Math.floor(clamped / 1440);
+  const minuteOfDay = Math.floor(clamped % 1440);
+  const hh = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const mm = String(minuteOfDay % 60).padStart(2, '0');
+  return `${formatDateTab(`Feb${day}`, { year: 'numeric', month: 'long', day: 'numeric' })} · ${hh}:${mm}`;
+}
+
+/**
+ * Collects every recording with its position on the timeline. Recordings without
+ * a start time are placed at the beginning of their day and flagged as unscheduled.
+ * @returns {Array<Object>} Entries with dateId, stationId, start (minutes), duration (seconds) and data
+ */
+export function getTimelineEntries() {
+  const entries = [];
+  getDateTabs().forEach(dateId => {
+    const day = dateContent[dateId];
+    if (!day) return;
+    Object.keys(day.stations).forEach(stationId => {
+      const data = day.stations[stationId];
+      const start = parseBroadcastTime(data.startTime, dateId);
+      entries.push({
+        dateId,
+        stationId,
+        data,
+        scheduled: !isNaN(start),
+        start: isNaN(start) ? getTimelineDayIndex(dateId) * 1440 : start,
+        duration: data.duration || timelineDefaultDuration
+      });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Loads the metadata of recordings without a `duration` so their bars get the right width
+ * @param {Object} data - Date-specific station data from dateContent
+ */
+function probeRecordingDuration(data) {
+  if (data.duration || data.durationProbed || !data.audioUrl || data.audioUrl === '#') return;
+  data.durationProbed = true;
+
+  const probe = new Audio();
+  probe.preload = 'metadata';
+  probe.addEventListener('loadedmetadata', () => {
+    if (Number.isFinite(probe.duration)) {
+      data.duration = probe.duration;
+      renderTimeline();
+    }
+    probe.removeAttribute('src'); // Release the connection
+  }, { once: true });
+  probe.src = data.audioUrl;
+}
+
+/**
+ * Sets up the timeline scrubber events
+ */
+export function setupTimeline() {
+  const scrubber = document.getElementById('timeline-scrubber');
+  if (!scrubber) return;
+
+  scrubber.max = timelineMinutes - 1;
+
+  // While dragging only the readout follows; the jump happens on release
+  scrubber.addEventListener('input', () => {
+    timelineDragging = true;
+    updateTimelinePlayhead(Number(scrubber.value));
+  });
+  scrubber.addEventListener('change', () => {
+    timelineDragging = false;
+    scrubTimelineTo(Number(scrubber.value));
+  });
+
+  audioPlayer.addEventListener('timeupdate', syncTimelineToPlayback);
+  appStore.watch(state => state.recording, renderTimeline);
+  appStore.watch(state => state.locale, () => {
+    renderTimelineAxis();
+    renderTimeline();
+  });
+  renderTimelineAxis();
+  renderTimeline();
+}
+
+/**
+ * Labels the axis under the lanes with the dates, in the current language
+ */
+function renderTimelineAxis() {
+  const axis = document.querySelector('.timeline-axis');
+  if (!axis) return;
+
+  axis.innerHTML = '';
+  getDateTabs().forEach(tabName => {
+    const label = document.createElement('span');
+    label.textContent = formatDateTab(tabName, { month: 'short', day: 'numeric' });
+    axis.appendChild(label);
+  });
+}
+
+/**
+ * Draws one lane per station with a bar for each of its recordings
+ */
+export function renderTimeline() {
+  const lanesEl = document.getElementById('timeline-lanes');
+  if (!lanesEl) return;
+
+  const entries = getTimelineEntries();
+  const { recording } = appStore.getState();
+  lanesEl.innerHTML = '';
+
+  stations.forEach(station => {
+    const lane = document.createElement('div');
+    lane.className = 'timeline-lane';
+
+    const label = document.createElement('span');
+    label.className = 'timeline-lane-label';
+    label.textContent = station.name;
+    lane.appendChild(label);
+
+    const track = document.createElement('div');
+    track.className = 'timeline-track';
+
+    entries.filter(entry => entry.stationId === station.id).forEach(entry => {
+      probeRecordingDuration(entry.data);
+
+      const bar = document.createElement('button');
+      bar.type = 'button';
+      bar.className = 'timeline-bar';
+      bar.classList.toggle('unscheduled', !entry.scheduled);
+      bar.classList.toggle('active', entry.stationId === recording?.stationId && entry.dateId === recording?.dateId);
+      bar.style.left = `${(entry.start / timelineMinutes) * 100}%`;
+      bar.style.width = `${Math.max(0.4, (entry.duration / 60 / timelineMinutes) * 100)}%`;
+      bar.title = `${station.name}: ${entry.scheduled ? formatTimelineMinute(entry.start) : t('timeline.airTimeUnknown', { date: formatDateTab(entry.dateId) })}`;
+      bar.setAttribute('aria-label', bar.title);
+      bar.addEventListener('click', () => openTimelineEntry(entry, 0));
+      track.appendChild(bar);
+    });
+
+    lane.appendChild(track);
+    lanesEl.appendChild(lane);
+  });
+
+  syncTimelineToPlayback();
+}
+
+/**
+ * Finds the recording playing at a timeline position, preferring the current station
+ * @param {number} minute - Minutes from February 22, 1986 00:00
+ * @returns {Object|undefined} Matching timeline entry
+ */
+function findTimelineEntryAt(minute) {
+  const currentStationId = appStore.getState().recording?.stationId;
+  const covering = getTimelineEntries().filter(entry =>
+    minute >= entry.start && minute < entry.start + (entry.duration / 60)
+  );
+  return covering.find(entry => entry.stationId === currentStationId) || covering[0];
+}
+
+/**
+ * Jumps the date, station and audio offset to whatever aired at a timeline position
+ * @param {number} minute - Minutes from February 22, 1986 00:00
+ */
+function scrubTimelineTo(minute) {
+  const entry = findTimelineEntryAt(minute);
+  const readout = document.getElementById('timeline-readout');
+
+  if (!entry) {
+    if (readout) readout.textContent = t('timeline.noRecording', { time: formatTimelineMinute(minute) });
+    return;
+  }
+  openTimelineEntry(entry, (minute - entry.start) * 60);
+}
+
+/**
+ * Opens a recording from the timeline, switching the date and station as needed
+ * @param {Object} entry - Timeline entry from getTimelineEntries()
+ * @param {number} offsetSeconds - Position within the recording to start from
+ */
+export function openTimelineEntry(entry, offsetSeconds) {
+  if (appStore.getState().dateId !== entry.dateId) {
+    selectDate(entry.dateId, entry.stationId);
+  }
+  if (appStore.getState().recording?.stationId !== entry.stationId) {
+    selectStation(entry.stationId);
+  }
+  seekWhenReady(offsetSeconds);
+}
+
+/**
+ * Seeks the player once it knows the clip length, since a freshly loaded source can't seek yet
+ * @param {number} seconds - Target position in seconds
+ */
+export function seekWhenReady(seconds) {
+  const audio = audioPlayer;
+  const seek = () => {
+    audio.currentTime = Math.min(seconds, audio.duration || seconds);
+  };
+
+  if (audio.readyState >= 1) {
+    seek();
+  } else {
+    audio.addEventListener('loadedmetadata', seek, { once: true });
+  }
+}
+
+/**
+ * Moves the playhead line and readout to a timeline position
+ * @param {number} minute - Minutes from February 22, 1986 00:00
+ */
+function updateTimelinePlayhead(minute) {
+  const playhead = document.getElementById('timeline-playhead');
+  const readout = document.getElementById('timeline-readout');
+  if (playhead) playhead.style.left = `${(minute / timelineMinutes) * 100}%`;
+
+  if (readout) {
+    const entry = findTimelineEntryAt(minute);
+    const station = entry && stations.find(s => s.id === entry.stationId);
+    readout.textContent = `${formatTimelineMinute(minute)}${station ? ` — ${station.name}` : ''}`;
+  }
+}
+
+/**
+ * Keeps the playhead on the broadcast moment that is currently playing
+ */
+function syncTimelineToPlayback() {
+  if (timelineDragging) return;
+
+  const scrubber = document.getElementById('timeline-scrubber');
+  const { recording } = appStore.getState();
+  const entry = recording && getTimelineEntries().find(e => e.dateId === recording.dateId && e.stationId === recording.stationId);
+  if (!scrubber || !entry) return;
+
+  const minute = entry.start + ((audioPlayer?.currentTime || 0) / 60);
+  scrubber.value = minute;
+  updateTimelinePlayhead(minute);
+}
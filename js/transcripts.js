@@ -0,0 +1,579 @@
+// Time-synced transcripts: parsing, language versions and following along with playback.
+
+import { compareAudio, getCompareRecording, seekCompareTo } from './compare.js';
+import { fetchText, stations } from './data.js';
+import { t } from './i18n.js';
+import { audioPlayer, getCurrentRecording, playAudio } from './player.js';
+import { appStore } from './store.js';
+
+let transcriptColumns = [];  // Rendered timed columns: [{ el, segments, activeKey, player }]
+let currentTranscriptVersions = []; // Loaded language versions of the current transcript
+let comparedTranscriptVersions = null; // Loaded versions of the compared station's transcript, or null
+let transcriptRequestId = 0; // Incremented per load so late responses for old stations are ignored
+export let transcriptLoading = Promise.resolve(); // Settles when the latest transcript has rendered
+
+// Messages naming transcript language codes; 'original' is the broadcast language
+const transcriptLanguageLabels = {
+  original: 'transcript.lang.original',
+  fil: 'transcript.lang.fil',
+  tl: 'transcript.lang.tl',
+  en: 'transcript.lang.en'
+};
+
+/**
+ * Converts a timestamp such as "1:02", "01:02:03.500" or "00:01:02,500" into seconds
+ * @param {string} stamp - Timestamp text
+ * @returns {number} Time in seconds, or NaN if the text isn't a timestamp
+ */
+export function parseTimestamp(stamp) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/.exec(stamp.trim());
+  if (!match) return NaN;
+  const [, hours, minutes, seconds, fraction] = match;
+  return (parseInt(hours || '0', 10) * 3600) +
+    (parseInt(minutes, 10) * 60) +
+    parseInt(seconds, 10) +
+    (fraction ? parseInt(fraction.padEnd(3, '0'), 10) / 1000 : 0);
+}
+
+/**
+ * Parses WebVTT or SRT cue blocks into timed segments; both formats share the
+ * "start --> end" timing line and differ only in headers and decimal separator
+ * @param {string} text - Caption file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Parsed segments
+ */
+function parseCaptionCues(text) {
+  const segments = [];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return; // Header, NOTE or STYLE block
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText.trim().split(/\s+/)[0]); // Drop VTT cue settings
+    const cueText = lines.slice(timingIndex + 1).join(' ')
+      .replace(/<v\s+([^>]+)>/g, '$1: ') // Keep VTT voice names as speaker labels
+      .replace(/<[^>]+>/g, '')           // Strip remaining markup tags
+      .trim();
+
+    if (!isNaN(start) && cueText) {
+      segments.push({ start, end: isNaN(end) ? null : end, text: cueText });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Parses the sheet-cell format where each line starts with a bracketed timestamp,
+ * e.g. "[0:15] Ito ang Radyo Veritas". Lines without one continue the previous segment.
+ * @param {string} text - Transcript cell contents
+ * @returns {Array<{start: number, end: number, text: string}>} Parsed segments
+ */
+function parseTimestampedLines(text) {
+  const segments = [];
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const match = /^\s*\[([\d:.,]+)\]\s*(.*)$/.exec(line);
+    const start = match ? parseTimestamp(match[1]) : NaN;
+
+    if (!isNaN(start)) {
+      segments.push({ start, end: null, text: match[2].trim() });
+    } else if (segments.length > 0 && line.trim()) {
+      segments[segments.length - 1].text += ` ${line.trim()}`;
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Detects the transcript format and returns timed segments when it has timestamps
+ * @param {string} text - Transcript text, caption file contents or plain prose
+ * @returns {Array<{start: number, end: number, text: string}>|null} Segments sorted by
+ *   start time with each end filled in, or null for plain untimed text
+ */
+export function parseTranscript(text) {
+  if (!text) return null;
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+  let segments;
+  if (trimmed.startsWith('WEBVTT') || /^\d+\s*\r?\n[\d:.,]+\s*-->/.test(trimmed)) {
+    segments = parseCaptionCues(trimmed);
+  } else if (/^\s*\[[\d:.,]+\]/.test(trimmed)) {
+    segments = parseTimestampedLines(trimmed);
+  }
+
+  if (!segments || segments.length === 0) return null;
+
+  // Each segment lasts until the next one starts unless the source gave an end time
+  segments.sort((a, b) => a.start - b.start);
+  segments.forEach((segment, i) => {
+    if (segment.end === null) {
+      segment.end = i + 1 < segments.length ? segments[i + 1].start : Infinity;
+    }
+  });
+  return segments;
+}
+
+/**
+ * Collects every language version of a recording's transcript. The plain
+ * `transcript`/`transcriptUrl` columns hold the original broadcast language;
+ * translations come from `transcript_<lang>`/`transcriptUrl_<lang>` columns
+ * such as `transcript_fil` and `transcript_en`.
+ * @param {Object} row - Row from a date tab
+ * @returns {Array<{lang: string, text: string, url: string}>} Available versions, original first
+ */
+export function buildTranscriptVersions(row) {
+  const versions = [];
+  if ((row.transcript || '').trim() || (row.transcriptUrl || '').trim()) {
+    versions.push({ lang: 'original', text: row.transcript || '', url: (row.transcriptUrl || '').trim() });
+  }
+
+  const langs = new Set();
+  Object.keys(row).forEach(column => {
+    const match = /^transcript(?:Url)?_([a-z]{2,3})$/i.exec(column);
+    if (match) langs.add(match[1].toLowerCase());
+  });
+  langs.forEach(lang => {
+    const text = row[`transcript_${lang}`] || '';
+    const url = (row[`transcriptUrl_${lang}`] || '').trim();
+    if (text.trim() || url) versions.push({ lang, text, url });
+  });
+
+  return versions;
+}
+
+/**
+ * Returns a human-readable name for a transcript language code
+ * @param {string} lang - Language code, or 'original'
+ * @returns {string} Display name
+ */
+export function getTranscriptLanguageLabel(lang) {
+  return transcriptLanguageLabels[lang] ? t(transcriptLanguageLabels[lang]) : lang.toUpperCase();
+}
+
+/**
+ * Reads the reader's saved transcript layout and language preference
+ * @returns {{mode: string, primary: string, secondary: string}} Preferences
+ */
+function getTranscriptPrefs() {
+  const defaults = { mode: 'single', primary: 'original', secondary: 'en' };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem('transcriptPrefs') || '{}') };
+  } catch (error) {
+    return defaults;
+  }
+}
+
+/**
+ * Saves transcript preferences and re-renders the current transcript with them
+ * @param {Object} changes - Preference keys to update
+ */
+export function setTranscriptPrefs(changes) {
+  localStorage.setItem('transcriptPrefs', JSON.stringify({ ...getTranscriptPrefs(), ...changes }));
+  const transcriptEl = document.getElementById('transcript-content');
+  if (transcriptEl) renderTranscriptVersions(transcriptEl, currentTranscriptVersions);
+}
+
+/**
+ * Wires up the transcript layout and language selectors
+ */
+export function setupTranscriptControls() {
+  document.getElementById('transcript-mode').addEventListener('change', (e) => {
+    setTranscriptPrefs({ mode: e.target.value });
+  });
+  document.getElementById('transcript-primary').addEventListener('change', (e) => {
+    setTranscriptPrefs({ primary: e.target.value });
+  });
+  document.getElementById('transcript-secondary').addEventListener('change', (e) => {
+    setTranscriptPrefs({ secondary: e.target.value });
+  });
+
+  // The transcript follows the recording in the player (and the compared one) and its playback position
+  appStore.watch(state => state.recording, () => {
+    transcriptLoading = loadTranscript(getCurrentRecording());
+  });
+  appStore.watch(state => state.compare?.stationId, () => {
+    transcriptLoading = loadTranscript(getCurrentRecording());
+  });
+  appStore.watch(state => state.locale, () => {
+    // Before any recording loads, the placeholder is translated with the page
+    const transcriptEl = document.getElementById('transcript-content');
+    if (transcriptEl && transcriptRequestId > 0) renderTranscriptVersions(transcriptEl, currentTranscriptVersions);
+  });
+  audioPlayer.addEventListener('timeupdate', highlightTranscriptSegment);
+}
+
+/**
+ * Returns one transcript version's text, loading (and caching) its file if it has one
+ * @param {{text: string, url: string}} version - Entry from buildTranscriptVersions()
+ * @returns {Promise<string>} Transcript text
+ */
+export async function getTranscriptText(version) {
+  if (!version.url) return version.text;
+  if (version.fileText === undefined) {
+    version.fileText = await fetchText(version.url);
+  }
+  return version.fileText;
+}
+
+/**
+ * Loads the text of every language version of a recording's transcript
+ * @param {Object} dynamicData - Date-specific station data from dateContent
+ * @returns {Promise<Array<Object>>} Versions with their text filled in
+ */
+function loadTranscriptVersions(dynamicData) {
+  return Promise.all((dynamicData.transcripts || []).map(async version => {
+    try {
+      return { ...version, text: await getTranscriptText(version) };
+    } catch (error) {
+      console.error('Failed to load transcript file:', version.url, error);
+      return version;
+    }
+  }));
+}
+
+/**
+ * Loads and renders the transcript for a station's recording, in every
+ * language version it has, next to the compared station's while comparing.
+ * Transcript files take priority over sheet cells.
+ * @param {Object} dynamicData - Date-specific station data from dateContent
+ */
+async function loadTranscript(dynamicData) {
+  const transcriptEl = document.getElementById('transcript-content');
+  if (!transcriptEl || !dynamicData) return;
+
+  const requestId = ++transcriptRequestId;
+  const comparedData = getCompareRecording();
+  const [loaded, compared] = await Promise.all([
+    loadTranscriptVersions(dynamicData),
+    comparedData ? loadTranscriptVersions(comparedData) : null
+  ]);
+
+  // Another station was selected while the files were loading
+  if (requestId !== transcriptRequestId) return;
+
+  currentTranscriptVersions = loaded;
+  comparedTranscriptVersions = compared;
+  renderTranscriptVersions(transcriptEl, loaded);
+}
+
+/**
+ * Picks which versions to show under the saved preferences, falling back when
+ * the preferred language or a translation is missing
+ * @param {Array<Object>} versions - Loaded transcript versions
+ * @returns {{mode: string, primary: Object, secondary: Object, notice: string}} What to render
+ */
+function resolveTranscriptView(versions) {
+  const prefs = getTranscriptPrefs();
+  const byLang = lang => versions.find(version => version.lang === lang);
+  const notices = [];
+
+  let primary = byLang(prefs.primary);
+  if (!primary) {
+    primary = versions[0];
+    if (versions.length > 0) {
+      notices.push(t('transcript.languageMissing', {
+        language: getTranscriptLanguageLabel(prefs.primary),
+        fallback: getTranscriptLanguageLabel(primary.lang)
+      }));
+    }
+  }
+
+  let secondary = null;
+  if (prefs.mode !== 'single') {
+    secondary = byLang(prefs.secondary);
+    if (!secondary || secondary === primary) {
+      secondary = versions.find(version => version !== primary) || null;
+    }
+    if (!secondary && primary) {
+      notices.push(t('transcript.noTranslation'));
+    }
+  }
+
+  return { mode: secondary ? prefs.mode : 'single', primary, secondary, notice: notices.join(' ') };
+}
+
+/**
+ * Fills the language/layout controls for the versions of the current recording
+ * @param {Array<Object>} versions - Loaded transcript versions
+ * @param {Object} view - Result of resolveTranscriptView()
+ */
+function renderTranscriptControls(versions, view) {
+  const controls = document.getElementById('transcript-controls');
+  if (!controls) return;
+
+  controls.hidden = versions.length < 2;
+  const prefs = getTranscriptPrefs();
+  const modeSelect = document.getElementById('transcript-mode');
+  const primarySelect = document.getElementById('transcript-primary');
+  const secondarySelect = document.getElementById('transcript-secondary');
+
+  [primarySelect, secondarySelect].forEach(select => {
+    select.innerHTML = '';
+    versions.forEach(version => {
+      const option = document.createElement('option');
+      option.value = version.lang;
+      option.textContent = getTranscriptLanguageLabel(version.lang);
+      select.appendChild(option);
+    });
+  });
+
+  modeSelect.value = prefs.mode;
+  if (view.primary) primarySelect.value = view.primary.lang;
+  if (view.secondary) secondarySelect.value = view.secondary.lang;
+
+  // While comparing stations the columns are the stations, so only the language applies
+  modeSelect.disabled = Boolean(comparedTranscriptVersions);
+  secondarySelect.hidden = prefs.mode === 'single' || Boolean(comparedTranscriptVersions);
+}
+
+/**
+ * Renders the transcript versions in single, side-by-side or interleaved layout
+ * @param {HTMLElement} transcriptEl - Container for the transcript
+ * @param {Array<Object>} versions - Loaded transcript versions
+ */
+function renderTranscriptVersions(transcriptEl, versions) {
+  const view = resolveTranscriptView(versions);
+  renderTranscriptControls(versions, view);
+
+  transcriptColumns = [];
+  transcriptEl.innerHTML = '';
+  transcriptEl.className = comparedTranscriptVersions ? 'transcript-side-by-side transcript-compare' : `transcript-${view.mode}`;
+
+  const noticeEl = document.getElementById('transcript-notice');
+  if (noticeEl) noticeEl.textContent = view.notice;
+
+  if (comparedTranscriptVersions) {
+    renderComparedTranscripts(transcriptEl, view.primary, resolveTranscriptView(comparedTranscriptVersions).primary);
+  } else if (!view.primary) {
+    renderTranscriptColumn(transcriptEl, '', 'original');
+    return;
+  } else if (view.mode === 'side-by-side') {
+    [view.primary, view.secondary].forEach(version => {
+      const column = document.createElement('div');
+      column.className = 'transcript-column';
+      column.lang = version.lang === 'original' ? '' : version.lang;
+
+      const heading = document.createElement('h3');
+      heading.textContent = getTranscriptLanguageLabel(version.lang);
+      column.appendChild(heading);
+
+      renderTranscriptColumn(column, version.text, version.lang);
+      transcriptEl.appendChild(column);
+    });
+  } else if (view.mode === 'interleaved') {
+    renderInterleavedTranscript(transcriptEl, view.primary, view.secondary);
+  } else {
+    renderTranscriptColumn(transcriptEl, view.primary.text, view.primary.lang);
+  }
+
+  highlightTranscriptSegment();
+}
+
+/**
+ * Renders the player's transcript and the compared station's in parallel columns,
+ * each in the reader's chosen language where it has one
+ * @param {HTMLElement} transcriptEl - Container for the transcript
+ * @param {Object} [playing] - Version of the player's transcript
+ * @param {Object} [compared] - Version of the compared station's transcript
+ */
+function renderComparedTranscripts(transcriptEl, playing, compared) {
+  const { recording, compare } = appStore.getState();
+  [
+    { version: playing, stationId: recording.stationId, player: audioPlayer },
+    { version: compared, stationId: compare.stationId, player: compareAudio }
+  ].forEach(({ version, stationId, player }) => {
+    const column = document.createElement('div');
+    column.className = 'transcript-column';
+    column.lang = !version || version.lang === 'original' ? '' : version.lang;
+
+    const heading = document.createElement('h3');
+    heading.textContent = stations.find(s => s.id === stationId)?.name || stationId;
+    column.appendChild(heading);
+
+    renderTranscriptColumn(column, version ? version.text : '', version ? version.lang : 'original', player);
+    transcriptEl.appendChild(column);
+  });
+}
+
+/**
+ * Renders one transcript version as timed segments, or as paragraphs when it has no timestamps
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} text - Transcript text in any supported format
+ * @param {string} lang - Language code of the version
+ * @param {HTMLAudioElement} [player] - Player the timestamps refer to; the main player by default
+ */
+function renderTranscriptColumn(container, text, lang, player = audioPlayer) {
+  const segments = parseTranscript(text);
+  if (segments) {
+    renderTimedSegments(container, segments.map(segment => ({ ...segment, lang })), player);
+    return;
+  }
+
+  // Plain transcript: keep paragraph breaks from multi-line cells
+  (text && text.trim() ? text : t('transcript.none')).split(/\n\s*\n/).forEach((paragraph, index) => {
+    container.appendChild(createTranscriptParagraph(paragraph, lang, index));
+  });
+}
+
+/**
+ * Creates a plain transcript paragraph tagged with its language and position
+ * @param {string} text - Paragraph text
+ * @param {string} lang - Language code of the version
+ * @param {number} index - Paragraph index within the version
+ * @returns {HTMLElement} Paragraph element
+ */
+function createTranscriptParagraph(text, lang, index) {
+  const p = document.createElement('p');
+  p.textContent = text.trim();
+  p.dataset.lang = lang;
+  p.dataset.paragraph = index;
+  return p;
+}
+
+/**
+ * Renders two versions line by line: timed versions are merged by start time,
+ * plain ones alternate paragraph by paragraph
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} primary - Version shown first in each pair
+ * @param {Object} secondary - Version shown second in each pair
+ */
+function renderInterleavedTranscript(container, primary, secondary) {
+  const primarySegments = parseTranscript(primary.text);
+  const secondarySegments = parseTranscript(secondary.text);
+
+  if (primarySegments && secondarySegments) {
+    const merged = primarySegments.map(segment => ({ ...segment, lang: primary.lang }))
+      .concat(secondarySegments.map(segment => ({ ...segment, lang: secondary.lang, translation: true })))
+      .sort((a, b) => (a.start - b.start) || (a.translation ? 1 : -1));
+    renderTimedSegments(container, merged);
+    return;
+  }
+
+  // Untimed (or mixed) versions pair up by paragraph, using each segment as a paragraph
+  const toParagraphs = (text, segments) => segments ? segments.map(segment => segment.text) : (text || '').split(/\n\s*\n/);
+  const first = toParagraphs(primary.text, primarySegments);
+  const second = toParagraphs(secondary.text, secondarySegments);
+
+  for (let i = 0; i < Math.max(first.length, second.length); i++) {
+    if (first[i] && first[i].trim()) container.appendChild(createTranscriptParagraph(first[i], primary.lang, i));
+    if (second[i] && second[i].trim()) {
+      const p = createTranscriptParagraph(second[i], secondary.lang, i);
+      p.classList.add('translation');
+      container.appendChild(p);
+    }
+  }
+}
+
+/**
+ * Renders clickable timed segments and registers them for playback highlighting
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} segments - Segments with start, end, text and lang
+ * @param {HTMLAudioElement} [player] - Player the timestamps refer to; the main player by default
+ */
+function renderTimedSegments(container, segments, player = audioPlayer) {
+  container.classList.add('timed');
+  const column = { el: container, segments, activeKey: '', player };
+  transcriptColumns.push(column);
+
+  segments.forEach((segment, index) => {
+    const p = document.createElement('p');
+    p.className = 'transcript-segment';
+    p.classList.toggle('translation', Boolean(segment.translation));
+    p.dataset.index = index;
+    p.dataset.lang = segment.lang;
+    p.tabIndex = 0;
+
+    const time = document.createElement('span');
+    time.className = 'transcript-time';
+    time.textContent = formatClock(segment.start);
+    p.appendChild(time);
+    p.appendChild(document.createTextNode(` ${segment.text}`));
+
+    // Click (or Enter) seeks the player to the start of this segment
+    const seek = () => seekToSegment(segment, player);
+    p.addEventListener('click', seek);
+    p.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') seek();
+    });
+    container.appendChild(p);
+  });
+}
+
+/**
+ * Seeks the audio to the start of a transcript segment and resumes playback.
+ * Segments of the compared station move both players to that moment.
+ * @param {Object} segment - Segment to play from
+ * @param {HTMLAudioElement} [player] - Player the segment's timestamps refer to
+ */
+function seekToSegment(segment, player = audioPlayer) {
+  const audio = audioPlayer;
+  if (!audio || !segment) return;
+
+  if (player === compareAudio) {
+    seekCompareTo(segment.start);
+  } else {
+    audio.currentTime = segment.start;
+  }
+  if (audio.paused) playAudio();
+  highlightTranscriptSegment();
+}
+
+/**
+ * Highlights the segments matching the current playback position in every
+ * timed column and keeps the first column's segment in view
+ */
+function highlightTranscriptSegment() {
+  const audio = audioPlayer;
+  if (!audio) return;
+
+  transcriptColumns.forEach((column, columnIndex) => {
+    const time = column.player.currentTime;
+    const active = [];
+    column.segments.forEach((segment, index) => {
+      if (time >= segment.start && time < segment.end) active.push(index);
+    });
+
+    const key = active.join(',');
+    if (key === column.activeKey) return;
+    column.activeKey = key;
+
+    column.el.querySelectorAll('.transcript-segment.active').forEach(el => el.classList.remove('active'));
+    active.forEach(index => {
+      column.el.querySelector(`.transcript-segment[data-index="${index}"]`).classList.add('active');
+    });
+
+    if (columnIndex === 0 && active.length > 0) {
+      scrollTranscriptTo(column.el.querySelector(`.transcript-segment[data-index="${active[0]}"]`));
+    }
+  });
+}
+
+/**
+ * Centers an element of the transcript in view, scrolling only the transcript
+ * panel (not the page) and only while the panel is visible
+ * @param {HTMLElement} element - Segment or paragraph inside #transcript-content
+ */
+export function scrollTranscriptTo(element) {
+  const panel = document.getElementById('transcript-panel');
+  if (panel && panel.style.display !== 'none') {
+    panel.scrollTop = element.offsetTop - panel.offsetTop - (panel.clientHeight / 2) + (element.offsetHeight / 2);
+  }
+}
+
+/**
+ * Formats seconds as M:SS, or H:MM:SS for times past an hour
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time string
+ */
+export function formatClock(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
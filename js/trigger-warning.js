@@ -0,0 +1,45 @@
+// Content warning shown before anything loads.
+
+import { startApplication } from './app.js';
+
+/**
+ * Shows trigger warning modal on page load and handles user acceptance
+ */
+export function initializeTriggerWarning() {
+  const modal = document.getElementById('trigger-warning-modal');
+  const understandBtn = document.getElementById('modal-understand-btn');
+
+  // Check if user has already accepted the warning in this session
+  const warningAccepted = sessionStorage.getItem('triggerWarningAccepted');
+
+  if (!warningAccepted) {
+    // Show modal if not previously accepted
+    modal.style.display = 'flex';
+    understandBtn.focus();
+
+    // Keep keyboard focus inside the dialog, cycling between its language switcher and button
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        const controls = [...modal.querySelectorAll('select, button')];
+        const index = controls.indexOf(document.activeElement);
+        const next = (index + (e.shiftKey ? -1 : 1) + controls.length) % controls.length;
+        controls[next].focus();
+      }
+    });
+
+    // Handle understand button click
+    understandBtn.addEventListener('click', () => {
+      // Hide modal and move focus to the start of the page's controls
+      modal.style.display = 'none';
+      document.getElementById('selectDate').focus();
+      // Store acceptance in session storage (lasts until browser closes)
+      sessionStorage.setItem('triggerWarningAccepted', 'true');
+      // Start the main application
+      startApplication();
+    });
+  } else {
+    // If already accepted, start the application directly
+    startApplication();
+  }
+}
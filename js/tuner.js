@@ -0,0 +1,193 @@
+// Radio dial tuner: stations along a dial, crossfaded through static while tuning.
+
+import { getAudioGraph } from './audio-graph.js';
+import { dateContent, stations } from './data.js';
+import { t } from './i18n.js';
+import { audioPlayer, selectStation } from './player.js';
+import { appStore } from './store.js';
+
+const tunerMax = 1000;          // Dial range is 0..tunerMax
+const tunerBandwidth = 0.4;     // Fraction of the gap between stations where a signal can still be heard
+const tunerStaticLevel = 0.6;   // Loudness of the static when tuned fully off-station
+const tunerStaticUrl = 'audio/static.mp3';
+
+let tunerEnabled = false;
+let tunerGraph = null;          // { context, stationGain, staticGain, staticAudio } once built
+let tunerSignal = 1;            // Signal strength of the tuned station, 0..1
+export let tunerIsTuning = false;      // True while the dial itself is selecting a station
+
+/**
+ * Returns every station with its position on the dial. Stations are spaced evenly
+ * in Master order so the dial works whether or not frequencies are filled in.
+ * @returns {Array<{station: Object, position: number}>} Stations and their dial positions
+ */
+function getTunerStations() {
+  return stations.map((station, i) => ({
+    station,
+    position: Math.round(((i + 0.5) / stations.length) * tunerMax)
+  }));
+}
+
+/**
+ * Sets up the tuner toggle, dial and station scale
+ */
+export function setupTuner() {
+  const toggleBtn = document.getElementById('tuner-btn');
+  const dial = document.getElementById('tuner-dial');
+  if (!toggleBtn || !dial) return;
+
+  renderTunerScale();
+  toggleBtn.addEventListener('click', toggleTuner);
+  dial.addEventListener('input', () => tuneTo(Number(dial.value)));
+
+  // Static follows the player's volume, mute and play/pause state
+  audioPlayer.addEventListener('volumechange', updateTunerMix);
+  audioPlayer.addEventListener('play', updateTunerMix);
+  audioPlayer.addEventListener('pause', updateTunerMix);
+
+  // Stations picked from the list or map move the dial too
+  appStore.watch(state => state.recording, ({ recording }) => syncTunerToStation(recording.stationId));
+}
+
+/**
+ * Draws a tick and label on the dial scale for each station
+ */
+function renderTunerScale() {
+  const scale = document.getElementById('tuner-scale');
+  if (!scale) return;
+
+  scale.innerHTML = '';
+  getTunerStations().forEach(({ station, position }) => {
+    const tick = document.createElement('span');
+    tick.className = 'tuner-tick';
+    tick.style.left = `${(position / tunerMax) * 100}%`;
+    tick.textContent = station.frequency || station.id.toUpperCase();
+    tick.title = station.name;
+    scale.appendChild(tick);
+  });
+}
+
+/**
+ * Turns dial tuning mode on or off
+ */
+function toggleTuner() {
+  tunerEnabled = !tunerEnabled;
+
+  const tuner = document.getElementById('tuner');
+  const toggleBtn = document.getElementById('tuner-btn');
+  tuner.hidden = !tunerEnabled;
+  toggleBtn.classList.toggle('active', tunerEnabled);
+  toggleBtn.setAttribute('aria-pressed', tunerEnabled);
+
+  if (tunerEnabled) {
+    // The audio graph has to be created from a user gesture
+    buildTunerGraph();
+    if (tunerGraph) tunerGraph.context.resume();
+
+    syncTunerToStation(appStore.getState().recording?.stationId);
+  } else {
+    tunerSignal = 1;
+    updateTunerMix();
+  }
+}
+
+/**
+ * Routes the station audio and a looping static track through gain nodes so
+ * they can be crossfaded. Only built once, since a media element can be
+ * attached to a single audio graph for the life of the page.
+ */
+function buildTunerGraph() {
+  if (tunerGraph) return;
+
+  const graph = getAudioGraph();
+  if (!graph) {
+    console.warn('Web Audio unavailable for this recording; the dial will switch stations without static');
+    return;
+  }
+
+  const { context, playerGain, master } = graph;
+  const staticAudio = new Audio(tunerStaticUrl);
+  staticAudio.loop = true;
+
+  const staticGain = context.createGain();
+  staticGain.gain.value = 0;
+  context.createMediaElementSource(staticAudio).connect(staticGain).connect(master);
+
+  tunerGraph = { context, stationGain: playerGain, staticGain, staticAudio };
+}
+
+/**
+ * Handles a dial movement: picks up the nearest station and sets its signal strength
+ * @param {number} position - Dial position, 0..tunerMax
+ */
+function tuneTo(position) {
+  const tunerStations = getTunerStations();
+  if (tunerStations.length === 0) return;
+
+  const spacing = tunerMax / tunerStations.length;
+  const nearest = tunerStations.reduce((best, entry) =>
+    Math.abs(entry.position - position) < Math.abs(best.position - position) ? entry : best
+  );
+  const distance = Math.abs(nearest.position - position);
+  const { dateId, recording } = appStore.getState();
+  const hasRecording = Boolean(dateContent[dateId]?.stations[nearest.station.id]);
+
+  // Signal fades in linearly as the dial approaches the station's position
+  tunerSignal = hasRecording ? Math.max(0, 1 - distance / (spacing * tunerBandwidth)) : 0;
+
+  const readout = document.getElementById('tuner-readout');
+  if (readout) {
+    readout.textContent = tunerSignal > 0 ? nearest.station.name : (hasRecording ? t('tuner.static') : t('tuner.offAir', { station: nearest.station.name }));
+  }
+
+  // Switch stations as soon as a signal becomes audible
+  if (tunerSignal > 0 && recording?.stationId !== nearest.station.id) {
+    tunerIsTuning = true;
+    selectStation(nearest.station.id);
+    tunerIsTuning = false;
+  }
+
+  updateTunerMix();
+}
+
+/**
+ * Moves the dial onto a station, e.g. after it was picked from the list or map
+ * @param {string} stationId - ID of the station to tune to
+ */
+function syncTunerToStation(stationId) {
+  if (!tunerEnabled || tunerIsTuning) return;
+
+  const entry = getTunerStations().find(({ station }) => station.id === stationId);
+  const dial = document.getElementById('tuner-dial');
+  if (!entry || !dial) return;
+
+  dial.value = entry.position;
+  tuneTo(entry.position);
+}
+
+/**
+ * Applies the current signal strength to the station and static gains using an
+ * equal-power crossfade, scaled by the player volume
+ */
+function updateTunerMix() {
+  if (!tunerGraph) return;
+
+  const audio = audioPlayer;
+  const { context, stationGain, staticGain, staticAudio } = tunerGraph;
+  const signal = tunerEnabled ? tunerSignal : 1;
+  const playing = !audio.paused;
+
+  stationGain.gain.setTargetAtTime(Math.sin(signal * Math.PI / 2), context.currentTime, 0.05);
+  staticGain.gain.setTargetAtTime(
+    Math.cos(signal * Math.PI / 2) * tunerStaticLevel * audio.volume,
+    context.currentTime,
+    0.05
+  );
+
+  // Static only runs while the tuner is on and the radio is playing
+  if (tunerEnabled && playing && signal < 1) {
+    staticAudio.play().catch(error => console.log('Static playback was prevented:', error));
+  } else if (!staticAudio.paused) {
+    staticAudio.pause();
+  }
+}
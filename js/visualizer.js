@@ -0,0 +1,337 @@
+// Waveform seek bar and the live oscilloscope, spectrum and VU display.
+
+import { audioGraph, getAudioGraph } from './audio-graph.js';
+import { t } from './i18n.js';
+import { audioPlayer, getCurrentRecording } from './player.js';
+import { measuredLoudness, measureLoudness } from './restoration.js';
+import { appStore } from './store.js';
+
+const visualizerModes = ['scope', 'spectrum', 'vu', 'off'];
+const visualizerLabels = { scope: 'visualizer.scope', spectrum: 'visualizer.spectrum', vu: 'visualizer.vu', off: 'visualizer.off' }; // Messages
+const waveformBuckets = 800;                 // Peaks computed per recording
+const waveformMaxBytes = 12 * 1024 * 1024;   // Larger files take too much memory to decode whole
+
+let visualizerMode = visualizerModes.includes(localStorage.getItem('visualizerMode'))
+  ? localStorage.getItem('visualizerMode')
+  : 'scope';
+let visualizerPicked = localStorage.getItem('visualizerMode') !== null; // Whether the listener chose a mode
+let visualizerColors = {};     // Theme colors read from the CSS variables
+let visualizerFrame = null;    // requestAnimationFrame handle while the live display runs
+let vuLevel = 0;               // Smoothed VU level, 0..1
+let vuPeak = 0;                // Peak-hold level, 0..1
+let waveformPeaks = null;      // Peaks of the current recording, 0..1, or null while unavailable
+let waveformCache = {};        // Peaks per audio URL
+let waveformRequestId = 0;     // Incremented per load so stale decodes are ignored
+
+/**
+ * Reads the visualizer colors from the active theme and redraws
+ */
+function refreshVisualizerColors() {
+  const styles = getComputedStyle(document.body);
+  const read = name => styles.getPropertyValue(name).trim();
+  visualizerColors = {
+    played: read('--accent-secondary') || '#e0bc08',
+    unplayed: read('--muted-primary-1') || '#98afc7',
+    signal: read('--accent-secondary-2') || '#ffd414',
+    danger: read('--danger') || '#ff6b6b',
+    marker: read('--color-white') || '#ffffff'
+  };
+  drawWaveform();
+  drawVisualizer();
+}
+
+/**
+ * Sizes a canvas's drawing buffer to its on-screen size
+ * @param {HTMLCanvasElement} canvas - Canvas to size
+ * @returns {CanvasRenderingContext2D|null} Its 2D context, or null if it can't be drawn on
+ */
+function prepareCanvas(canvas) {
+  const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+  if (!ctx) return null;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return ctx;
+}
+
+/**
+ * Reduces decoded audio to one peak value per bucket
+ * @param {AudioBuffer} buffer - Decoded recording
+ * @param {number} buckets - Number of peaks to return
+ * @returns {Array<number>} Peaks scaled so the loudest is 1
+ */
+function computeWaveformPeaks(buffer, buckets) {
+  const samples = buffer.getChannelData(0);
+  const size = Math.max(1, Math.floor(samples.length / buckets));
+  const peaks = [];
+
+  for (let i = 0; i < buckets; i++) {
+    let peak = 0;
+    const end = Math.min(samples.length, (i + 1) * size);
+    for (let j = i * size; j < end; j++) {
+      const value = Math.abs(samples[j]);
+      if (value > peak) peak = value;
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map(peak => peak / loudest);
+}
+
+/**
+ * Reads a response body, giving up as soon as it is too large to decode. The
+ * size is checked from the headers first, so an oversized file is never downloaded.
+ * @param {Response} res - Response whose headers have arrived
+ * @param {number} maxBytes - Largest body to read
+ * @returns {Promise<ArrayBuffer|null>} The body, or null if it is too large
+ */
+async function readBodyWithin(res, maxBytes) {
+  if (Number(res.headers.get('Content-Length')) > maxBytes) {
+    if (res.body) res.body.cancel();
+    return null;
+  }
+  if (!res.body) {
+    const data = await res.arrayBuffer();
+    return data.byteLength > maxBytes ? null : data;
+  }
+
+  // Without a Content-Length the body is counted as it streams in
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const data = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return data.buffer;
+}
+
+/**
+ * Loads (or reuses) the full-clip waveform of a recording for the seek bar
+ * @param {string} url - Audio URL of the selected recording
+ */
+async function loadWaveform(url) {
+  const requestId = ++waveformRequestId;
+  const container = document.getElementById('progress-container');
+  waveformPeaks = waveformCache[url] || null;
+  container.classList.toggle('has-waveform', Boolean(waveformPeaks));
+  drawWaveform();
+
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (waveformPeaks || !url || url === '#' || !OfflineContextClass) return;
+
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    const data = await readBodyWithin(res, waveformMaxBytes);
+    if (!data) {
+      console.log(`Skipping waveform for ${url}: file is too large to decode`);
+      return;
+    }
+
+    const buffer = await new OfflineContextClass(1, 1, 44100).decodeAudioData(data);
+    waveformCache[url] = computeWaveformPeaks(buffer, waveformBuckets);
+    if (measuredLoudness[url] === undefined) measureLoudness(url, buffer);
+  } catch (error) {
+    console.log(`No waveform for ${url}:`, error);
+    return;
+  }
+
+  // Another recording was selected while this one decoded
+  if (requestId !== waveformRequestId) return;
+  waveformPeaks = waveformCache[url];
+  container.classList.add('has-waveform');
+  drawWaveform();
+}
+
+/**
+ * Draws the full-clip waveform behind the seek bar, with the played part highlighted
+ */
+function drawWaveform() {
+  const canvas = document.getElementById('progress-waveform');
+  const ctx = prepareCanvas(canvas);
+  if (!ctx) return;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!waveformPeaks) return;
+
+  const audio = audioPlayer;
+  const progress = audio && audio.duration ? audio.currentTime / audio.duration : 0;
+  const barWidth = canvas.width / waveformPeaks.length;
+  const middle = canvas.height / 2;
+
+  waveformPeaks.forEach((peak, i) => {
+    const x = i * barWidth;
+    const height = Math.max(1, peak * canvas.height * 0.9);
+    ctx.fillStyle = x / canvas.width < progress ? visualizerColors.played : visualizerColors.unplayed;
+    ctx.fillRect(x, middle - height / 2, Math.max(1, barWidth - 0.5), height);
+  });
+}
+
+/**
+ * Draws one frame of the live display in the current mode
+ */
+function drawVisualizer() {
+  const canvas = document.getElementById('visualizer-canvas');
+  const ctx = prepareCanvas(canvas);
+  if (!ctx) return;
+
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  const analyser = audioGraph ? audioGraph.analyser : null;
+  const playing = audioPlayer && !audioPlayer.paused;
+
+  if (visualizerMode === 'scope') {
+    // Oscilloscope: the current waveform, flat while silent
+    const data = new Uint8Array(analyser ? analyser.fftSize : 2);
+    if (analyser && playing) analyser.getByteTimeDomainData(data);
+    else data.fill(128);
+
+    ctx.strokeStyle = visualizerColors.signal;
+    ctx.lineWidth = 2 * (window.devicePixelRatio || 1);
+    ctx.beginPath();
+    data.forEach((value, i) => {
+      const x = (i / (data.length - 1)) * width;
+      const y = (value / 255) * height;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  } else if (visualizerMode === 'spectrum') {
+    // Spectrum: only the lower half of the bins, where speech and music live
+    const bins = analyser ? analyser.frequencyBinCount / 2 : 0;
+    const data = new Uint8Array(bins);
+    if (analyser && playing) analyser.getByteFrequencyData(data);
+
+    const barWidth = width / 64;
+    for (let bar = 0; bar < 64 && bins > 0; bar++) {
+      const value = data[Math.floor((bar / 64) * bins)] / 255;
+      ctx.fillStyle = visualizerColors.signal;
+      ctx.fillRect(bar * barWidth, height - value * height, barWidth * 0.8, value * height);
+    }
+  } else if (visualizerMode === 'vu') {
+    // VU meter: RMS level with a slowly falling peak marker, like a tape deck
+    let level = 0;
+    if (analyser && playing) {
+      const data = new Uint8Array(analyser.fftSize);
+      analyser.getByteTimeDomainData(data);
+      const sum = data.reduce((total, value) => total + ((value - 128) / 128) ** 2, 0);
+      level = Math.min(1, Math.sqrt(sum / data.length) * 3);
+    }
+    vuLevel = Math.max(level, vuLevel * 0.9);
+    vuPeak = Math.max(vuLevel, vuPeak - 0.005);
+
+    const segments = 24;
+    const segmentWidth = width / segments;
+    for (let i = 0; i < segments; i++) {
+      const lit = i / segments < vuLevel;
+      const hot = i >= segments * 0.8;
+      ctx.globalAlpha = lit ? 1 : 0.2;
+      ctx.fillStyle = hot ? visualizerColors.danger : visualizerColors.signal;
+      ctx.fillRect(i * segmentWidth + 1, height * 0.2, segmentWidth - 2, height * 0.6);
+    }
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = visualizerColors.marker;
+    ctx.fillRect(Math.min(width - 2, vuPeak * width), height * 0.1, 2, height * 0.8);
+  }
+}
+
+/**
+ * Runs the live display while audio plays
+ */
+function runVisualizer() {
+  drawVisualizer();
+  const audio = audioPlayer;
+  visualizerFrame = audio && !audio.paused && visualizerMode !== 'off'
+    ? requestAnimationFrame(runVisualizer)
+    : null;
+}
+
+/**
+ * Starts the live display. The default display only shows the shared graph once
+ * the tuner, processing or a comparison has built it, so plain listening keeps the
+ * player off Web Audio; a mode the listener picked builds the graph when the
+ * recording can be analysed.
+ */
+function startVisualizer() {
+  if (visualizerMode === 'off') return;
+
+  const graph = visualizerPicked ? getAudioGraph() : audioGraph;
+  if (graph) graph.context.resume();
+
+  if (!visualizerFrame) runVisualizer();
+}
+
+/**
+ * Switches the live display to the next mode and remembers the choice
+ */
+function cycleVisualizerMode() {
+  visualizerMode = visualizerModes[(visualizerModes.indexOf(visualizerMode) + 1) % visualizerModes.length];
+  visualizerPicked = true;
+  localStorage.setItem('visualizerMode', visualizerMode);
+  updateVisualizerButton();
+  drawVisualizer();
+  startVisualizer();
+}
+
+/**
+ * Shows the current mode on the visualizer button
+ */
+function updateVisualizerButton() {
+  const button = document.getElementById('visualizer-btn');
+  const canvas = document.getElementById('visualizer-canvas');
+  if (!button) return;
+
+  button.textContent = t(visualizerLabels[visualizerMode]);
+  button.setAttribute('aria-label', t('visualizer.label', { mode: button.textContent }));
+  if (canvas) canvas.hidden = visualizerMode === 'off';
+}
+
+/**
+ * Wires up the waveform seek bar and the live display
+ */
+export function setupVisualizer() {
+  const audio = audioPlayer;
+  const button = document.getElementById('visualizer-btn');
+  if (!audio || !button) return;
+
+  button.addEventListener('click', cycleVisualizerMode);
+  updateVisualizerButton();
+  refreshVisualizerColors();
+
+  audio.addEventListener('play', startVisualizer);
+  audio.addEventListener('timeupdate', drawWaveform);
+  audio.addEventListener('loadedmetadata', drawWaveform);
+  window.addEventListener('resize', () => {
+    drawWaveform();
+    drawVisualizer();
+  });
+
+  // Canvas drawings don't follow CSS variables on their own
+  appStore.watch(state => state.theme, refreshVisualizerColors);
+  appStore.watch(state => state.locale, updateVisualizerButton);
+  appStore.watch(state => state.recording, () => {
+    const dynamicData = getCurrentRecording();
+    if (dynamicData) loadWaveform(dynamicData.audioUrl);
+  });
+}
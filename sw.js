@@ -0,0 +1,295 @@
+// Service worker: keeps People Power through Radio usable on unreliable connections.
+//
+// - The app shell and icons are precached on install.
+// - Google Sheets data is fetched network-first, keeping the last good copy.
+// - Recordings and transcript files are only served from the cache for days the
+//   user downloaded from the Offline panel (the page fills that cache itself).
+// - Map tiles, fonts and Leaflet are cached as they are used.
+
+// Cache names; the data and audio names must match `offlineCaches` in js/offline.js
+const shellCache = 'ppr-shell-v9';
+const dataCache = 'ppr-data';
+const audioCache = 'ppr-audio';
+const runtimeCache = 'ppr-runtime';
+const runtimeCacheLimit = 400; // Most tiles/fonts kept before the oldest are dropped
+
+const shellFiles = [
+  './',
+  'index.html',
+  'about.html',
+  'author.html',
+  'js/a11y.js',
+  'js/about.js',
+  'js/app.js',
+  'js/appearance.js',
+  'js/audio-graph.js',
+  'js/author.js',
+  'js/authoring.js',
+  'js/clips.js',
+  'js/compare.js',
+  'js/config.js',
+  'js/csv.js',
+  'js/data.js',
+  'js/deep-links.js',
+  'js/diagnostics.js',
+  'js/i18n.js',
+  'js/landmarks.js',
+  'js/locales/en.js',
+  'js/locales/fil.js',
+  'js/main.js',
+  'js/map.js',
+  'js/media-session.js',
+  'js/offline.js',
+  'js/panels.js',
+  'js/playback-controls.js',
+  'js/player.js',
+  'js/queue.js',
+  'js/restoration.js',
+  'js/search.js',
+  'js/store.js',
+  'js/story.js',
+  'js/theme-builder.js',
+  'js/timeline.js',
+  'js/transcripts.js',
+  'js/trigger-warning.js',
+  'js/tuner.js',
+  'js/visualizer.js',
+  'style.css',
+  'manifest.webmanifest',
+  'data/manifest.json',
+  'data/landmarks.geojson',
+  'data/story.json',
+  'data/csv/Master.csv',
+  'data/csv/Date_Descriptions.csv',
+  'data/csv/Feb22.csv',
+  'data/csv/Feb23.csv',
+  'data/csv/Feb24.csv',
+  'data/csv/Feb25.csv',
+  'audio/static.mp3',
+  'icons/site_icon.ico',
+  'icons/pp_radio.png',
+  'icons/rv.png',
+  'icons/rb.png',
+  'icons/mbs4.png',
+  'icons/ptv.png',
+  'icons/ibc13.png',
+  'icons/rpn9.png',
+  'icons/febc.png'
+];
+
+// Third-party files the shell needs; a failure here shouldn't stop installation
+const shellExtras = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://fonts.googleapis.com/css?family=Antonio'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(shellCache).then(async cache => {
+      await cache.addAll(shellFiles);
+      await Promise.all(shellExtras.map(url =>
+        cache.add(url).catch(error => console.warn(`Could not precache ${url}:`, error))
+      ));
+    }).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shell caches from older versions; data, audio and tiles carry over
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('ppr-shell-') && key !== shellCache)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  event.respondWith(respond(request));
+});
+
+/**
+ * Answers a request. Files downloaded from the Offline panel (recordings and
+ * their transcript files, from any site) come first; everything else is handled
+ * by the strategy for its kind, or goes to the network.
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Response
+ */
+async function respond(request) {
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && url.pathname.endsWith('/audio/static.mp3')) {
+    // The dial's static is precached whole; the media element asks for ranges of it
+    const shell = await caches.open(shellCache);
+    const cached = await shell.match(request.url);
+    return cached ? serveCachedFile(request, cached) : fetch(request);
+  }
+
+  const downloads = await caches.open(audioCache);
+  const downloaded = await downloads.match(request.url, { ignoreVary: true });
+  if (downloaded) return serveCachedFile(request, downloaded);
+
+  if (url.hostname === 'docs.google.com' && url.pathname.includes('/gviz/')) {
+    return networkFirst(request, dataCache);
+  } else if (url.hostname.endsWith('tile.openstreetmap.org')) {
+    return cachedTile(request);
+  } else if (url.origin === self.location.origin) {
+    return staleWhileRevalidate(request, shellCache);
+  } else if (/(^|\.)(unpkg\.com|fonts\.googleapis\.com|fonts\.gstatic\.com)$/.test(url.hostname)) {
+    return staleWhileRevalidate(request, runtimeCache);
+  }
+  return fetch(request);
+}
+
+/**
+ * Tries the network and stores good responses, falling back to the stored copy.
+ * The copy is stamped with when it was saved so the page can show its age.
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache holding the last good copies
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set('x-cached-at', new Date().toISOString());
+      const body = await response.clone().blob();
+      await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Answers from the cache right away and refreshes the cached copy in the background
+ * @param {Request} request - Request to answer
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  // A stored full copy is no answer to a Range request, and a partial one can't be stored
+  if (request.headers.has('range')) return fetch(request);
+
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const refresh = fetch(request).then(response => {
+    if (response.status === 200 || response.type === 'opaque') {
+      cache.put(request, response.clone()).catch(error => console.warn(`Could not cache ${request.url}:`, error));
+    }
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {}); // Offline: the cached copy is all we have
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Serves a stored recording or transcript, answering the Range requests media
+ * elements make with the part they ask for
+ * @param {Request} request - Request for the file
+ * @param {Response} cached - Stored copy of the whole file
+ * @returns {Promise<Response>} Response
+ */
+async function serveCachedFile(request, cached) {
+  // Without a readable Range header the whole file is the answer, as from a server
+  const range = /^bytes=(\d*)-(\d*)$/.exec((request.headers.get('range') || '').trim());
+  if (!range || (range[1] === '' && range[2] === '')) return cached;
+
+  // An opaque copy can't be sliced, and some browsers won't seek in a full
+  // response to a Range request, so the network answers while there is one
+  if (cached.type === 'opaque') {
+    return fetch(request).catch(() => cached);
+  }
+
+  const blob = await cached.blob();
+  const bytes = getByteRange(range[1], range[2], blob.size);
+  if (!bytes) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${blob.size}` }
+    });
+  }
+
+  const { start, end } = bytes;
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+/**
+ * Works out the bytes a Range header asks for: "start-", "start-end" or the
+ * suffix form "-length"
+ * @param {string} first - Digits before the dash, or ''
+ * @param {string} last - Digits after the dash, or ''
+ * @param {number} size - Length of the file in bytes
+ * @returns {{start: number, end: number}|null} Inclusive byte range, or null if it
+ *   can't be served (starting past the end, or a suffix longer than the file)
+ */
+function getByteRange(first, last, size) {
+  if (first === '') {
+    const length = Number(last);
+    return length > 0 && length <= size ? { start: size - length, end: size - 1 } : null;
+  }
+
+  const start = Number(first);
+  const end = last === '' ? size - 1 : Math.min(Number(last), size - 1);
+  return start < size && start <= end ? { start, end } : null;
+}
+
+/**
+ * Serves map tiles network-first, keeping the ones already seen for offline use
+ * and a plain placeholder for the rest
+ * @param {Request} request - Tile request
+ * @returns {Promise<Response>} Response
+ */
+async function cachedTile(request) {
+  const cache = await caches.open(runtimeCache);
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+      trimCache(cache, runtimeCacheLimit);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    return new Response(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256"><rect width="256" height="256" fill="#e5e3df"/></svg>',
+      { headers: { 'Content-Type': 'image/svg+xml' } }
+    );
+  }
+}
+
+/**
+ * Deletes the oldest entries once a cache grows past its limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} limit - Entries to keep
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
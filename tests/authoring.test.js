@@ -0,0 +1,130 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let authoring;
+let config;
+let csv;
+let sheets;
+before(async () => {
+  page = await startPage();
+  authoring = await import('../js/authoring.js');
+  config = await import('../js/config.js');
+  csv = await import('../js/csv.js');
+  sheets = await page.data.dataSources.manifest.load();
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+test('a draft copies every tab and remembers its columns', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  assert.equal(draft.source, 'manifest');
+  assert.deepEqual(draft.sheets.Master, sheets.Master);
+  assert.notEqual(draft.sheets.Master[0], sheets.Master[0]);
+  assert.deepEqual(draft.columns.Master, ['id', 'name', 'lat', 'lng', 'description', 'icon']);
+});
+
+test('exported CSV reads back as the same rows', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  draft.sheets.Feb23[0].statusNote = 'Knocked out, "again", at dawn\nby loyalist troops';
+
+  const { objects, errors } = csv.csvToObjects(authoring.draftTabToCsv(draft, 'Feb23'));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(objects, draft.sheets.Feb23.map(row =>
+    Object.fromEntries(authoring.getTabColumns(draft, 'Feb23').map(column => [column, row[column] || '']))));
+});
+
+test('optional columns are only exported once they have a value', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  assert.ok(!authoring.getTabColumns(draft, 'Feb22').includes('startTime'));
+
+  draft.sheets.Feb22[0].startTime = '';
+  assert.ok(!authoring.getTabColumns(draft, 'Feb22').includes('startTime'));
+
+  draft.sheets.Feb22[0].startTime = '21:30';
+  assert.deepEqual(authoring.getTabColumns(draft, 'Feb22').slice(-1), ['startTime']);
+});
+
+test('the manifest writes number columns as numbers', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  draft.sheets.Feb22[0].duration = '95.5';
+  const manifest = authoring.draftToManifest(draft);
+
+  assert.equal(manifest.Master[0].lat, 14.6407);
+  assert.equal(manifest.Master[0].id, 'rv');
+  assert.equal(manifest.Feb22[0].duration, 95.5);
+  assert.equal(manifest.Feb22[1].duration, '');
+});
+
+test('problems in a CSV tab point at its line, past any dropped rows', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  draft.sheets.Feb22[0].statusNote = 'Spans\ntwo lines';
+  draft.sheets.Feb22[1].audioUrl = '';
+  const text = authoring.draftTabToCsv(draft, 'Feb22').replace('\n', '\nshort row\n\n');
+  const { objects, errors } = csv.csvToObjects(text);
+
+  const report = page.data.validateSheetData({ ...draft.sheets, Feb22: objects }, { Feb22: errors });
+  const issue = report.issues.find(i => i.tab === 'Feb22' && i.column === 'audioUrl');
+  assert.equal(errors.length, 1);
+  assert.equal(issue.row, 6); // After the header, a short row, a blank line and a row spanning two lines
+});
+
+test('renaming a station follows it into every date tab', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  authoring.renameStation(draft, 'rv', 'dzrv');
+
+  assert.equal(draft.sheets.Master[0].id, 'dzrv');
+  ['Feb22', 'Feb23', 'Feb24', 'Feb25'].forEach(tabName => {
+    assert.ok(draft.sheets[tabName].some(row => row.id === 'dzrv'), tabName);
+    assert.ok(!draft.sheets[tabName].some(row => row.id === 'rv'), tabName);
+  });
+  assert.equal(page.data.validateSheetData(draft.sheets, {}).errors, 0);
+});
+
+test('removing a station drops its date entries too', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  authoring.removeStation(draft, 'febc');
+
+  assert.ok(!draft.sheets.Master.some(row => row.id === 'febc'));
+  assert.ok(!draft.sheets.Feb25.some(row => row.id === 'febc'));
+  assert.equal(page.data.validateSheetData(draft.sheets, {}).errors, 0);
+});
+
+test('station ids are checked as plain values and statuses in any case', () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  authoring.renameStation(draft, 'rv', 'constructor');
+  draft.sheets.Feb22[0].status = 'Off-Air';
+
+  const { issues } = page.data.validateSheetData(draft.sheets, {});
+  assert.deepEqual(issues.filter(issue => issue.column === 'id' || issue.column === 'status'), []);
+});
+
+test('a saved draft is what the draft data source loads', async () => {
+  const draft = authoring.createDraft(sheets, 'manifest');
+  draft.sheets.Date_Descriptions[0].event = 'Edited offline';
+  authoring.saveDraft(draft);
+
+  assert.ok(draft.savedAt);
+  assert.deepEqual(await page.data.dataSources.draft.load(), draft.sheets);
+  assert.deepEqual(authoring.loadSavedDraft(), draft);
+
+  authoring.discardSavedDraft();
+  assert.equal(authoring.loadSavedDraft(), null);
+  await assert.rejects(page.data.dataSources.draft.load());
+});
+
+test('something saved under the draft key that is not a draft is ignored', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    ['[1, 2]', '"draft"', '{"sheets": null}', '{"sheets": []}'].forEach(saved => {
+      page.window.localStorage.setItem(config.authoringDraftKey, saved);
+      assert.equal(authoring.loadSavedDraft(), null, saved);
+    });
+  } finally {
+    console.warn = warn;
+    authoring.discardSavedDraft();
+  }
+});
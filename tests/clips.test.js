@@ -0,0 +1,98 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let failWrites = false;
+
+/**
+ * jsdom has no IndexedDB; this keeps the one store the clips use in memory
+ * @returns {Object} Stand-in for window.indexedDB
+ */
+function memoryIndexedDb() {
+  const rows = new Map();
+  const keyOf = value => JSON.stringify(Array.isArray(value) ? value : [value.dateId, value.stationId, value.start]);
+  const request = (run) => {
+    const req = {};
+    setTimeout(() => {
+      try {
+        req.result = run();
+        req.onsuccess();
+      } catch (error) {
+        req.error = error;
+        req.onerror();
+      }
+    });
+    return req;
+  };
+  const write = (run) => request(() => {
+    if (failWrites) throw new Error('QuotaExceededError');
+    return run();
+  });
+  const store = {
+    getAll: () => request(() => [...rows.values()]),
+    put: clip => write(() => rows.set(keyOf(clip), clip)),
+    delete: key => write(() => rows.delete(keyOf(key)))
+  };
+  const db = { transaction: () => ({ objectStore: () => store }) };
+  return { open: () => request(() => db) };
+}
+
+before(async () => {
+  page = await startPage();
+  globalThis.indexedDB = page.window.indexedDB = memoryIndexedDb();
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+
+/**
+ * Imports a file through the panel's file input
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ */
+async function importFile(name, text) {
+  const input = $('#clips-import');
+  // jsdom's File has no text(), so the input gets a file-like object
+  Object.defineProperty(input, 'files', { configurable: true, value: [{ name, text: async () => text }] });
+  input.dispatchEvent(new page.window.Event('change'));
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('imported clips are checked against the dates and stations and shown as text', async () => {
+  page.panels.setView('clips');
+  await importFile('shared.json', JSON.stringify({
+    clips: [
+      { dateId: 'Feb22', stationId: 'rv', start: 5, end: 12, note: '<b>note</b>' },
+      { dateId: '<img src=x onerror=alert(1)>', stationId: 'rv', start: 1, end: 2 },
+      { dateId: 'Feb22', stationId: '<script>', start: 1, end: 2 }
+    ]
+  }));
+
+  const items = page.window.document.querySelectorAll('#clips-list .clip-item');
+  assert.equal(items.length, 1);
+  assert.equal(items[0].querySelector('img, script, b'), null);
+  assert.match(items[0].querySelector('.clip-heading').textContent, /Radio Veritas · 0:05–0:12$/);
+  assert.equal(items[0].querySelector('.clip-note').textContent, '<b>note</b>');
+  assert.equal($('#clips-status').textContent, 'Imported 1 clip from shared.json. Skipped 2 invalid rows.');
+});
+
+test('rows that are not clips are skipped', async () => {
+  await importFile('odd.json', JSON.stringify({ clips: [null, 1, 'Feb22', { dateId: 'Feb23', stationId: 'rb', start: 0, end: 4 }] }));
+  assert.equal($('#clips-status').textContent, 'Imported 1 clip from odd.json. Skipped 3 invalid rows.');
+});
+
+test('a storage failure while importing is reported in the panel', async () => {
+  const logError = console.error;
+  console.error = () => {};
+  failWrites = true;
+  try {
+    await importFile('more.csv', 'dateId,stationId,start,end\nFeb23,rb,3,9');
+    assert.equal($('#clips-status').textContent, 'Could not save the clip: QuotaExceededError');
+  } finally {
+    failWrites = false;
+    console.error = logError;
+  }
+});
@@ -0,0 +1,119 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let compare;
+let transcripts;
+before(async () => {
+  page = await startPage();
+  compare = await import('../js/compare.js');
+  transcripts = await import('../js/transcripts.js');
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+const state = () => page.store.appStore.getState();
+
+test('the Compare button loads a second station for the same date', () => {
+  page.player.selectStation('rv');
+  $('#compare-btn').click();
+
+  assert.equal(state().compare.stationId, 'rb');
+  assert.equal($('#compare-panel').hidden, false);
+  assert.equal($('#compare-btn').getAttribute('aria-pressed'), 'true');
+  assert.equal($('#compare-audio').getAttribute('src'), page.data.dateContent.Feb22.stations.rb.audioUrl);
+  assert.ok(![...$('#compare-station').options].some(option => option.value === 'rv'));
+});
+
+test('without Web Audio the stations are heard one at a time', () => {
+  const audio = page.player.audioPlayer;
+  assert.equal($('#compare-mix').value, 'switch');
+  assert.equal($('#compare-mix option[value="stereo"]').disabled, true);
+  assert.equal(audio.muted, false);
+  assert.equal(compare.compareAudio.muted, true);
+
+  $('#compare-switch-btn').click();
+  assert.equal(audio.muted, true);
+  assert.equal(compare.compareAudio.muted, false);
+  assert.match($('#compare-status').textContent, /Radyo Bandido/);
+
+  page.window.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'b', bubbles: true }));
+  assert.equal(audio.muted, false);
+  assert.equal(compare.compareAudio.muted, true);
+});
+
+test('play, pause and seeking are linked', async () => {
+  const audio = page.player.audioPlayer;
+  await page.player.playAudio();
+  assert.equal(compare.compareAudio.paused, false);
+
+  audio.currentTime = 7;
+  audio.dispatchEvent(new page.window.Event('seeked'));
+  assert.equal(compare.compareAudio.currentTime, 7);
+
+  audio.pause();
+  assert.equal(compare.compareAudio.paused, true);
+});
+
+test('the comparison follows the player to other stations and dates', () => {
+  page.player.selectStation('rb');
+  assert.equal(state().compare.stationId, 'rv');
+
+  page.panels.selectDate('Feb24');
+  assert.equal(state().compare.stationId, 'rv');
+  assert.equal($('#compare-audio').getAttribute('src'), page.data.dateContent.Feb24.stations.rv.audioUrl);
+});
+
+test('both transcripts are shown in parallel columns', async () => {
+  const day = page.data.dateContent.Feb24.stations;
+  day.rb.transcripts = [{ lang: 'original', text: '[0:00] Radyo Bandido\n[0:10] Second line', url: '' }];
+  day.ptv.transcripts = [{ lang: 'original', text: '[0:00] Channel 4\n[0:05] Later line', url: '' }];
+  try {
+    compare.startCompare('ptv');
+    await transcripts.transcriptLoading;
+
+    const headings = [...page.window.document.querySelectorAll('#transcript-content .transcript-column h3')];
+    const names = ['rb', 'ptv'].map(id => page.data.stations.find(s => s.id === id).name);
+    assert.deepEqual(headings.map(h => h.textContent), names);
+
+    // A line of the compared transcript moves both players to its moment
+    const columns = page.window.document.querySelectorAll('#transcript-content .transcript-column');
+    columns[1].querySelector('.transcript-segment[data-index="1"]').click();
+    assert.equal(page.player.audioPlayer.currentTime, 5);
+    assert.equal(compare.compareAudio.currentTime, 5);
+    assert.ok(columns[1].querySelector('.transcript-segment[data-index="1"]').classList.contains('active'));
+  } finally {
+    delete day.rb.transcripts;
+    delete day.ptv.transcripts;
+  }
+});
+
+test('closing the comparison leaves the player on its own', async () => {
+  $('#compare-btn').click();
+  await transcripts.transcriptLoading;
+
+  assert.equal(state().compare, null);
+  assert.equal($('#compare-panel').hidden, true);
+  assert.equal(page.player.audioPlayer.muted, false);
+  assert.equal($('#compare-audio').hasAttribute('src'), false);
+  assert.equal($('#transcript-content').classList.contains('transcript-compare'), false);
+});
+
+test('a date with a single recording has nothing to compare', () => {
+  const day = page.data.dateContent.Feb25;
+  const saved = day.stations;
+  page.panels.selectDate('Feb25', 'rv');
+  day.stations = { rv: saved.rv };
+  try {
+    compare.startCompare();
+    assert.equal(state().compare, null);
+    assert.equal($('#compare-panel').hidden, false);
+    assert.equal($('#compare-status').textContent, 'No other station has a recording on February 25.');
+  } finally {
+    day.stations = saved;
+    compare.stopCompare();
+  }
+});
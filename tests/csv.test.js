@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvLine, csvToObjects, parseCsv, toCsvField } from '../js/csv.js';
+
+test('parses plain rows with their line numbers', () => {
+  const { records, errors } = parseCsv('id,name\nrv,Radio Veritas\n');
+  assert.deepEqual(records, [
+    { line: 1, fields: ['id', 'name'] },
+    { line: 2, fields: ['rv', 'Radio Veritas'] }
+  ]);
+  assert.deepEqual(errors, []);
+});
+
+test('keeps commas, line breaks and escaped quotes inside quoted fields', () => {
+  const { records } = parseCsv('a,b\n"one, two","say ""hi""\nagain"\nnext,row');
+  assert.deepEqual(records[1].fields, ['one, two', 'say "hi"\nagain']);
+  assert.equal(records[2].line, 4); // The quoted line break still counts
+});
+
+test('accepts CRLF line endings and a byte order mark', () => {
+  const { records } = parseCsv('\uFEFFid,name\r\nrb,Radyo Bandido\r\n');
+  assert.deepEqual(records.map(record => record.fields), [['id', 'name'], ['rb', 'Radyo Bandido']]);
+});
+
+test('skips blank lines but keeps an empty quoted field', () => {
+  const { records } = parseCsv('a\n\n""\n\n');
+  assert.deepEqual(records.map(record => record.fields), [['a'], ['']]);
+});
+
+test('reports malformed records with the line they start on', () => {
+  const { records, errors } = parseCsv('a,b\nx"y,z\n"ok"extra,1\n"open,2');
+  assert.equal(records.length, 1);
+  assert.deepEqual(errors, [
+    { line: 2, reason: 'unexpected quote in unquoted field 1' },
+    { line: 3, reason: 'unexpected character after closing quote in field 1' },
+    { line: 4, reason: 'unterminated quoted field 1' }
+  ]);
+});
+
+test('csvToObjects keys rows by the trimmed header row', () => {
+  const { objects, errors } = csvToObjects(' id , name \nrv,Radio Veritas\nrb,Radyo Bandido');
+  assert.deepEqual(objects, [
+    { id: 'rv', name: 'Radio Veritas' },
+    { id: 'rb', name: 'Radyo Bandido' }
+  ]);
+  assert.deepEqual(errors, []);
+});
+
+test('csvToObjects ignores trailing empty columns and reports short rows', () => {
+  const { objects, errors } = csvToObjects('id,name\nrv,Radio Veritas,,\nrb\nptv,PTV 4');
+  assert.deepEqual(objects, [{ id: 'rv', name: 'Radio Veritas' }, { id: 'ptv', name: 'PTV 4' }]);
+  assert.deepEqual(errors, [{ line: 3, reason: 'expected 2 fields but found 1' }]);
+});
+
+test('csvToObjects remembers the line each row starts on', () => {
+  const { objects } = csvToObjects('id,name\nrv,"Radio\nVeritas"\n\nrb\nptv,PTV 4');
+  assert.deepEqual(objects.map(row => row[csvLine]), [2, 6]);
+});
+
+test('csvToObjects returns nothing for empty input', () => {
+  assert.deepEqual(csvToObjects(''), { objects: [], errors: [] });
+});
+
+test('toCsvField quotes only when needed and round-trips through parseCsv', () => {
+  assert.equal(toCsvField('plain'), 'plain');
+  assert.equal(toCsvField(null), '');
+
+  const values = ['a, b', 'say "hi"', 'two\nlines'];
+  const { records } = parseCsv(values.map(toCsvField).join(','));
+  assert.deepEqual(records[0].fields, values);
+});
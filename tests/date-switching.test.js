@@ -0,0 +1,68 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+before(async () => {
+  page = await startPage();
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+
+test('switching dates keeps the current station and redraws the panel', () => {
+  page.player.selectStation('rb');
+  page.panels.selectDate('Feb24');
+
+  const content = page.data.dateContent.Feb24;
+  assert.deepEqual(page.store.appStore.getState().recording, { dateId: 'Feb24', stationId: 'rb' });
+  assert.equal($('#selectDate').value, 'Feb24');
+  assert.equal($('.info-section h2').textContent, 'Events of February 24');
+  assert.equal($('.historical-context h3').textContent, 'February 24');
+  assert.equal($('.historical-context p').textContent, content.context);
+  assert.equal($('.station-item.active').dataset.station, 'rb');
+  assert.equal($('#station-description').textContent, content.stations.rb.description);
+});
+
+test('the station list only shows stations with a recording that day', () => {
+  const listed = [...page.window.document.querySelectorAll('.station-item')].map(item => item.dataset.station);
+  assert.deepEqual(listed, page.data.stations
+    .map(station => station.id)
+    .filter(id => page.data.dateContent.Feb24.stations[id]));
+});
+
+test('falls back to the first station when the current one has no recording', () => {
+  const { stations } = page.data.dateContent.Feb25;
+  const saved = stations.rb;
+  delete stations.rb;
+  try {
+    page.panels.selectDate('Feb25');
+    const expected = page.data.stations.find(station => stations[station.id]).id;
+    assert.equal(page.store.appStore.getState().recording.stationId, expected);
+  } finally {
+    stations.rb = saved;
+  }
+});
+
+test('a date change is recorded in the address bar', () => {
+  page.panels.selectDate('Feb23', 'ptv');
+  const params = new URLSearchParams(page.window.location.search);
+  assert.equal(params.get('date'), 'Feb23');
+  assert.equal(params.get('station'), 'ptv');
+});
+
+test('an unknown date is ignored', () => {
+  const before = page.store.appStore.getState();
+  page.panels.selectDate('Mar01');
+  assert.equal(page.store.appStore.getState(), before);
+});
+
+test('the date dropdown switches dates', () => {
+  const dropdown = $('#selectDate');
+  dropdown.value = 'Feb22';
+  dropdown.dispatchEvent(new page.window.Event('change'));
+  assert.equal(page.store.appStore.getState().dateId, 'Feb22');
+  assert.equal($('.info-section h2').textContent, 'Events of February 22');
+});
@@ -0,0 +1,113 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let i18n;
+before(async () => {
+  page = await startPage();
+  i18n = await import('../js/i18n.js');
+  i18n.setupI18n(); // Run by the page entry points, not by startApplication()
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+
+test('messages fill in their placeholders', () => {
+  assert.equal(i18n.t('panel.eventsOf', { date: 'February 24' }), 'Events of February 24');
+  assert.equal(i18n.t('player.volume', { percent: 70 }), 'Volume 70%');
+});
+
+test('a count picks the plural form', () => {
+  assert.equal(i18n.t('clips.count', { count: 1 }), '1 clip');
+  assert.equal(i18n.t('clips.count', { count: 3 }), '3 clips');
+  assert.equal(i18n.t('clips.count', { count: 0 }), '0 clips');
+});
+
+test('missing messages fall back to English, then to the key', () => {
+  const { catalog } = i18n.locales.fil;
+  const saved = catalog['player.link'];
+  delete catalog['player.link'];
+  try {
+    i18n.setLocale('fil');
+    assert.equal(i18n.t('player.link'), 'Link');
+    assert.equal(i18n.t('no.such.message'), 'no.such.message');
+  } finally {
+    catalog['player.link'] = saved;
+    i18n.setLocale('en');
+  }
+});
+
+test('dates are formatted in the current language', () => {
+  assert.equal(i18n.formatDateTab('Feb24'), 'February 24');
+  i18n.setLocale('fil');
+  try {
+    assert.equal(i18n.formatDateTab('Feb24'), 'Pebrero 24');
+    assert.equal(i18n.formatDateTab('Feb22', { month: 'short', day: 'numeric' }), 'Peb 22');
+  } finally {
+    i18n.setLocale('en');
+  }
+});
+
+test('switching language translates the page and remembers the choice', () => {
+  page.panels.selectDate('Feb24');
+  const playLabel = $('#play-btn').textContent; // Play or Pause, depending on the player
+  const select = $('#language-select');
+  select.value = 'fil';
+  select.dispatchEvent(new page.window.Event('change'));
+  try {
+    assert.equal(page.window.localStorage.getItem('userLanguage'), 'fil');
+    assert.equal(page.window.document.documentElement.lang, 'fil');
+    assert.equal($('.language-select:not(#language-select)').value, 'fil');
+    assert.equal($('#modal-understand-btn').textContent, 'Naiintindihan Ko');
+    assert.equal($('.info-section h2').textContent, 'Mga Pangyayari noong Pebrero 24');
+    assert.equal($('.station-list h3').textContent, 'Pumili ng Istasyon ng Radyo');
+    assert.equal($('#selectDate option[value="Feb22"]').textContent, 'Pebrero 22');
+    assert.equal($('#play-btn').textContent, playLabel === 'Play' ? 'I-play' : 'I-pause');
+    assert.equal($('#search-input').placeholder, 'hal. Camp Crame');
+    assert.match($('#progress-container').getAttribute('aria-valuetext'), /^\d+:\d\d sa \d+:\d\d$/);
+  } finally {
+    i18n.setLocale('en');
+  }
+  assert.equal($('.info-section h2').textContent, 'Events of February 24');
+  assert.equal($('#play-btn').textContent, playLabel);
+});
+
+test('an unknown language is ignored', () => {
+  i18n.setLocale('xx');
+  assert.equal(i18n.getLocale(), 'en');
+  assert.equal(page.window.localStorage.getItem('userLanguage'), 'en');
+});
+
+test('the diagnostics view and missing content follow the language', async () => {
+  const diagnostics = await import('../js/diagnostics.js');
+  const recording = page.data.dateContent[page.store.appStore.getState().dateId].stations.rv;
+  const description = recording.description;
+  const { issues } = page.data.dataReport;
+  page.data.dataReport.issues = [...issues, ...page.data.validateSheetData({ Master: [] }, {}).issues];
+  page.window.history.replaceState(null, '', '?source=manifest&diagnostics');
+  diagnostics.setupDiagnosticsView();
+  diagnostics.renderDiagnostics();
+  recording.description = '';
+  page.player.selectStation('rv');
+  try {
+    assert.equal($('#selectView option[value="diagnostics"]').textContent, 'Data Diagnostics');
+    assert.equal($('#check-audio-btn').textContent, 'Check audio files');
+    assert.equal($('#station-description').textContent, 'No description available');
+
+    i18n.setLocale('fil');
+    assert.equal($('#selectView option[value="diagnostics"]').textContent, 'Pagsusuri ng Datos');
+    assert.equal($('#diagnostics-panel h2').textContent, 'Pagsusuri ng Datos');
+    assert.equal($('#check-audio-btn').textContent, 'Suriin ang mga audio file');
+    assert.match($('.diagnostics-summary').textContent, /^Na-load mula sa Kasamang manifest: /);
+    assert.equal($('.diagnostics-table tbody td:last-child').textContent, 'Walang hanay ang tab');
+    assert.equal($('#station-description').textContent, 'Walang paglalarawan');
+  } finally {
+    i18n.setLocale('en');
+    recording.description = description;
+    page.data.dataReport.issues = issues;
+    page.window.history.replaceState(null, '', '?source=manifest');
+  }
+});
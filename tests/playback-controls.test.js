@@ -0,0 +1,154 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let audio;
+before(async () => {
+  page = await startPage();
+  audio = page.player.audioPlayer;
+
+  // jsdom never loads the audio, so give the recordings a length
+  Object.defineProperty(audio, 'duration', { configurable: true, value: 60 });
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+const state = () => page.store.appStore.getState();
+const fire = (type) => audio.dispatchEvent(new page.window.Event(type));
+const press = (key) => page.window.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+test('the speed menu changes and remembers the playback rate', () => {
+  const select = $('#playback-rate');
+  assert.deepEqual([...select.options].map(option => option.value), ['0.5', '0.75', '1', '1.25', '1.5', '1.75', '2']);
+
+  select.value = '1.5';
+  select.dispatchEvent(new page.window.Event('change'));
+  assert.equal(audio.playbackRate, 1.5);
+  assert.equal(audio.defaultPlaybackRate, 1.5); // Kept when the next recording loads
+  assert.equal(audio.preservesPitch, true);
+  assert.equal(page.window.localStorage.getItem('playbackRate'), '1.5');
+
+  press('>');
+  assert.equal(audio.playbackRate, 1.75);
+  press('<');
+  press('<');
+  assert.equal(select.value, '1.25');
+});
+
+test('the skip buttons and J/L move by their interval within the clip', () => {
+  audio.currentTime = 20;
+  $('.skip-btn[data-skip="30"]').click();
+  assert.equal(audio.currentTime, 50);
+  $('.skip-btn[data-skip="30"]').click();
+  assert.equal(audio.currentTime, 60);
+  $('.skip-btn[data-skip="-10"]').click();
+  assert.equal(audio.currentTime, 50);
+
+  press('j');
+  assert.equal(audio.currentTime, 40);
+  press('l');
+  assert.equal(audio.currentTime, 50);
+});
+
+test('an A–B loop is drawn on the progress bar and repeats its region', () => {
+  audio.currentTime = 10;
+  $('#loop-start-btn').click();
+  assert.deepEqual(state().loopRegion, { start: 10, end: null });
+  assert.ok($('#progress-loop').classList.contains('pending'));
+
+  audio.currentTime = 5;
+  $('#loop-end-btn').click(); // B before A is refused
+  assert.deepEqual(state().loopRegion, { start: 10, end: null });
+
+  audio.currentTime = 25;
+  $('#loop-end-btn').click();
+  assert.deepEqual(state().loopRegion, { start: 10, end: 25 });
+  assert.equal(audio.loop, false);
+  assert.equal($('#progress-loop').hidden, false);
+  assert.equal($('#progress-loop').style.left, `${(10 / 60) * 100}%`);
+  assert.equal($('#progress-loop').style.width, '25%');
+  assert.equal($('#loop-range').textContent, 'Looping 0:10–0:25');
+
+  audio.currentTime = 25.2;
+  fire('timeupdate');
+  assert.equal(audio.currentTime, 10);
+
+  // A loop that ends with the clip goes back to A instead of moving on
+  audio.currentTime = 60;
+  fire('ended');
+  assert.equal(audio.currentTime, 10);
+});
+
+test('clearing the loop gives the playback mode back its say', () => {
+  $('#loop-clear-btn').click();
+  assert.equal(state().loopRegion, null);
+  assert.equal(audio.loop, true); // The default mode loops the whole recording
+  assert.equal($('#progress-loop').hidden, true);
+  assert.equal($('#loop-clear-btn').hidden, true);
+});
+
+test('another recording clears the loop', () => {
+  audio.currentTime = 10;
+  $('#loop-start-btn').click();
+  page.player.selectStation('rb');
+  assert.equal(state().loopRegion, null);
+});
+
+test('each recording resumes where it was left', () => {
+  page.player.selectStation('rv');
+  audio.currentTime = 42;
+  fire('pause');
+  assert.deepEqual(JSON.parse(page.window.localStorage.getItem('playbackPositions')), { 'Feb22/rv': 42 });
+
+  page.player.selectStation('rb');
+  page.player.selectStation('rv');
+  audio.currentTime = 0;
+  fire('loadedmetadata');
+  assert.equal(audio.currentTime, 42);
+});
+
+test('switching stations keeps the position left behind without a pause', () => {
+  page.player.selectStation('rv');
+  audio.currentTime = 23; // Less than a save interval after the last save, and no pause event
+  page.player.selectStation('rb');
+  assert.equal(JSON.parse(page.window.localStorage.getItem('playbackPositions'))['Feb22/rv'], 23);
+
+  page.player.selectStation('rv');
+  fire('loadedmetadata');
+  assert.equal(audio.currentTime, 23);
+});
+
+test('a seek asked for with the selection wins over the saved position', async () => {
+  const { seekWhenReady } = await import('../js/timeline.js');
+  page.player.selectStation('rb');
+  page.player.selectStation('rv');
+  seekWhenReady(7);
+  fire('loadedmetadata');
+  assert.equal(audio.currentTime, 7);
+});
+
+test('a recording heard to the end starts over next time', () => {
+  audio.currentTime = 60;
+  fire('ended');
+  assert.deepEqual(JSON.parse(page.window.localStorage.getItem('playbackPositions')), {});
+});
+
+test('moving on through the queue keeps the next recording\'s saved position', () => {
+  const modeSelect = $('#playback-mode');
+  page.player.selectStation('rv');
+  page.window.localStorage.setItem('playbackPositions', JSON.stringify({ 'Feb22/rv': 20, 'Feb22/rb': 30 }));
+  modeSelect.value = 'date';
+  modeSelect.dispatchEvent(new page.window.Event('change'));
+  try {
+    audio.currentTime = 60;
+    fire('ended');
+    assert.equal(state().recording.stationId, 'rb');
+    assert.deepEqual(JSON.parse(page.window.localStorage.getItem('playbackPositions')), { 'Feb22/rb': 30 });
+  } finally {
+    modeSelect.value = 'loop';
+    modeSelect.dispatchEvent(new page.window.Event('change'));
+  }
+});
@@ -0,0 +1,111 @@
+// Headless page for the tests: loads index.html into jsdom, exposes its window
+// as the browser globals the modules expect and answers fetch() from the repo.
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+
+// Browser globals the modules use without a `window.` prefix
+const windowGlobals = [
+  'window', 'document', 'navigator', 'localStorage', 'sessionStorage', 'history',
+  'Audio', 'Element', 'HTMLElement', 'Event', 'getComputedStyle',
+  'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * Serves same-origin requests from the files in the repo; anything else fails
+ * the way it does offline
+ * @param {Window} window - Page the request comes from
+ * @param {string|Request} input - Requested URL
+ * @returns {Promise<Response>} File contents, or a 404
+ */
+async function fetchFromRepo(window, input) {
+  const url = new URL(String(input), window.location.href);
+  if (url.origin !== window.location.origin) {
+    throw new TypeError(`Network access is disabled in tests: ${url.href}`);
+  }
+
+  try {
+    return new Response(await readFile(new URL(`.${decodeURIComponent(url.pathname)}`, root)));
+  } catch (error) {
+    return new Response('', { status: 404 });
+  }
+}
+
+/**
+ * jsdom has no media playback, so the player gets a stand-in that keeps the
+ * paused flag and fires the events a browser would
+ * @param {Window} window - Page to patch
+ * @returns {{loads: number}} Counter of load() calls, for checking reloads
+ */
+function fakeMediaPlayback(window) {
+  const { HTMLMediaElement, Event } = window;
+  const paused = new WeakMap();
+  const calls = { loads: 0 };
+
+  Object.defineProperty(HTMLMediaElement.prototype, 'paused', {
+    configurable: true,
+    get() { return paused.get(this) ?? true; }
+  });
+
+  HTMLMediaElement.prototype.load = function () {
+    calls.loads++;
+    paused.set(this, true);
+    this.currentTime = 0; // A new source starts from the beginning
+    this.dispatchEvent(new Event('loadstart'));
+  };
+  HTMLMediaElement.prototype.play = function () {
+    if (this.paused) {
+      paused.set(this, false);
+      this.dispatchEvent(new Event('play'));
+    }
+    return Promise.resolve();
+  };
+  HTMLMediaElement.prototype.pause = function () {
+    if (this.paused) return;
+    paused.set(this, true);
+    this.dispatchEvent(new Event('pause'));
+  };
+
+  return calls;
+}
+
+/**
+ * Loads index.html, installs it as the global page and starts the application
+ * @param {string} [query] - Query string of the page URL; defaults to the bundled data
+ * @returns {Promise<Object>} The page's window, the media call counter and the app modules
+ */
+export async function startPage(query = '?source=manifest') {
+  const html = await readFile(new URL('index.html', root), 'utf8');
+
+  // Scripts are left out: the tests import the modules themselves
+  const dom = new JSDOM(html.replace(/<script\b[^>]*>\s*<\/script>/g, ''), {
+    url: `http://localhost/index.html${query}`,
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole() // jsdom's "not implemented" notices (canvas etc.)
+  });
+  const { window } = dom;
+
+  windowGlobals.forEach(name => {
+    Object.defineProperty(globalThis, name, { configurable: true, writable: true, value: window[name] });
+  });
+  globalThis.fetch = input => fetchFromRepo(window, input);
+  const media = fakeMediaPlayback(window);
+
+  // The app narrates every step to the console; keep the test report readable
+  console.log = () => {};
+
+  const app = await import('../js/app.js');
+  const modules = {
+    store: await import('../js/store.js'),
+    data: await import('../js/data.js'),
+    player: await import('../js/player.js'),
+    panels: await import('../js/panels.js')
+  };
+
+  if (!await app.startApplication()) {
+    throw new Error('The application did not start');
+  }
+  return { window, media, ...modules };
+}
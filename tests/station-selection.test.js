@@ -0,0 +1,120 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+before(async () => {
+  page = await startPage();
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const $ = selector => page.window.document.querySelector(selector);
+
+test('starts on the first day with its first station', () => {
+  const { dateId, recording } = page.store.appStore.getState();
+  assert.equal(dateId, 'Feb22');
+  assert.deepEqual(recording, { dateId: 'Feb22', stationId: 'rv' });
+  assert.equal($('.station-item.active').dataset.station, 'rv');
+});
+
+test('selecting a station updates the store, the player header and the list', () => {
+  page.player.selectStation('rb');
+
+  const station = page.data.stations.find(s => s.id === 'rb');
+  const recording = page.data.dateContent.Feb22.stations.rb;
+  assert.deepEqual(page.store.appStore.getState().recording, { dateId: 'Feb22', stationId: 'rb' });
+  assert.equal($('#current-station').textContent, station.name);
+  assert.equal($('#station-description').textContent, recording.description);
+  assert.equal($('#radio-audio').getAttribute('src'), recording.audioUrl);
+
+  const active = [...page.window.document.querySelectorAll('.station-item.active')];
+  assert.deepEqual(active.map(item => item.dataset.station), ['rb']);
+  assert.equal(active[0].getAttribute('aria-current'), 'true');
+});
+
+test('each selection loads the source once without adding listeners', () => {
+  const audio = page.player.audioPlayer;
+  const added = [];
+  const addEventListener = audio.addEventListener;
+  audio.addEventListener = function (type, ...rest) {
+    added.push(type);
+    return addEventListener.call(this, type, ...rest);
+  };
+
+  const loadsBefore = page.media.loads;
+  page.player.selectStation('ptv');
+  page.player.selectStation('rv');
+  audio.addEventListener = addEventListener;
+
+  assert.equal(page.media.loads - loadsBefore, 2);
+  assert.deepEqual(added, []);
+});
+
+test('the play button follows the player state', () => {
+  const audio = page.player.audioPlayer;
+  const playBtn = $('#play-btn');
+
+  audio.play();
+  assert.equal(page.store.appStore.getState().player, 'playing');
+  assert.equal(playBtn.textContent, 'Pause');
+
+  playBtn.click(); // Pauses
+  assert.equal(page.store.appStore.getState().player, 'paused');
+  assert.equal(playBtn.textContent, 'Play');
+
+  audio.dispatchEvent(new page.window.Event('error'));
+  assert.equal(page.store.appStore.getState().player, 'error');
+  assert.equal(playBtn.textContent, 'Play');
+
+  playBtn.click(); // Retries: reloads, then plays
+  assert.equal(page.store.appStore.getState().player, 'playing');
+  assert.equal(playBtn.textContent, 'Pause');
+});
+
+test('an unknown station is ignored', () => {
+  const before = page.store.appStore.getState().recording;
+  page.player.selectStation('nope');
+  assert.equal(page.store.appStore.getState().recording, before);
+});
+
+test('a cross-origin recording is kept out of Web Audio, where it would play silent', async () => {
+  const { getAudioGraph, prepareAudioSource } = await import('../js/audio-graph.js');
+  const audio = page.player.audioPlayer;
+  const recording = page.data.dateContent.Feb22.stations.rb;
+  const audioUrl = recording.audioUrl;
+  page.window.AudioContext = class {
+    constructor() { throw new Error('The graph should not be built'); }
+  };
+  try {
+    recording.audioUrl = 'https://archive.example.org/rb_22.mp3';
+    page.player.selectStation('rb');
+    assert.equal(getAudioGraph(), null);
+
+    // Once the player feeds a graph, other hosts are asked for CORS instead
+    prepareAudioSource(audio, recording.audioUrl, true);
+    assert.equal(audio.getAttribute('crossorigin'), 'anonymous');
+    prepareAudioSource(audio, audioUrl, true);
+    assert.equal(audio.hasAttribute('crossorigin'), false);
+  } finally {
+    delete page.window.AudioContext;
+    recording.audioUrl = audioUrl;
+  }
+});
+
+test('playing with the default live display leaves the player off Web Audio', async () => {
+  const { audioGraph } = await import('../js/audio-graph.js');
+  let built = 0;
+  page.window.AudioContext = class {
+    constructor() { built++; }
+  };
+  try {
+    page.player.selectStation('rv');
+    await page.player.audioPlayer.play();
+    assert.equal(built, 0);
+    assert.equal(audioGraph, null);
+  } finally {
+    delete page.window.AudioContext;
+  }
+});
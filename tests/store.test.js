@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, nextPlayerState } from '../js/store.js';
+
+test('setState merges changes and notifies subscribers with the previous state', () => {
+  const store = createStore({ dateId: null, view: 'map' });
+  const calls = [];
+  store.subscribe((state, previous) => calls.push([state.dateId, previous.dateId]));
+
+  store.setState({ dateId: 'Feb22' });
+  assert.deepEqual(store.getState(), { dateId: 'Feb22', view: 'map' });
+  assert.deepEqual(calls, [['Feb22', null]]);
+});
+
+test('subscribe returns a function that stops notifications', () => {
+  const store = createStore({ count: 0 });
+  let calls = 0;
+  const unsubscribe = store.subscribe(() => calls++);
+
+  store.setState({ count: 1 });
+  unsubscribe();
+  store.setState({ count: 2 });
+  assert.equal(calls, 1);
+});
+
+test('watch only fires when the selected value changes', () => {
+  const store = createStore({ dateId: 'Feb22', view: 'map' });
+  const seen = [];
+  store.watch(state => state.dateId, state => seen.push(state.dateId));
+
+  store.setState({ view: 'timeline' });
+  store.setState({ dateId: 'Feb22' });
+  store.setState({ dateId: 'Feb23' });
+  assert.deepEqual(seen, ['Feb23']);
+});
+
+test('player state machine follows a normal play-through', () => {
+  let state = 'idle';
+  for (const [event, expected] of [
+    ['load', 'loading'], ['play', 'playing'], ['waiting', 'loading'],
+    ['play', 'playing'], ['pause', 'paused'], ['play', 'playing'], ['ended', 'paused']
+  ]) {
+    state = nextPlayerState(state, event);
+    assert.equal(state, expected, `after ${event}`);
+  }
+});
+
+test('player state machine ignores events a state does not accept', () => {
+  assert.equal(nextPlayerState('idle', 'play'), 'idle');
+  assert.equal(nextPlayerState('paused', 'waiting'), 'paused');
+  assert.equal(nextPlayerState('error', 'play'), 'error');
+});
+
+test('an error is only left by loading another source', () => {
+  assert.equal(nextPlayerState('playing', 'error'), 'error');
+  assert.equal(nextPlayerState('error', 'load'), 'loading');
+});
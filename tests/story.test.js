@@ -0,0 +1,127 @@
+import { after, before, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let story;
+before(async () => {
+  page = await startPage();
+  story = await import('../js/story.js');
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => {
+  story.stopStory();
+  page.window.close();
+});
+
+const $ = selector => page.window.document.querySelector(selector);
+const state = () => page.store.appStore.getState();
+
+test('the story starts from data/story.json on its first step', async () => {
+  await story.startStory();
+
+  assert.equal(state().story.index, 0);
+  assert.equal(state().dateId, 'Feb22');
+  assert.equal(state().view, 'map');
+  assert.equal($('.historical-context h3').textContent, state().story.title);
+  assert.ok($('.historical-context').classList.contains('story-narration'));
+  assert.equal($('#story-controls').hidden, false);
+  assert.equal($('#story-start-btn').hidden, true);
+  assert.equal(page.window.localStorage.getItem('storySeen'), 'true');
+});
+
+test('Next moves to the following step and tunes its station', () => {
+  $('#story-next-btn').click();
+
+  assert.equal(state().story.index, 1);
+  assert.equal(state().recording.stationId, 'rv');
+  assert.match($('#story-progress').textContent, /^Step 2 of \d+$/);
+});
+
+test('pausing stops the recording and resuming plays it again', () => {
+  $('#story-pause-btn').click();
+  assert.equal(state().story.paused, true);
+  assert.equal(page.player.audioPlayer.paused, true);
+  assert.equal($('#story-pause-btn').getAttribute('aria-pressed'), 'true');
+
+  $('#story-pause-btn').click();
+  assert.equal(state().story.paused, false);
+  assert.equal(page.player.audioPlayer.paused, false);
+});
+
+test('a step moves on when its countdown runs out', async () => {
+  story.stopStory();
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    await story.startStory();
+    assert.equal(state().story.index, 0);
+    mock.timers.tick(70 * 1000); // Duration of the first step
+    assert.equal(state().story.index, 1);
+  } finally {
+    story.stopStory();
+    mock.timers.reset();
+  }
+});
+
+test('picking another date by hand leaves the story', async () => {
+  await story.startStory();
+  page.panels.selectDate('Feb25');
+
+  assert.equal(state().story, null);
+  assert.equal($('.historical-context h3').textContent, 'February 25');
+  assert.equal($('.historical-context').classList.contains('story-narration'), false);
+  assert.equal($('#story-controls').hidden, true);
+});
+
+test('exiting shows the date\'s own context again', async () => {
+  await story.startStory();
+  $('#story-exit-btn').click();
+
+  assert.equal(state().story, null);
+  assert.equal($('.historical-context h3').textContent, 'February 22');
+  assert.equal($('.historical-context p').textContent, page.data.dateContent.Feb22.context);
+});
+
+test('a step without a clip changes the date without starting the audio', async () => {
+  story.stopStory();
+  page.panels.selectDate('Feb25');
+  page.player.audioPlayer.pause();
+
+  await story.startStory();
+  assert.equal(state().dateId, 'Feb22');
+  assert.equal(page.player.audioPlayer.paused, true);
+  story.stopStory();
+});
+
+test('a step with no end or duration lasts until its recording ends, or is left out', async () => {
+  // A separate copy of the module, so it loads this script instead of the cached one
+  const custom = await import('../js/story.js?script');
+  const script = [
+    { date: 'Feb22', station: 'rv', title: 'To the end', start: '0:10' },
+    { date: 'Feb22', title: 'Never ends' },
+    { date: 'Feb22', station: 'mbs4', title: 'Counted', duration: 5 }
+  ];
+  const recording = page.data.dateContent.Feb22.stations.rv;
+  const { duration } = recording;
+  const fetch = globalThis.fetch;
+  const warn = console.warn;
+  globalThis.fetch = async input => String(input).endsWith('story.json') ? new Response(JSON.stringify(script)) : fetch(input);
+  console.warn = () => {};
+  recording.duration = 100;
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    await custom.startStory();
+    assert.equal(state().story.total, 2);
+    mock.timers.tick(89 * 1000);
+    assert.equal(state().story.index, 0);
+    mock.timers.tick(1000); // The rest of the recording after 0:10
+    assert.equal(state().story.title, 'Counted');
+  } finally {
+    custom.stopStory();
+    mock.timers.reset();
+    recording.duration = duration;
+    globalThis.fetch = fetch;
+    console.warn = warn;
+  }
+});
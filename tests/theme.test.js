@@ -0,0 +1,156 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPage } from './setup.js';
+
+let page;
+let appearance;
+let builder;
+before(async () => {
+  page = await startPage();
+  appearance = await import('../js/appearance.js');
+  builder = await import('../js/theme-builder.js');
+  appearance.setupAppearance(); // Run by the page entry points, not by startApplication()
+});
+
+// Closing the page stops its timers so the test process can exit
+after(() => page.window.close());
+
+const sampleTheme = {
+  name: 'Night shift',
+  base: 2,
+  light: { '--color-primary': '#123456' },
+  dark: { '--color-bg': '#000000', '--color-text': '#FAFAFA' }
+};
+
+test('contrast ratios follow the WCAG formula', () => {
+  assert.equal(builder.contrastRatio('#000000', '#ffffff'), 21);
+  assert.equal(builder.contrastRatio('#fff', '#fff'), 1);
+  assert.equal(builder.contrastRatio('#777777', '#ffffff').toFixed(2), '4.48');
+  assert.ok(Number.isNaN(builder.contrastRatio('rgba(0,0,0,0.5)', '#ffffff')));
+});
+
+test('contrast ratings warn below AA', () => {
+  assert.equal(builder.rateContrast(4.5).level, 'pass');
+  assert.equal(builder.rateContrast(4.48).level, 'large');
+  assert.equal(builder.rateContrast(2.9).level, 'fail');
+});
+
+test('custom themes keep only known tokens with hex colors', () => {
+  const theme = appearance.normalizeCustomTheme({
+    ...sampleTheme,
+    base: 99,
+    light: { '--color-primary': '#ABCDEF', '--unknown': '#ffffff', '--color-bg': 'url(x)' }
+  });
+  assert.deepEqual(theme, {
+    name: 'Night shift',
+    base: 0,
+    light: { '--color-primary': '#abcdef' },
+    dark: { '--color-bg': '#000000', '--color-text': '#fafafa' }
+  });
+  assert.equal(appearance.normalizeCustomTheme({ name: '  ' }), null);
+});
+
+test('a theme survives the trip through a link', () => {
+  const theme = appearance.normalizeCustomTheme({ ...sampleTheme, name: 'Pulang araw ☀' });
+  const param = builder.encodeThemeParam(theme);
+  assert.match(param, /^[\w-]+$/);
+  assert.deepEqual(builder.decodeThemeParam(param), theme);
+  assert.equal(builder.decodeThemeParam('not a theme'), null);
+});
+
+test('a custom theme sets its colors for the current mode on top of its base', () => {
+  const theme = appearance.normalizeCustomTheme(sampleTheme);
+  appearance.saveCustomTheme(theme);
+  appearance.selectTheme(0, theme);
+  appearance.setThemeMode('light');
+
+  const body = page.window.document.body;
+  assert.ok(body.classList.contains('theme-red'));
+  assert.equal(body.style.getPropertyValue('--color-primary'), '#123456');
+
+  appearance.setThemeMode('dark');
+  assert.ok(body.classList.contains('mode-dark'));
+  assert.equal(body.style.getPropertyValue('--color-primary'), '');
+  assert.equal(body.style.getPropertyValue('--color-bg'), '#000000');
+  assert.equal(localStorage.getItem('userCustomTheme'), 'Night shift');
+
+  appearance.deleteCustomTheme('Night shift');
+  assert.equal(page.store.appStore.getState().theme.custom, null);
+  assert.equal(body.style.getPropertyValue('--color-bg'), '');
+  assert.ok(body.classList.contains('theme-red'));
+});
+
+test('the mode button overrides the system setting until system is chosen again', () => {
+  appearance.setThemeMode('system');
+  assert.equal(localStorage.getItem('userMode'), null);
+  assert.equal(page.store.appStore.getState().theme.dark, false); // jsdom has no dark system scheme
+
+  page.window.document.getElementById('mode-toggle').click();
+  assert.equal(page.store.appStore.getState().theme.mode, 'dark');
+  assert.equal(localStorage.getItem('userMode'), 'dark');
+});
+
+test('the theme button cycles through built-in and saved themes', () => {
+  const theme = appearance.normalizeCustomTheme(sampleTheme);
+  appearance.saveCustomTheme(theme);
+  appearance.selectTheme(3, null);
+
+  const button = page.window.document.getElementById('theme-toggle');
+  button.click();
+  assert.equal(page.store.appStore.getState().theme.custom.name, 'Night shift');
+  button.click();
+  assert.deepEqual(
+    [page.store.appStore.getState().theme.index, page.store.appStore.getState().theme.custom],
+    [0, null]);
+});
+
+test('a shared theme link asks first and never replaces a saved theme', () => {
+  const saved = appearance.normalizeCustomTheme(sampleTheme);
+  appearance.saveCustomTheme(saved);
+  const shared = { ...saved, light: { '--color-primary': '#654321' }, dark: {} };
+  const questions = [];
+  const confirm = page.window.confirm;
+  const open = (theme, answer) => {
+    page.window.confirm = question => questions.push(question) && answer;
+    page.window.history.replaceState(null, '', `?source=manifest&theme=${builder.encodeThemeParam(theme)}`);
+    builder.applyThemeFromUrl();
+    assert.equal(page.window.location.search, '?source=manifest');
+  };
+
+  try {
+    open(shared, false);
+    assert.deepEqual(appearance.getCustomThemes().map(theme => theme.name), ['Night shift']);
+
+    open(shared, true);
+    assert.deepEqual(questions, ['Apply and save the shared theme "Night shift"?', 'Apply and save the shared theme "Night shift"?']);
+    assert.deepEqual(appearance.getCustomThemes().find(theme => theme.name === 'Night shift'), saved);
+    assert.equal(page.store.appStore.getState().theme.custom.name, 'Night shift (2)');
+
+    // The same theme again is just selected
+    open(saved, true);
+    assert.equal(questions.length, 2);
+    assert.equal(page.store.appStore.getState().theme.custom.name, 'Night shift');
+  } finally {
+    page.window.confirm = confirm;
+  }
+});
+
+test('a numbered copy of a long theme name stays within the name limit', () => {
+  const long = appearance.normalizeCustomTheme({ ...sampleTheme, name: 'A very long theme name for the night shift' });
+  assert.equal(long.name.length, 40);
+  appearance.saveCustomTheme(long);
+
+  const confirm = page.window.confirm;
+  page.window.confirm = () => true;
+  try {
+    page.window.history.replaceState(null, '', `?theme=${builder.encodeThemeParam({ ...long, dark: {} })}`);
+    builder.applyThemeFromUrl();
+  } finally {
+    page.window.confirm = confirm;
+  }
+
+  const copy = page.store.appStore.getState().theme.custom;
+  assert.equal(copy.name, 'A very long theme name for the night (2)');
+  assert.ok(appearance.getCustomThemes().some(theme => theme.name === copy.name));
+  assert.equal(page.window.localStorage.getItem('userCustomTheme'), copy.name);
+});